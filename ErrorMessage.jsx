@@ -0,0 +1,29 @@
+import React from 'react'
+import { useStoreSelector } from './formStore'
+import { useFormContext } from './FormContext'
+
+/**
+ * Muestra el mensaje de error de un campo del formulario del contexto. No renderiza nada si el campo no tiene error.
+ * El elemento tiene el `id` al que apunta `aria-describedby` del input (ver `getErrorId`).
+ *
+ * @param {Object} props - Props del mensaje. El resto se pasan al elemento.
+ * @param {string} props.name - Nombre del campo.
+ * @param {string|React.ElementType} [props.as] - Elemento o componente a renderizar. Por defecto `span`.
+ * @param {(message: string, props: { id: string }) => React.ReactNode} [props.render] - Renderiza el mensaje a medida.
+ * @returns {React.ReactNode} - Mensaje de error.
+ */
+const ErrorMessage = ({ name, as = 'span', render, ...props }) => {
+  const { control, getErrorId } = useFormContext()
+  // Lee el error directamente del almacén: getFormState recorre todos los campos en cada cambio
+  const message = useStoreSelector(control.store, (state) => state.errors[name] || '')
+  if (!message) {
+    return null
+  }
+  const id = props.id || getErrorId(name)
+  if (render) {
+    return render(message, { id })
+  }
+  return React.createElement(as, { ...props, id }, message)
+}
+
+export default ErrorMessage
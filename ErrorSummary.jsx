@@ -0,0 +1,43 @@
+import React from 'react'
+import useFormState from './useFormState'
+import { useOptionalForm } from './FormContext'
+
+/**
+ * Resumen de los errores del formulario en una región `role="alert"`, que los lectores de pantalla anuncian cuando
+ * cambia. Se muestra después de un intento de envío, con un enlace por campo que enfoca su input, en el orden del
+ * documento. El contenedor se renderiza siempre (vacío si no hay errores) para que el anuncio no se pierda.
+ *
+ * @param {Object} props - Props del resumen. El resto se pasan al contenedor.
+ * @param {ReturnType<import('./useFormValidate').default>} [props.form] - Formulario. Por defecto el del contexto.
+ * @param {React.ReactNode} [props.title] - Título que se muestra antes de la lista de errores.
+ * @param {string|React.ElementType} [props.as] - Elemento o componente contenedor. Por defecto `div`.
+ * @returns {React.ReactNode} - Resumen de errores.
+ */
+const ErrorSummary = ({ form, title, as = 'div', ...props }) => {
+  const currentForm = useOptionalForm(form)
+  const errors = useFormState(currentForm, (state) => (state.submitCount > 0 ? state.errors : null))
+  const names = errors ? currentForm.control.sortFieldNames(Object.keys(errors).filter((name) => errors[name])) : []
+  return React.createElement(as, { role: 'alert', ...props }, names.length > 0 && (
+    <>
+      {title}
+      <ul>
+        {names.map((name) => (
+          <li key={name}>
+            <a
+              href={`#${currentForm.getFieldId(name)}`}
+              onClick={(e) => {
+                if (currentForm.setFocus(name)) {
+                  e.preventDefault()
+                }
+              }}
+            >
+              {errors[name]}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </>
+  ))
+}
+
+export default ErrorSummary
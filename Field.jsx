@@ -0,0 +1,38 @@
+import React from 'react'
+import useField from './useField'
+import { useFormContext } from './FormContext'
+
+/**
+ * Campo conectado al formulario del contexto. Recibe las props de `getFieldProps` y se vuelve a renderizar solo cuando
+ * cambia su estado.
+ *
+ * @param {Object} props - Props del campo. El resto se pasan al componente.
+ * @param {string} props.name - Nombre del campo.
+ * @param {import('./useFormValidate').Rule} [props.rules] - Reglas del campo.
+ * @param {string|React.ElementType} [props.as] - Elemento o componente a renderizar. Por defecto `input`.
+ * @param {string} [props.anotherValue] - Valor alternativo para el campo (como en `getFieldProps`).
+ * @param {any} [props.defaultValue] - Valor por defecto del campo.
+ * @param {(field: ReturnType<typeof useField>) => React.ReactNode} [props.children] - Render prop que recibe
+ * `{ field, fieldState }`, en lugar de renderizar `as`.
+ * @returns {React.ReactNode} - Campo.
+ */
+const Field = ({ name, rules, as = 'input', anotherValue, defaultValue, children, ...props }) => {
+  const { field, fieldState } = useField(name, rules, anotherValue, defaultValue)
+  const form = useFormContext()
+  if (typeof children === 'function') {
+    return children({ field, fieldState })
+  }
+  // Como el campo renderiza su input, usa el id del formulario salvo que se indique otro en las props
+  const id = props.id ?? field.id ?? form.control.getInputId(name, rules)
+  if (typeof as === 'string') {
+    // Los elementos HTML no aceptan las props de error de getFieldProps
+    const { error, ...inputProps } = field
+    if (rules?.helperText) {
+      delete inputProps[rules.helperText]
+    }
+    return React.createElement(as, { ...props, ...inputProps, id })
+  }
+  return React.createElement(as, { ...props, ...field, id })
+}
+
+export default Field
@@ -0,0 +1,29 @@
+import React from 'react'
+import { FormProvider, useOptionalForm } from './FormContext'
+
+/**
+ * Formulario conectado: comparte el formulario con los componentes anidados y llama a `onSubmit` con los datos
+ * cuando pasa la validación (con `handleSubmit`).
+ *
+ * @param {Object} props - Props del formulario. El resto se pasan al elemento `<form>`.
+ * @param {ReturnType<import('./useFormValidate').default>} [props.form] - Objeto devuelto por `useFormValidate`. Si no se
+ * indica, se usa el de un `FormProvider` superior.
+ * @param {(formData: any) => (void|Promise<void>)} props.onSubmit - Función que recibe los datos del formulario.
+ * @param {React.ReactNode} [props.children] - Contenido del formulario.
+ * @returns {JSX.Element} - Formulario.
+ */
+const Form = ({ form, onSubmit, children, ...props }) => {
+  const currentForm = useOptionalForm(form)
+  if (!currentForm) {
+    throw new Error("Form espera en la prop form el objeto devuelto por useFormValidate, o estar dentro de un FormProvider.")
+  }
+  return (
+    <FormProvider form={currentForm}>
+      <form noValidate {...props} onSubmit={currentForm.handleSubmit(onSubmit)}>
+        {children}
+      </form>
+    </FormProvider>
+  )
+}
+
+export default Form
@@ -0,0 +1,43 @@
+import React, { createContext, useContext } from 'react'
+
+const FormContext = createContext(null)
+
+/**
+ * Comparte un formulario con los componentes anidados, que lo obtienen con `useFormContext` (o con `useField`,
+ * `useFormState`, `<Field>` y `<ErrorMessage>` sin pasarles el formulario).
+ *
+ * @param {{ form: ReturnType<import('./useFormValidate').default>, children?: React.ReactNode }} props - Formulario
+ * devuelto por `useFormValidate` y contenido.
+ * @returns {JSX.Element} - Proveedor del formulario.
+ */
+export const FormProvider = ({ form, children }) => {
+  if (!form?.control) {
+    throw new Error("FormProvider espera en la prop form el objeto devuelto por useFormValidate.")
+  }
+  return <FormContext.Provider value={form}>{children}</FormContext.Provider>
+}
+
+/**
+ * Obtiene el formulario del `FormProvider` (o `<Form>`) más cercano.
+ *
+ * @returns {ReturnType<import('./useFormValidate').default>} - Objeto devuelto por `useFormValidate`.
+ */
+export const useFormContext = () => {
+  const form = useContext(FormContext)
+  if (!form) {
+    throw new Error("useFormContext debe usarse dentro de un FormProvider o un Form.")
+  }
+  return form
+}
+
+/**
+ * Obtiene el formulario indicado o, si no se indica, el del contexto. Los hooks que aceptan el formulario como primer
+ * parámetro opcional lo usan para resolverlo.
+ *
+ * @param {ReturnType<import('./useFormValidate').default>} [form] - Formulario indicado.
+ * @returns {ReturnType<import('./useFormValidate').default>|null} - Formulario a usar.
+ */
+export const useOptionalForm = (form) => {
+  const contextForm = useContext(FormContext)
+  return form || contextForm
+}
@@ -0,0 +1,44 @@
+/**
+ * Obtiene el `id` de un input a partir del nombre del campo. Las rutas se convierten en guiones (`items[0].price` →
+ * `items-0-price`) para que el `id` sirva también en selectores CSS y enlaces.
+ *
+ * @param {string} name - Nombre del campo.
+ * @param {string} [prefix] - Prefijo del formulario, para que los `id` no se repitan si hay varios en la página.
+ * @returns {string} - `id` del input.
+ */
+export const formatFieldId = (name, prefix = '') =>
+  `${prefix}${String(name).replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '')}`
+
+/**
+ * Ordena elementos según su posición en el documento.
+ *
+ * @param {HTMLElement[]} elements - Elementos a ordenar.
+ * @returns {HTMLElement[]} - Elementos en el orden del documento.
+ */
+export const sortByDocumentPosition = (elements) => [...elements].sort((a, b) =>
+  (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+
+/**
+ * Indica si un elemento puede recibir el foco: está en el documento, no está deshabilitado y no es un input oculto.
+ *
+ * @param {HTMLElement} element - Elemento a comprobar.
+ * @returns {boolean} - `true` si el elemento puede recibir el foco.
+ */
+export const isFocusable = (element) => Boolean(element?.isConnected) && typeof element.focus === 'function' &&
+  !element.disabled && element.type !== 'hidden'
+
+/**
+ * Enfoca un elemento y lo desplaza al centro de la pantalla (si el navegador lo permite).
+ *
+ * @param {HTMLElement} element - Elemento a enfocar.
+ * @param {{ shouldSelect?: boolean }} [options] - Con `shouldSelect` también se selecciona el texto del input.
+ */
+export const focusElement = (element, { shouldSelect = false } = {}) => {
+  element.focus({ preventScroll: true })
+  if (typeof element.scrollIntoView === 'function') {
+    element.scrollIntoView({ block: 'center', behavior: 'smooth' })
+  }
+  if (shouldSelect && typeof element.select === 'function') {
+    element.select()
+  }
+}
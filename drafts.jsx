@@ -0,0 +1,105 @@
+import { isFieldInList } from './fieldPaths'
+
+/**
+ * @typedef {Object} PersistOptions
+ * @property {string} key - Clave con la que se guarda el borrador.
+ * @property {Storage} [storage] - Almacenamiento del borrador. Por defecto `localStorage`.
+ * @property {string[]} [include] - Campos que se guardan (y sus campos anidados). Por defecto todos.
+ * @property {string[]} [exclude] - Campos que no se guardan (y sus campos anidados).
+ * @property {number} [debounceMs] - Milisegundos de espera desde el último cambio antes de guardar. Por defecto `500`.
+ * @property {number|string} [version] - Versión del formulario. Los borradores de otra versión se descartan.
+ */
+
+/**
+ * Nombres de campo que no se guardan nunca, aunque el input no sea de tipo `password`.
+ */
+export const SENSITIVE_FIELD_PATTERN = /passw(or)?d|contrase(ñ|n)a|secret|token|cvv|cvc/i
+
+/**
+ * Obtiene el almacenamiento de un borrador, o `null` si no está disponible (por ejemplo, al renderizar en el servidor).
+ *
+ * @param {PersistOptions} persist - Opciones de persistencia.
+ * @returns {Storage|null} - Almacenamiento.
+ */
+const getStorage = (persist) => {
+  try {
+    return persist.storage || (typeof window !== 'undefined' ? window.localStorage : null)
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Indica si un campo se puede guardar en el borrador según `include` y `exclude`, y si su nombre no es sensible.
+ *
+ * @param {string} name - Nombre del campo.
+ * @param {PersistOptions} persist - Opciones de persistencia.
+ * @returns {boolean} - `true` si el campo se puede guardar.
+ */
+export const isDraftField = (name, persist) => {
+  if (SENSITIVE_FIELD_PATTERN.test(name)) {
+    return false
+  }
+  if (persist.include && !isFieldInList(name, persist.include)) {
+    return false
+  }
+  return !(persist.exclude && isFieldInList(name, persist.exclude))
+}
+
+/**
+ * Lee los valores de un borrador. Los borradores de otra versión, o que no se pueden leer, se eliminan.
+ *
+ * @param {PersistOptions} persist - Opciones de persistencia.
+ * @returns {Object.<string, any>} - Valores guardados por nombre de campo.
+ */
+export const readDraft = (persist) => {
+  const storage = getStorage(persist)
+  if (!storage) {
+    return {}
+  }
+  try {
+    const draft = JSON.parse(storage.getItem(persist.key))
+    if (!draft || typeof draft.values !== 'object') {
+      return {}
+    }
+    if (draft.version !== (persist.version ?? 0)) {
+      storage.removeItem(persist.key)
+      return {}
+    }
+    return Object.keys(draft.values)
+      .filter((name) => isDraftField(name, persist))
+      .reduce((values, name) => ({ ...values, [name]: draft.values[name] }), {})
+  } catch (error) {
+    storage.removeItem(persist.key)
+    return {}
+  }
+}
+
+/**
+ * Guarda los valores de un borrador, o lo elimina si no hay valores.
+ *
+ * @param {PersistOptions} persist - Opciones de persistencia.
+ * @param {Object.<string, any>} values - Valores por nombre de campo.
+ */
+export const writeDraft = (persist, values) => {
+  const storage = getStorage(persist)
+  if (!storage) {
+    return
+  }
+  try {
+    if (Object.keys(values).length === 0) {
+      storage.removeItem(persist.key)
+    } else {
+      storage.setItem(persist.key, JSON.stringify({ version: persist.version ?? 0, values }))
+    }
+  } catch (error) {
+    // El almacenamiento puede estar lleno o bloqueado: el formulario sigue funcionando sin borrador
+  }
+}
+
+/**
+ * Elimina un borrador.
+ *
+ * @param {PersistOptions} persist - Opciones de persistencia.
+ */
+export const removeDraft = (persist) => writeDraft(persist, {})
@@ -0,0 +1,142 @@
+/**
+ * Convierte una ruta de campo en una lista de claves.
+ * Acepta puntos y corchetes: `items[2].price`, `items.2.price` y `address.city`.
+ *
+ * @param {string} path - Ruta del campo.
+ * @returns {Array<string|number>} - Lista de claves; los índices de listas son números.
+ */
+export const parsePath = (path = '') => {
+  const keys = []
+  String(path).replace(/\[(\d+)\]|[^.[\]]+/g, (match, index) => {
+    if (index !== undefined) {
+      keys.push(Number(index))
+    } else {
+      keys.push(/^\d+$/.test(match) ? Number(match) : match)
+    }
+    return match
+  })
+  return keys
+}
+
+/**
+ * Convierte una ruta en forma de lista (`['items', 0, 'price']`) en una cadena (`items[0].price`).
+ *
+ * @param {Array<string|number>|string} path - Ruta a convertir.
+ * @returns {string} - Ruta en formato de cadena.
+ */
+export const formatPath = (path = []) => {
+  if (typeof path === 'string') {
+    return path
+  }
+  return path.reduce((result, key) => {
+    if (typeof key === 'number') {
+      return `${result}[${key}]`
+    }
+    return result ? `${result}.${key}` : `${key}`
+  }, '')
+}
+
+/**
+ * Asigna un valor en un objeto anidado siguiendo una ruta, creando los objetos y listas intermedios.
+ *
+ * @param {object} target - Objeto a modificar.
+ * @param {string} path - Ruta del campo.
+ * @param {any} value - Valor a asignar.
+ * @returns {object} - El mismo objeto `target`.
+ */
+export const setIn = (target, path, value) => {
+  const keys = parsePath(path)
+  keys.reduce((current, key, index) => {
+    if (index === keys.length - 1) {
+      current[key] = value
+    } else if (current[key] === undefined || current[key] === null || typeof current[key] !== 'object') {
+      current[key] = typeof keys[index + 1] === 'number' ? [] : {}
+    }
+    return current[key]
+  }, target)
+  return target
+}
+
+/**
+ * Obtiene un valor de un objeto anidado siguiendo una ruta.
+ *
+ * @param {object} source - Objeto de origen.
+ * @param {string} path - Ruta del campo.
+ * @returns {any} - Valor encontrado, o `undefined` si la ruta no existe.
+ */
+export const getIn = (source, path) =>
+  parsePath(path).reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), source)
+
+/**
+ * Convierte un valor anidado en un mapa plano de ruta relativa a valor.
+ * Por ejemplo `{ price: 1, tax: { rate: 2 } }` da `{ '.price': 1, '.tax.rate': 2 }`; un valor simple da `{ '': value }`.
+ *
+ * @param {any} value - Valor a aplanar.
+ * @param {string} [prefix] - Prefijo de las rutas.
+ * @returns {Object.<string, any>} - Mapa plano de rutas relativas a valores.
+ */
+export const flattenValue = (value, prefix = '') => {
+  if (Array.isArray(value)) {
+    return value.reduce((result, item, index) => ({ ...result, ...flattenValue(item, `${prefix}[${index}]`) }), {})
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.keys(value).reduce((result, key) => ({ ...result, ...flattenValue(value[key], `${prefix}.${key}`) }), {})
+  }
+  return { [prefix]: value }
+}
+
+/**
+ * Convierte los datos de un formulario en un mapa plano de nombre de campo a valor.
+ * Por ejemplo `{ address: { city: 'Lima' }, items: [{ price: 1 }] }` da `{ 'address.city': 'Lima', 'items[0].price': 1 }`.
+ *
+ * @param {object} values - Datos del formulario.
+ * @returns {Object.<string, any>} - Mapa plano de nombres de campo a valores.
+ */
+export const flattenValues = (values) =>
+  Object.keys(values || {}).reduce((result, key) => ({ ...result, ...flattenValue(values[key], key) }), {})
+
+/**
+ * Separa una ruta en el índice de fila y el resto de la ruta, si pertenece a la lista indicada.
+ * Por ejemplo, para la lista `items`, `items[2].price` da `{ index: 2, suffix: '.price' }`.
+ *
+ * @param {string} arrayName - Nombre de la lista.
+ * @param {string} path - Ruta del campo.
+ * @returns {{ index: number, suffix: string }|null} - Índice y resto de la ruta, o `null` si no pertenece a la lista.
+ */
+export const matchArrayPath = (arrayName, path) => {
+  if (!path.startsWith(`${arrayName}[`)) {
+    return null
+  }
+  const match = path.slice(arrayName.length).match(/^\[(\d+)\](.*)$/)
+  return match ? { index: Number(match[1]), suffix: match[2] } : null
+}
+
+/**
+ * Indica si un campo pertenece a una lista de campos: el mismo nombre o uno anidado (`address` incluye `address.city`
+ * e `items` incluye `items[0].price`).
+ *
+ * @param {string} name - Nombre del campo.
+ * @param {string[]} list - Nombres de campo.
+ * @returns {boolean} - `true` si el campo está en la lista.
+ */
+export const isFieldInList = (name, list) =>
+  list.some((field) => name === field || name.startsWith(`${field}.`) || name.startsWith(`${field}[`))
+
+/**
+ * Indica si una ruta apunta a una fila que no existe en los datos: alguna lista de la ruta tiene menos filas.
+ * Por ejemplo, con `{ items: [{ price: 1 }] }`, `items[1].price` queda fuera y `items[0].price` o `name` no.
+ *
+ * @param {object} values - Datos del formulario.
+ * @param {string} path - Ruta del campo.
+ * @returns {boolean} - `true` si la fila de la ruta no está en los datos.
+ */
+export const isOutsideArray = (values, path) => {
+  let current = values
+  return parsePath(path).some((key) => {
+    if (Array.isArray(current) && typeof key === 'number' && key >= current.length) {
+      return true
+    }
+    current = current === undefined || current === null ? undefined : current[key]
+    return false
+  })
+}
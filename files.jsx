@@ -0,0 +1,222 @@
+/**
+ * @typedef {Object} FileData
+ * @property {string} [dataURL] - Contenido del archivo como data URL.
+ * @property {string} fileName - Nombre del archivo.
+ * @property {number} fileSize - Tamaño del archivo en bytes.
+ * @property {string} fileType - Tipo MIME del archivo.
+ */
+
+/**
+ * @typedef {Object} ImageDimensions
+ * @property {number} [minWidth] - Ancho mínimo en píxeles.
+ * @property {number} [maxWidth] - Ancho máximo en píxeles.
+ * @property {number} [minHeight] - Alto mínimo en píxeles.
+ * @property {number} [maxHeight] - Alto máximo en píxeles.
+ */
+
+/**
+ * @typedef {Object} FileFailure
+ * @property {string} rule - Nombre de la regla que falló.
+ * @property {string} messageKey - Clave del mensaje de error.
+ * @property {object} params - Valores para los marcadores del mensaje.
+ */
+
+/**
+ * Obtiene el nombre, tamaño y tipo de un archivo, sea un `File` o un archivo ya leído (`FileData`).
+ *
+ * @param {File|FileData} file - Archivo.
+ * @returns {{ name: string, size: number, type: string }} - Datos del archivo.
+ */
+export const getFileInfo = (file = {}) => ({
+  name: file.name ?? file.fileName ?? '',
+  size: file.size ?? file.fileSize ?? 0,
+  type: file.type ?? file.fileType ?? ''
+})
+
+/**
+ * Formatea un tamaño en bytes para los mensajes de error (por ejemplo `2 MB`).
+ *
+ * @param {number} bytes - Tamaño en bytes.
+ * @returns {string} - Tamaño formateado.
+ */
+export const formatFileSize = (bytes = 0) => {
+  const units = ['B', 'KB', 'MB', 'GB']
+  let size = bytes
+  let unit = 0
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024
+    unit++
+  }
+  return `${Math.round(size * 10) / 10} ${units[unit]}`
+}
+
+/**
+ * Convierte la regla `accept` en una lista de tipos: acepta la misma cadena del atributo `accept` del input
+ * (`image/*,.pdf`) o una lista.
+ *
+ * @param {string|string[]} accept - Tipos aceptados.
+ * @returns {string[]} - Tipos MIME y extensiones en minúsculas.
+ */
+const parseAccept = (accept) =>
+  (Array.isArray(accept) ? accept : String(accept).split(','))
+    .map((type) => type.trim().toLowerCase())
+    .filter(Boolean)
+
+/**
+ * Indica si un archivo cumple la regla `accept`: una extensión (`.pdf`), un tipo MIME (`application/pdf`) o un grupo
+ * de tipos (`image/*`).
+ *
+ * @param {File|FileData} file - Archivo.
+ * @param {string|string[]} accept - Tipos aceptados.
+ * @returns {boolean} - `true` si el archivo es de un tipo aceptado.
+ */
+export const isAcceptedFile = (file, accept) => {
+  const { name, type } = getFileInfo(file)
+  const fileName = name.toLowerCase()
+  const fileType = type.toLowerCase()
+  return parseAccept(accept).some((acceptedType) => {
+    if (acceptedType.startsWith('.')) {
+      return fileName.endsWith(acceptedType)
+    }
+    if (acceptedType.endsWith('/*')) {
+      return fileType.startsWith(acceptedType.slice(0, -1))
+    }
+    return fileType === acceptedType
+  })
+}
+
+/**
+ * Valida una lista de archivos con las reglas `minFiles`, `maxFiles`, `accept` y `maxSize`, sin leer su contenido.
+ *
+ * @param {Array<File|FileData>} files - Archivos seleccionados.
+ * @param {object} rules - Reglas del campo.
+ * @returns {FileFailure[]} - Reglas que fallaron, en ese orden.
+ */
+export const validateFiles = (files = [], rules = {}) => {
+  const failures = []
+  if (rules.minFiles && files.length < rules.minFiles) {
+    failures.push({ rule: 'minFiles', messageKey: 'min_files', params: { minFiles: rules.minFiles } })
+  }
+  if (rules.maxFiles && files.length > rules.maxFiles) {
+    failures.push({ rule: 'maxFiles', messageKey: 'max_files', params: { maxFiles: rules.maxFiles } })
+  }
+  const rejectedFile = rules.accept ? files.find((file) => !isAcceptedFile(file, rules.accept)) : null
+  if (rejectedFile) {
+    failures.push({
+      rule: 'accept',
+      messageKey: 'invalid_file_type',
+      params: { accept: parseAccept(rules.accept).join(', '), fileName: getFileInfo(rejectedFile).name }
+    })
+  }
+  const largeFile = rules.maxSize ? files.find((file) => getFileInfo(file).size > rules.maxSize) : null
+  if (largeFile) {
+    failures.push({
+      rule: 'maxSize',
+      messageKey: 'max_file_size',
+      params: { maxSize: formatFileSize(rules.maxSize), fileName: getFileInfo(largeFile).name }
+    })
+  }
+  return failures
+}
+
+/**
+ * Lee un archivo como data URL.
+ *
+ * @param {File} file - Archivo.
+ * @returns {Promise<FileData>} - Archivo leído.
+ */
+export const readFileAsDataURL = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => {
+    resolve({
+      dataURL: reader.result,
+      fileName: file.name,
+      fileSize: file.size,
+      fileType: file.type
+    })
+  }
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(file)
+})
+
+/**
+ * Obtiene el ancho y alto de una imagen. Los `File` se cargan con una URL temporal, sin leerlos en memoria.
+ *
+ * @param {File|FileData} file - Imagen.
+ * @returns {Promise<{ width: number, height: number }>} - Dimensiones de la imagen.
+ */
+export const getImageSize = (file) => new Promise((resolve, reject) => {
+  const objectURL = file.dataURL ? null : URL.createObjectURL(file)
+  const image = new Image()
+  const release = () => objectURL && URL.revokeObjectURL(objectURL)
+  image.onload = () => {
+    release()
+    resolve({ width: image.naturalWidth || image.width, height: image.naturalHeight || image.height })
+  }
+  image.onerror = () => {
+    release()
+    reject(new Error(`No se pudo cargar la imagen ${getFileInfo(file).name}.`))
+  }
+  image.src = file.dataURL || objectURL
+})
+
+/**
+ * Valida las dimensiones de las imágenes de una lista de archivos. Los archivos que no son imágenes se ignoran.
+ *
+ * @param {Array<File|FileData>} files - Archivos seleccionados.
+ * @param {ImageDimensions} dimensions - Dimensiones permitidas.
+ * @returns {Promise<FileFailure|null>} - Primera regla que falló, o `null` si todas las imágenes son válidas.
+ */
+export const validateImageDimensions = async (files = [], dimensions = {}) => {
+  const images = files.filter((file) => getFileInfo(file).type.startsWith('image/'))
+  for (const image of images) {
+    const { width, height } = await getImageSize(image)
+    const params = { ...dimensions, width, height, fileName: getFileInfo(image).name }
+    if (dimensions.minWidth && width < dimensions.minWidth) {
+      return { rule: 'dimensions', messageKey: 'image_min_width', params }
+    }
+    if (dimensions.maxWidth && width > dimensions.maxWidth) {
+      return { rule: 'dimensions', messageKey: 'image_max_width', params }
+    }
+    if (dimensions.minHeight && height < dimensions.minHeight) {
+      return { rule: 'dimensions', messageKey: 'image_min_height', params }
+    }
+    if (dimensions.maxHeight && height > dimensions.maxHeight) {
+      return { rule: 'dimensions', messageKey: 'image_max_height', params }
+    }
+  }
+  return null
+}
+
+const isFile = (value) => typeof Blob !== 'undefined' && value instanceof Blob
+
+/**
+ * Convierte los datos de un formulario en un `FormData`. Los objetos anidados usan rutas (`address.city`,
+ * `items[0].price`) y las listas de archivos se agregan con el nombre del campo, una entrada por archivo.
+ *
+ * @param {object} values - Datos del formulario.
+ * @returns {FormData} - Datos listos para enviar con `fetch`.
+ */
+export const toFormData = (values = {}) => {
+  const formData = new FormData()
+  const append = (path, value) => {
+    if (value === undefined || value === null) {
+      return
+    }
+    if (isFile(value)) {
+      formData.append(path, value)
+    } else if (Array.isArray(value)) {
+      if (value.length > 0 && value.every(isFile)) {
+        value.forEach((file) => formData.append(path, file))
+      } else {
+        value.forEach((item, index) => append(`${path}[${index}]`, item))
+      }
+    } else if (typeof value === 'object' && !(value instanceof Date)) {
+      Object.keys(value).forEach((key) => append(path ? `${path}.${key}` : key, value[key]))
+    } else {
+      formData.append(path, value instanceof Date ? value.toISOString() : String(value))
+    }
+  }
+  append('', values)
+  return formData
+}
@@ -0,0 +1,84 @@
+import { useRef, useSyncExternalStore } from 'react'
+
+/**
+ * @typedef {Object} FormStore
+ * @property {() => Object} getState - Devuelve el estado actual.
+ * @property {(key: string) => number} getVersion - Número de veces que cambió una parte del estado.
+ * @property {(key: string, update: any) => void} setState - Cambia una parte del estado. Acepta un valor o una función
+ * que recibe el valor anterior, como los `setState` de React.
+ * @property {(listener: (key: string) => void) => () => void} subscribe - Se suscribe a los cambios; el listener recibe
+ * la parte del estado que cambió. Devuelve la función para cancelar la suscripción.
+ */
+
+/**
+ * Crea el almacén del estado de un formulario. Cada parte del estado (`inputs`, `errors`, ...) se actualiza por separado,
+ * para que los componentes solo se vuelvan a renderizar cuando cambia lo que usan.
+ *
+ * @param {Object} initialState - Estado inicial.
+ * @returns {FormStore} - Almacén del formulario.
+ */
+export const createFormStore = (initialState) => {
+  let state = initialState
+  const versions = {}
+  const listeners = new Set()
+
+  return {
+    getState: () => state,
+    getVersion: (key) => versions[key] || 0,
+    setState: (key, update) => {
+      const value = typeof update === 'function' ? update(state[key]) : update
+      if (Object.is(value, state[key])) {
+        return
+      }
+      state = { ...state, [key]: value }
+      versions[key] = (versions[key] || 0) + 1
+      listeners.forEach((listener) => listener(key))
+    },
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    }
+  }
+}
+
+/**
+ * Compara dos valores superficialmente: los objetos y listas son iguales si tienen las mismas claves con los mismos valores.
+ *
+ * @param {any} a - Primer valor.
+ * @param {any} b - Segundo valor.
+ * @returns {boolean} - `true` si son iguales.
+ */
+export const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) {
+    return true
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false
+  }
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]))
+}
+
+/**
+ * Hook que se suscribe a una parte del estado de un almacén. El componente solo se vuelve a renderizar cuando cambia
+ * el valor seleccionado.
+ *
+ * @param {FormStore} store - Almacén del formulario.
+ * @param {(state: Object) => any} selector - Obtiene el valor a partir del estado.
+ * @param {(a: any, b: any) => boolean} [isEqual] - Compara el valor anterior con el nuevo. Por defecto `shallowEqual`.
+ * @returns {any} - Valor seleccionado.
+ */
+export const useStoreSelector = (store, selector, isEqual = shallowEqual) => {
+  const cache = useRef(null)
+  const getSelection = () => {
+    const state = store.getState()
+    if (cache.current?.state === state && cache.current.selector === selector) {
+      return cache.current.selection
+    }
+    const selection = selector(state)
+    const isSame = cache.current && isEqual(cache.current.selection, selection)
+    cache.current = { state, selector, selection: isSame ? cache.current.selection : selection }
+    return cache.current.selection
+  }
+  return useSyncExternalStore(store.subscribe, getSelection)
+}
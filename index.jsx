@@ -1,4 +1,82 @@
 import useFormValidate from "./useFormValidate";
+import useFieldArray from "./useFieldArray";
+import useField from "./useField";
+import useFormState from "./useFormState";
+import useFormSteps from "./useFormSteps";
+import { FormProvider, useFormContext } from "./FormContext";
+import Form from "./Form";
+import Field from "./Field";
+import ErrorMessage from "./ErrorMessage";
+import ErrorSummary from "./ErrorSummary";
+import { jsonSchemaResolver, safeParseResolver, validateResolver } from "./schemaResolvers";
+import { locales, registerLocale } from "./locales";
+import { formatMoney, parseMoney, validateMoney } from "./money";
+import { registerRule, unregisterRule } from "./ruleRegistry";
+import { applyMask, formatPhone, validatePhone, PHONE_COUNTRIES } from "./masks";
+import { toFormData, validateFiles } from "./files";
+import { defaultServerErrorAdapter } from "./serverErrors";
+import { coerceValue, parseFieldValue } from "./transforms";
+import {
+    isEmail,
+    isUrl,
+    isDate,
+    parseDate,
+    formatDate,
+    isDateInRange,
+    isInteger,
+    isStepMatch,
+    matchesPattern,
+    isOneOf,
+    getPasswordChecks,
+    isStrongPassword,
+    getPasswordStrength,
+    isLuhnValid,
+    isCreditCard
+} from "./validators";
 export {
-    useFormValidate
+    useFormValidate,
+    useFieldArray,
+    useField,
+    useFormState,
+    useFormSteps,
+    FormProvider,
+    useFormContext,
+    Form,
+    Field,
+    ErrorMessage,
+    ErrorSummary,
+    jsonSchemaResolver,
+    safeParseResolver,
+    validateResolver,
+    locales,
+    registerLocale,
+    formatMoney,
+    parseMoney,
+    validateMoney,
+    applyMask,
+    formatPhone,
+    validatePhone,
+    PHONE_COUNTRIES,
+    toFormData,
+    validateFiles,
+    defaultServerErrorAdapter,
+    coerceValue,
+    parseFieldValue,
+    isEmail,
+    isUrl,
+    isDate,
+    parseDate,
+    formatDate,
+    isDateInRange,
+    isInteger,
+    isStepMatch,
+    matchesPattern,
+    isOneOf,
+    getPasswordChecks,
+    isStrongPassword,
+    getPasswordStrength,
+    isLuhnValid,
+    isCreditCard,
+    registerRule,
+    unregisterRule
 }
\ No newline at end of file
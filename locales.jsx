@@ -0,0 +1,131 @@
+/**
+ * Mensajes de error en español.
+ */
+export const es = {
+  is_type_file: 'Debe seleccionar un archivo',
+  min_files: 'Debe seleccionar al menos {minFiles} archivos',
+  max_files: 'No debe seleccionar más de {maxFiles} archivos',
+  invalid_file_type: 'El archivo {fileName} no es de un tipo permitido ({accept})',
+  max_file_size: 'El archivo {fileName} no debe superar {maxSize}',
+  image_min_width: 'La imagen debe tener al menos {minWidth} px de ancho',
+  image_max_width: 'La imagen no debe superar {maxWidth} px de ancho',
+  image_min_height: 'La imagen debe tener al menos {minHeight} px de alto',
+  image_max_height: 'La imagen no debe superar {maxHeight} px de alto',
+  invalid_image: 'No se pudo cargar la imagen',
+  file_read_error: 'No se pudo leer el archivo',
+  is_type_checkbox: 'Debe seleccionar al menos una opción',
+  is_type_radio: 'Debe seleccionar una opción',
+  is_required: 'Campo obligatorio',
+  is_type_money: 'Debe ser un valor numérico válido para dinero',
+  min_length: 'El campo debe tener al menos {minLength} caracteres',
+  max_length: 'El campo no debe exceder los {maxLength} caracteres',
+  min: 'El campo debe tener al menos {min}',
+  max: 'El campo no debe exceder los {max}',
+  fields_not_match: 'Los campos no coinciden',
+  greater_than: 'Debe ser mayor que {field}',
+  less_than: 'Debe ser menor que {field}',
+  invalid_email: 'Ingrese un correo electrónico válido',
+  invalid_phone: 'Ingrese un numero telefónico válido',
+  invalid_date: 'Ingrese una fecha válida',
+  invalid_number: 'Ingrese un número válido',
+  not_integer: 'Ingrese un número entero',
+  invalid_step: 'Ingrese un múltiplo de {step}',
+  min_date: 'La fecha debe ser igual o posterior a {minDate}',
+  max_date: 'La fecha debe ser igual o anterior a {maxDate}',
+  weak_password: 'La contraseña no es lo bastante segura',
+  invalid_credit_card: 'Ingrese un número de tarjeta válido',
+  invalid_url: 'Ingrese una url válida',
+  invalid_type: 'El valor no es del tipo esperado',
+  invalid_format: 'El valor no tiene un formato válido',
+  invalid_option: 'Seleccione una opción válida',
+  custom_validation: 'Error de validación personalizada'
+}
+
+/**
+ * Mensajes de error en inglés.
+ */
+export const en = {
+  is_type_file: 'Please select a file',
+  min_files: 'Select at least {minFiles} files',
+  max_files: 'Select no more than {maxFiles} files',
+  invalid_file_type: 'The file {fileName} is not an allowed type ({accept})',
+  max_file_size: 'The file {fileName} must not exceed {maxSize}',
+  image_min_width: 'The image must be at least {minWidth} px wide',
+  image_max_width: 'The image must not exceed {maxWidth} px wide',
+  image_min_height: 'The image must be at least {minHeight} px high',
+  image_max_height: 'The image must not exceed {maxHeight} px high',
+  invalid_image: 'The image could not be loaded',
+  file_read_error: 'The file could not be read',
+  is_type_checkbox: 'Please select at least one option',
+  is_type_radio: 'Please select an option',
+  is_required: 'This field is required',
+  is_type_money: 'Must be a valid money amount',
+  min_length: 'Must be at least {minLength} characters',
+  max_length: 'Must not exceed {maxLength} characters',
+  min: 'Must be at least {min}',
+  max: 'Must not exceed {max}',
+  fields_not_match: 'Fields do not match',
+  greater_than: 'Must be greater than {field}',
+  less_than: 'Must be less than {field}',
+  invalid_email: 'Enter a valid email address',
+  invalid_phone: 'Enter a valid phone number',
+  invalid_date: 'Enter a valid date',
+  invalid_number: 'Enter a valid number',
+  not_integer: 'Enter a whole number',
+  invalid_step: 'Enter a multiple of {step}',
+  min_date: 'The date must be on or after {minDate}',
+  max_date: 'The date must be on or before {maxDate}',
+  weak_password: 'The password is not strong enough',
+  invalid_credit_card: 'Enter a valid card number',
+  invalid_url: 'Enter a valid URL',
+  invalid_type: 'The value does not have the expected type',
+  invalid_format: 'The value does not have a valid format',
+  invalid_option: 'Select a valid option',
+  custom_validation: 'Custom validation error'
+}
+
+/**
+ * Paquetes de mensajes disponibles por idioma.
+ */
+export const locales = { es, en }
+
+/**
+ * Registra (o amplía) un paquete de mensajes para un idioma.
+ *
+ * @param {string} locale - Código del idioma (por ejemplo `pt`).
+ * @param {object} messages - Mensajes del idioma. Se combinan con los ya registrados para ese idioma.
+ */
+export const registerLocale = (locale, messages) => {
+  locales[locale] = mergeMessages(locales[locale] || {}, messages)
+}
+
+/**
+ * Combina recursivamente mensajes personalizados sobre unos mensajes base.
+ * Las claves que no se indiquen conservan el mensaje base.
+ *
+ * @param {object} base - Mensajes base.
+ * @param {object} [overrides] - Mensajes personalizados.
+ * @returns {object} - Nuevo objeto con los mensajes combinados.
+ */
+export const mergeMessages = (base = {}, overrides = {}) => {
+  const result = { ...base }
+  Object.keys(overrides || {}).forEach((key) => {
+    const value = overrides[key]
+    if (value && typeof value === 'object' && !Array.isArray(value) && typeof base[key] === 'object') {
+      result[key] = mergeMessages(base[key], value)
+    } else if (value !== undefined) {
+      result[key] = value
+    }
+  })
+  return result
+}
+
+/**
+ * Reemplaza los marcadores `{param}` de un mensaje. Los marcadores sin valor se dejan tal cual.
+ *
+ * @param {string} message - Mensaje con marcadores.
+ * @param {object} [params] - Valores de los marcadores.
+ * @returns {string} - Mensaje con los marcadores reemplazados.
+ */
+export const interpolate = (message = '', params = {}) =>
+  String(message).replace(/\{(\w+)\}/g, (match, key) => (params[key] !== undefined && params[key] !== null ? params[key] : match))
@@ -0,0 +1,203 @@
+/**
+ * Caracteres especiales de los patrones de máscara. Cualquier otro carácter del patrón es un literal.
+ * - `9`: un dígito.
+ * - `A`: una letra.
+ * - `*`: una letra o un dígito.
+ */
+export const MASK_TOKENS = {
+  9: /[0-9]/,
+  A: /[A-Za-zÀ-ÿ]/,
+  '*': /[A-Za-zÀ-ÿ0-9]/
+}
+
+/**
+ * Formatos de teléfono por país: prefijo internacional, patrones de máscara (de menor a mayor) y longitudes válidas
+ * del número nacional.
+ */
+export const PHONE_COUNTRIES = {
+  AR: { code: '54', masks: ['99 9999-9999'], lengths: [10] },
+  BR: { code: '55', masks: ['(99) 9999-9999', '(99) 99999-9999'], lengths: [10, 11] },
+  CA: { code: '1', masks: ['(999) 999-9999'], lengths: [10] },
+  CL: { code: '56', masks: ['9 9999 9999'], lengths: [9] },
+  CO: { code: '57', masks: ['999 999 9999'], lengths: [10] },
+  EC: { code: '593', masks: ['99 999 9999'], lengths: [9] },
+  ES: { code: '34', masks: ['999 99 99 99'], lengths: [9] },
+  MX: { code: '52', masks: ['99 9999 9999'], lengths: [10] },
+  PE: { code: '51', masks: ['999 999 999'], lengths: [9] },
+  US: { code: '1', masks: ['(999) 999-9999'], lengths: [10] }
+}
+
+/**
+ * Quita los caracteres que no son letras ni dígitos (los literales de la máscara).
+ *
+ * @param {string} value - Valor con máscara.
+ * @returns {string} - Valor sin máscara.
+ */
+export const unmask = (value = '') => String(value).replace(/[^A-Za-zÀ-ÿ0-9]/g, '')
+
+/**
+ * Cuenta las posiciones editables (tokens) de un patrón.
+ *
+ * @param {string} pattern - Patrón de la máscara.
+ * @returns {number} - Número de caracteres que admite el patrón.
+ */
+const countTokens = (pattern) => [...pattern].filter((char) => char in MASK_TOKENS).length
+
+/**
+ * Aplica una máscara a un valor. Los caracteres que no encajan en su posición se descartan y los literales
+ * solo se agregan mientras quedan caracteres por colocar.
+ *
+ * @param {string} value - Valor escrito.
+ * @param {string|string[]|((value: string) => string)} mask - Patrón (por ejemplo `(999) 999-9999`), lista de patrones
+ * de menor a mayor longitud, o función que recibe el valor y devuelve el valor con máscara.
+ * @returns {string} - Valor con máscara.
+ */
+export const applyMask = (value = '', mask) => {
+  if (typeof mask === 'function') {
+    return mask(String(value))
+  }
+  const raw = unmask(value)
+  const patterns = [].concat(mask)
+  const pattern = patterns.find((candidate) => countTokens(candidate) >= raw.length) || patterns[patterns.length - 1]
+  let result = ''
+  let index = 0
+  for (const char of pattern) {
+    if (index >= raw.length) {
+      break
+    }
+    if (char in MASK_TOKENS) {
+      while (index < raw.length && !MASK_TOKENS[char].test(raw[index])) {
+        index++
+      }
+      if (index >= raw.length) {
+        break
+      }
+      result += raw[index++]
+    } else {
+      result += char
+    }
+  }
+  return result
+}
+
+/**
+ * Indica si un valor completa alguno de los patrones de la máscara.
+ * Las máscaras definidas con una función siempre se consideran completas.
+ *
+ * @param {string} value - Valor con máscara.
+ * @param {string|string[]|Function} mask - Máscara del campo.
+ * @returns {boolean} - `true` si el valor está completo.
+ */
+export const isMaskComplete = (value, mask) => {
+  if (typeof mask === 'function') {
+    return true
+  }
+  return [].concat(mask).some((pattern) => applyMask(value, pattern) === value && value.length === pattern.length)
+}
+
+/**
+ * Calcula la posición del cursor después de aplicar una máscara, conservando el número de letras y dígitos
+ * que había a su izquierda.
+ *
+ * @param {string} rawValue - Valor escrito antes de aplicar la máscara.
+ * @param {number} caret - Posición del cursor en el valor escrito.
+ * @param {string} maskedValue - Valor con máscara.
+ * @returns {number} - Posición del cursor en el valor con máscara.
+ */
+export const getMaskCaretPosition = (rawValue, caret, maskedValue) => {
+  const significantBefore = unmask(String(rawValue).slice(0, caret)).length
+  let seen = 0
+  for (let index = 0; index < maskedValue.length; index++) {
+    if (seen === significantBefore) {
+      return index
+    }
+    if (unmask(maskedValue[index])) {
+      seen++
+    }
+  }
+  return maskedValue.length
+}
+
+/**
+ * Obtiene el formato de teléfono de un país.
+ *
+ * @param {{ country: string }} config - Valor de la regla `phone`.
+ * @returns {{ code: string, masks: string[], lengths: number[] }} - Formato del país.
+ */
+const getPhoneCountry = (config) => {
+  const country = PHONE_COUNTRIES[String(config.country).toUpperCase()]
+  if (!country) {
+    throw new Error(`No hay formato de teléfono para el país "${config.country}".`)
+  }
+  return country
+}
+
+/**
+ * Separa un teléfono en número nacional y si se escribió con prefijo internacional.
+ *
+ * @param {string} value - Teléfono escrito.
+ * @param {{ code: string, lengths: number[] }} country - Formato del país.
+ * @returns {{ national: string, international: boolean, foreign: boolean }} - Partes del teléfono.
+ */
+const splitPhone = (value, country) => {
+  const digits = String(value).replace(/\D/g, '')
+  const hasPlus = String(value).trim().startsWith('+')
+  const maxLength = Math.max(...country.lengths)
+  if (hasPlus || (digits.startsWith(country.code) && digits.length > maxLength)) {
+    if (!digits.startsWith(country.code)) {
+      return { national: digits, international: true, foreign: true }
+    }
+    return { national: digits.slice(country.code.length), international: true, foreign: false }
+  }
+  return { national: digits, international: false, foreign: false }
+}
+
+/**
+ * Formatea un teléfono según el país configurado. Si se escribe con el prefijo internacional
+ * (`+57 ...`), se conserva.
+ *
+ * @param {string} value - Teléfono escrito.
+ * @param {{ country: string }} config - Valor de la regla `phone`.
+ * @returns {string} - Teléfono formateado.
+ */
+export const formatPhone = (value = '', config) => {
+  const country = getPhoneCountry(config)
+  const { national, international, foreign } = splitPhone(value, country)
+  if (foreign) {
+    return `+${national}`
+  }
+  const formatted = applyMask(national.slice(0, Math.max(...country.lengths)), country.masks)
+  return international ? `+${country.code}${formatted ? ` ${formatted}` : ''}` : formatted
+}
+
+/**
+ * Valida un teléfono. Con `phone: true` acepta entre 6 y 15 dígitos; con `phone: { country }` exige la longitud
+ * del número nacional del país, con o sin su prefijo internacional.
+ *
+ * @param {string} value - Teléfono a validar.
+ * @param {boolean|{ country: string }} config - Valor de la regla `phone`.
+ * @returns {boolean} - `true` si el teléfono es válido.
+ */
+export const validatePhone = (value = '', config) => {
+  if (!config || typeof config !== 'object') {
+    const digits = String(value).replace(/\D/g, '')
+    return digits.length >= 6 && digits.length <= 15
+  }
+  const country = getPhoneCountry(config)
+  const { national, foreign } = splitPhone(value, country)
+  return !foreign && country.lengths.includes(national.length)
+}
+
+/**
+ * Obtiene el valor sin máscara que se envía con la regla `unmask`. En los teléfonos se conserva el `+` inicial.
+ *
+ * @param {string} value - Valor con máscara.
+ * @param {object} rules - Reglas del campo.
+ * @returns {string} - Valor sin máscara.
+ */
+export const getUnmaskedValue = (value = '', rules = {}) => {
+  if (rules.phone) {
+    return `${String(value).trim().startsWith('+') ? '+' : ''}${String(value).replace(/\D/g, '')}`
+  }
+  return unmask(value)
+}
@@ -0,0 +1,194 @@
+/**
+ * @typedef {Object} MoneyConfig
+ * @property {string} [locale] - Locale de `Intl.NumberFormat` para separadores y agrupación (por ejemplo `en-US`, `es-MX`).
+ * @property {string} [currency] - Código de moneda ISO 4217 para mostrar su símbolo (por ejemplo `USD`).
+ * @property {string} [thousandsSeparator] - Separador de miles. Por defecto el del locale.
+ * @property {string} [decimalSeparator] - Separador decimal. Por defecto el del locale.
+ * @property {number} [decimals] - Número máximo de decimales. Por defecto el de la moneda, o 2.
+ * @property {boolean} [allowNegative] - Permite valores negativos.
+ * @property {'number'|'cents'|'string'} [output] - Valor enviado en `handleSubmit`: número, entero en centavos o
+ * cadena con punto decimal. Por defecto `number`.
+ */
+
+/**
+ * Formato usado por la regla `money: true`: punto para miles, coma para decimales y envío como cadena.
+ */
+export const LEGACY_MONEY_FORMAT = {
+  thousandsSeparator: '.',
+  decimalSeparator: ',',
+  decimals: 2,
+  allowNegative: false,
+  prefix: '',
+  suffix: '',
+  output: 'string',
+  resolved: true
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Obtiene el formato completo de una regla `money`, usando `Intl.NumberFormat` para los valores que no se indiquen.
+ *
+ * @param {boolean|MoneyConfig} config - Valor de la regla `money`.
+ * @returns {MoneyConfig & { prefix: string, suffix: string }} - Formato de dinero.
+ */
+export const getMoneyFormat = (config) => {
+  if (!config || typeof config !== 'object') {
+    return LEGACY_MONEY_FORMAT
+  }
+  if (config.resolved) {
+    return config
+  }
+  const formatter = new Intl.NumberFormat(config.locale, config.currency
+    ? { style: 'currency', currency: config.currency }
+    : { maximumFractionDigits: 2 })
+  const parts = formatter.formatToParts(-1234567.5)
+  const firstNumber = parts.findIndex(({ type }) => type === 'integer')
+  const lastNumber = parts.map(({ type }) => type).lastIndexOf(parts.some(({ type }) => type === 'fraction') ? 'fraction' : 'integer')
+  const affix = (list) => list.filter(({ type }) => type !== 'minusSign').map(({ value }) => value).join('')
+
+  return {
+    thousandsSeparator: parts.find(({ type }) => type === 'group')?.value ?? '',
+    decimalSeparator: parts.find(({ type }) => type === 'decimal')?.value ?? '.',
+    decimals: formatter.resolvedOptions().maximumFractionDigits,
+    allowNegative: false,
+    output: 'number',
+    ...config,
+    prefix: config.prefix ?? affix(parts.slice(0, firstNumber)),
+    suffix: config.suffix ?? affix(parts.slice(lastNumber + 1)),
+    useIntlGrouping: !config.thousandsSeparator && Boolean(config.locale),
+    resolved: true
+  }
+}
+
+/**
+ * Separa un valor escrito por el usuario en signo, parte entera y parte decimal.
+ *
+ * @param {string} value - Valor a separar.
+ * @param {object} format - Formato de dinero.
+ * @returns {{ negative: boolean, integer: string, fraction: string|null }} - Partes del valor.
+ */
+const splitMoney = (value, format) => {
+  const text = String(value ?? '')
+  const negative = format.allowNegative && text.includes('-')
+  const cleaned = text.replace(new RegExp(`[^0-9${escapeRegExp(format.decimalSeparator)}]`, 'g'), '')
+  const [integer, ...fraction] = cleaned.split(format.decimalSeparator)
+  return {
+    negative,
+    integer: integer.replace(/^0+(?=\d)/, ''),
+    fraction: fraction.length > 0 ? fraction.join('') : null
+  }
+}
+
+/**
+ * Agrupa los miles de una parte entera.
+ *
+ * @param {string} integer - Dígitos de la parte entera.
+ * @param {object} format - Formato de dinero.
+ * @returns {string} - Parte entera agrupada.
+ */
+const groupInteger = (integer, format) => {
+  if (format.useIntlGrouping && integer.length <= 15) {
+    return new Intl.NumberFormat(format.locale, { maximumFractionDigits: 0 }).format(Number(integer))
+  }
+  return integer.replace(/\B(?=(\d{3})+(?!\d))/g, format.thousandsSeparator)
+}
+
+/**
+ * Formatea un valor de dinero mientras el usuario escribe.
+ *
+ * @param {string} value - Valor escrito.
+ * @param {boolean|MoneyConfig} [config] - Valor de la regla `money`.
+ * @returns {string} - Valor formateado.
+ */
+export const formatMoney = (value = '', config) => {
+  const format = getMoneyFormat(config)
+  const { negative, integer, fraction } = splitMoney(value, format)
+  if (!integer && fraction === null) {
+    return negative ? '-' : ''
+  }
+  const decimals = fraction !== null && format.decimals > 0
+    ? `${format.decimalSeparator}${fraction.slice(0, format.decimals)}`
+    : ''
+  return `${negative ? '-' : ''}${format.prefix}${groupInteger(integer || '0', format)}${decimals}${format.suffix}`
+}
+
+/**
+ * Quita el símbolo de moneda y los espacios de un valor.
+ *
+ * @param {string} value - Valor a limpiar.
+ * @param {object} format - Formato de dinero.
+ * @returns {string} - Valor sin símbolo ni espacios.
+ */
+const stripAffixes = (value, format) => [format.prefix, format.suffix]
+  .filter(Boolean)
+  .reduce((result, affix) => result.split(affix.trim()).join(''), String(value))
+  .replace(/\s/g, '')
+
+/**
+ * Valida si un valor tiene el formato de dinero de la regla.
+ *
+ * @param {string} value - Valor a validar.
+ * @param {boolean|MoneyConfig} [config] - Valor de la regla `money`.
+ * @returns {boolean} - `true` si es un valor de dinero válido, `false` en caso contrario.
+ */
+export const validateMoney = (value, config) => {
+  const format = getMoneyFormat(config)
+  const text = stripAffixes(value, format)
+  if (!/\d/.test(text) || text.endsWith(format.decimalSeparator)) {
+    return false
+  }
+  if (!format.allowNegative && text.includes('-')) {
+    return false
+  }
+  return stripAffixes(formatMoney(text, format), format) === text
+}
+
+/**
+ * Convierte un valor de dinero formateado en el valor que se envía en `handleSubmit`.
+ *
+ * @param {string} value - Valor formateado.
+ * @param {boolean|MoneyConfig} [config] - Valor de la regla `money`.
+ * @returns {number|string} - Número, entero en centavos o cadena con punto decimal, según `output`.
+ */
+export const parseMoney = (value, config) => {
+  const format = getMoneyFormat(config)
+  const { negative, integer, fraction } = splitMoney(value, format)
+  if (!integer && !fraction) {
+    return format.output === 'string' ? '' : null
+  }
+  const text = `${negative ? '-' : ''}${integer || '0'}${fraction ? `.${fraction}` : ''}`
+  if (format.output === 'string') {
+    return text
+  }
+  const amount = Number(text)
+  return format.output === 'cents' ? Math.round(amount * 10 ** format.decimals) : amount
+}
+
+/**
+ * Calcula la posición del cursor después de formatear, para que no salte al final mientras se escribe.
+ * Conserva el número de dígitos (y separador decimal) que había a la izquierda del cursor.
+ *
+ * @param {string} rawValue - Valor escrito antes de formatear.
+ * @param {number} caret - Posición del cursor en el valor escrito.
+ * @param {string} formattedValue - Valor formateado.
+ * @param {boolean|MoneyConfig} [config] - Valor de la regla `money`.
+ * @returns {number} - Posición del cursor en el valor formateado.
+ */
+export const getMoneyCaretPosition = (rawValue, caret, formattedValue, config) => {
+  const format = getMoneyFormat(config)
+  const isSignificant = (char) => /\d/.test(char) || char === format.decimalSeparator
+  const significantBefore = [...String(rawValue).slice(0, caret)].filter(isSignificant).length
+  // El cursor nunca queda antes del símbolo de moneda
+  const start = format.prefix ? formattedValue.indexOf(format.prefix) + format.prefix.length : 0
+  let seen = 0
+  for (let index = 0; index < formattedValue.length; index++) {
+    if (seen === significantBefore) {
+      return Math.max(index, start)
+    }
+    if (isSignificant(formattedValue[index])) {
+      seen++
+    }
+  }
+  return formattedValue.length - format.suffix.length
+}
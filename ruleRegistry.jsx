@@ -0,0 +1,88 @@
+/**
+ * @typedef {Object} RuleDefinition
+ * @property {(value: any, param: any, inputs: Object) => (boolean|string)} validate - Valida el valor. Recibe el valor de
+ * la regla en `getFieldProps` (por ejemplo `true` en `{ nit: true }`) y devuelve `true`, `false` o un mensaje de error.
+ * @property {string|Object.<string, string>} [message] - Mensaje por defecto, o un mensaje por idioma (`{ es, en }`).
+ * Se guarda en los mensajes con el nombre de la regla, así que `customErrorMessages` y `registerLocale` pueden reemplazarlo.
+ * @property {(value: string, param: any) => string} [format] - Formatea el valor mientras se escribe.
+ */
+
+/**
+ * Nombres de las reglas incluidas en el hook, que no se pueden reemplazar.
+ */
+export const BUILT_IN_RULES = [
+  'required', 'money', 'min', 'max', 'maxLength', 'minLength', 'isEqual', 'email', 'phone', 'date', 'validate',
+  'errorLabel', 'label', 'url', 'checkbox', 'radio', 'file', 'validateOnChange', 'onBlur', 'value', 'helperText',
+  'errorBoolean', 'debounce', 'allErrors', 'strictOptionalRules', 'mask', 'unmask', 'greaterThan', 'lessThan',
+  'requiredIf', 'when', 'deps', 'mode', 'reValidateMode', 'shouldUnregister', 'accept', 'maxSize', 'minFiles', 'maxFiles',
+  'dimensions', 'rawFiles', 'multiple', 'valueAs', 'trim', 'emptyAsNull', 'parse', 'transform', 'id',
+  'pattern', 'integer', 'step', 'minDate', 'maxDate', 'oneOf', 'password', 'creditCard'
+]
+
+const globalRules = {}
+
+/**
+ * Comprueba una definición de regla antes de registrarla.
+ *
+ * @param {string} name - Nombre de la regla.
+ * @param {RuleDefinition} definition - Definición de la regla.
+ */
+export const assertRuleDefinition = (name, definition) => {
+  if (!name || typeof name !== 'string') {
+    throw new Error("registerRule espera como primer parametro el nombre de la regla.")
+  }
+  if (BUILT_IN_RULES.includes(name)) {
+    throw new Error(`La regla "${name}" ya existe en useFormValidate y no se puede reemplazar.`)
+  }
+  if (!definition || typeof definition.validate !== 'function') {
+    throw new Error(`La regla "${name}" debe tener una funcion validate.`)
+  }
+}
+
+/**
+ * Registra una regla de validación disponible en todos los formularios.
+ *
+ * @param {string} name - Nombre de la regla (por ejemplo `nit`), que se usa como clave en las reglas del campo.
+ * @param {RuleDefinition} definition - Definición de la regla.
+ */
+export const registerRule = (name, definition) => {
+  assertRuleDefinition(name, definition)
+  globalRules[name] = definition
+}
+
+/**
+ * Elimina una regla registrada globalmente.
+ *
+ * @param {string} name - Nombre de la regla.
+ */
+export const unregisterRule = (name) => {
+  delete globalRules[name]
+}
+
+/**
+ * Combina las reglas globales con las de un formulario. Las del formulario tienen prioridad.
+ *
+ * @param {Object.<string, RuleDefinition>} [instanceRules] - Reglas registradas en el formulario.
+ * @returns {Object.<string, RuleDefinition>} - Reglas disponibles.
+ */
+export const getRegisteredRules = (instanceRules = {}) => ({ ...globalRules, ...instanceRules })
+
+/**
+ * Obtiene los mensajes por defecto de las reglas registradas para un idioma.
+ *
+ * @param {Object.<string, RuleDefinition>} rules - Reglas registradas.
+ * @param {string} locale - Idioma activo.
+ * @returns {Object.<string, string>} - Mensajes por nombre de regla.
+ */
+export const getRuleMessages = (rules, locale) => {
+  const messages = {}
+  Object.keys(rules).forEach((name) => {
+    const { message } = rules[name]
+    if (typeof message === 'string') {
+      messages[name] = message
+    } else if (message && typeof message === 'object') {
+      messages[name] = message[locale] ?? message.es ?? Object.values(message)[0]
+    }
+  })
+  return messages
+}
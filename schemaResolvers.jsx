@@ -0,0 +1,261 @@
+import { formatPath } from './fieldPaths'
+import { interpolate } from './locales'
+import { isDate, isEmail, isUrl } from './validators'
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {string} path - Ruta del campo con el error (por ejemplo `address.city` o `items[0].price`).
+ * @property {string} rule - Regla o palabra clave del esquema que falló.
+ * @property {string} message - Mensaje de error.
+ */
+
+/**
+ * @typedef {Object} SchemaResult
+ * @property {Object} [values] - Valores resultantes del esquema (con transformaciones aplicadas), si el esquema los produce.
+ * @property {SchemaIssue[]} issues - Errores encontrados. Vacío si los valores son válidos.
+ */
+
+/**
+ * @typedef {(values: Object, context: { messages: Object }) => (SchemaResult|Promise<SchemaResult>)} SchemaResolver
+ */
+
+const FORMATS = {
+  email: isEmail,
+  uri: (value) => isUrl(value),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && isDate(value),
+  'date-time': (value) => /T/.test(value) && isDate(value),
+}
+
+const FORMAT_MESSAGES = {
+  email: 'invalid_email',
+  uri: 'invalid_url',
+  date: 'invalid_date',
+  'date-time': 'invalid_date',
+}
+
+/**
+ * Intenta convertir un valor de formulario (normalmente una cadena) al tipo que espera el esquema.
+ *
+ * @param {any} value - Valor a convertir.
+ * @param {string} type - Tipo de JSON Schema.
+ * @returns {any} - Valor convertido, o el valor original si no se puede convertir.
+ */
+const coerce = (value, type) => {
+  if (typeof value !== 'string') {
+    return value
+  }
+  if ((type === 'number' || type === 'integer') && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value)
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true'
+  }
+  return value
+}
+
+/**
+ * Indica si un valor cumple un tipo de JSON Schema.
+ *
+ * @param {any} value - Valor a comprobar.
+ * @param {string} type - Tipo de JSON Schema.
+ * @returns {boolean} - `true` si el valor es del tipo indicado.
+ */
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'string': return typeof value === 'string'
+    case 'number': return typeof value === 'number' && !isNaN(value)
+    case 'integer': return Number.isInteger(value)
+    case 'boolean': return typeof value === 'boolean'
+    case 'array': return Array.isArray(value)
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value)
+    case 'null': return value === null
+    default: return true
+  }
+}
+
+/**
+ * Indica si un valor de formulario se considera ausente (los campos vacíos llegan como `''`).
+ *
+ * @param {any} value - Valor a comprobar.
+ * @returns {boolean} - `true` si el valor está ausente.
+ */
+const isMissing = (value) => value === undefined || value === null || value === ''
+
+/**
+ * Valida un valor contra un (sub)esquema JSON Schema y acumula los errores encontrados.
+ *
+ * @param {object} schema - Esquema JSON Schema.
+ * @param {any} value - Valor a validar.
+ * @param {Array<string|number>} path - Ruta del valor dentro del formulario.
+ * @param {object} messages - Mensajes de error.
+ * @param {SchemaIssue[]} issues - Lista donde se acumulan los errores.
+ * @returns {any} - Valor convertido según los tipos del esquema.
+ */
+const validateJsonSchema = (schema = {}, value, path, messages, issues) => {
+  const addIssue = (rule, messageKey, params) => {
+    issues.push({
+      path: formatPath(path),
+      rule,
+      message: schema.errorMessage || interpolate(messages[messageKey] || messages.custom_validation, params)
+    })
+  }
+  const types = [].concat(schema.type || [])
+  const coerced = types.reduce((current, type) => (matchesType(current, type) ? current : coerce(current, type)), value)
+
+  if (types.length > 0 && !types.some((type) => matchesType(coerced, type))) {
+    addIssue('type', 'invalid_type', { type: types.join(', ') })
+    return coerced
+  }
+  if (schema.enum && !schema.enum.some((option) => option === coerced)) {
+    addIssue('enum', 'invalid_option', { options: schema.enum.join(', ') })
+  }
+  if ('const' in schema && schema.const !== coerced) {
+    addIssue('const', 'invalid_option', { options: schema.const })
+  }
+
+  if (typeof coerced === 'string') {
+    if (schema.minLength !== undefined && coerced.length < schema.minLength) {
+      addIssue('minLength', 'min_length', { minLength: schema.minLength })
+    }
+    if (schema.maxLength !== undefined && coerced.length > schema.maxLength) {
+      addIssue('maxLength', 'max_length', { maxLength: schema.maxLength })
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(coerced)) {
+      addIssue('pattern', 'invalid_format', {})
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](coerced)) {
+      addIssue('format', FORMAT_MESSAGES[schema.format], {})
+    }
+  }
+
+  if (typeof coerced === 'number') {
+    if (schema.minimum !== undefined && coerced < schema.minimum) {
+      addIssue('minimum', 'min', { min: schema.minimum })
+    }
+    if (schema.maximum !== undefined && coerced > schema.maximum) {
+      addIssue('maximum', 'max', { max: schema.maximum })
+    }
+    if (schema.exclusiveMinimum !== undefined && coerced <= schema.exclusiveMinimum) {
+      addIssue('exclusiveMinimum', 'min', { min: schema.exclusiveMinimum })
+    }
+    if (schema.exclusiveMaximum !== undefined && coerced >= schema.exclusiveMaximum) {
+      addIssue('exclusiveMaximum', 'max', { max: schema.exclusiveMaximum })
+    }
+  }
+
+  if (Array.isArray(coerced)) {
+    if (schema.minItems !== undefined && coerced.length < schema.minItems) {
+      addIssue('minItems', 'min', { min: schema.minItems })
+    }
+    if (schema.maxItems !== undefined && coerced.length > schema.maxItems) {
+      addIssue('maxItems', 'max', { max: schema.maxItems })
+    }
+    if (schema.items) {
+      return coerced.map((item, index) => validateJsonSchema(schema.items, item, [...path, index], messages, issues))
+    }
+  }
+
+  if (matchesType(coerced, 'object')) {
+    const result = { ...coerced }
+    const required = schema.required || []
+    required.forEach((key) => {
+      if (isMissing(coerced[key])) {
+        issues.push({
+          path: formatPath([...path, key]),
+          rule: 'required',
+          message: schema.properties?.[key]?.errorMessage || messages.is_required
+        })
+      }
+    })
+    Object.keys(schema.properties || {}).forEach((key) => {
+      if (!isMissing(coerced[key])) {
+        result[key] = validateJsonSchema(schema.properties[key], coerced[key], [...path, key], messages, issues)
+      }
+    })
+    return result
+  }
+
+  return coerced
+}
+
+/**
+ * Crea un resolver para un esquema JSON Schema.
+ * Soporta `type`, `required`, `properties`, `items`, `enum`, `const`, `minLength`, `maxLength`, `pattern`,
+ * `format` (`email`, `uri`, `date`, `date-time`), `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+ * `minItems`, `maxItems` y un `errorMessage` por propiedad. Los valores de texto se convierten al tipo numérico
+ * o booleano indicado y los campos vacíos se consideran ausentes.
+ *
+ * @param {object} schema - Esquema JSON Schema.
+ * @returns {SchemaResolver} - Resolver para la opción `schema` de `useFormValidate`.
+ */
+export const jsonSchemaResolver = (schema) => (values, { messages = {} } = {}) => {
+  const issues = []
+  const parsed = validateJsonSchema(schema, values, [], messages, issues)
+  return { values: parsed, issues }
+}
+
+/**
+ * Crea un resolver para esquemas con `safeParse`/`safeParseAsync` (por ejemplo Zod).
+ *
+ * @param {{ safeParse?: Function, safeParseAsync?: Function }} schema - Esquema.
+ * @returns {SchemaResolver} - Resolver para la opción `schema` de `useFormValidate`.
+ */
+export const safeParseResolver = (schema) => async (values) => {
+  const result = schema.safeParseAsync
+    ? await schema.safeParseAsync(values)
+    : schema.safeParse(values)
+  if (result.success) {
+    return { values: result.data, issues: [] }
+  }
+  const issues = (result.error?.issues || []).map((issue) => ({
+    path: formatPath(issue.path),
+    rule: issue.code,
+    message: issue.message
+  }))
+  return { issues }
+}
+
+/**
+ * Crea un resolver para esquemas con `validate(values, { abortEarly })` que rechazan con un
+ * error con lista `inner` (por ejemplo Yup).
+ *
+ * @param {{ validate: Function }} schema - Esquema.
+ * @returns {SchemaResolver} - Resolver para la opción `schema` de `useFormValidate`.
+ */
+export const validateResolver = (schema) => async (values) => {
+  try {
+    const parsed = await schema.validate(values, { abortEarly: false })
+    return { values: parsed, issues: [] }
+  } catch (error) {
+    if (!error || (!error.inner && error.path === undefined)) {
+      throw error
+    }
+    const inner = error.inner?.length ? error.inner : [error]
+    const issues = inner.map((issue) => ({
+      path: formatPath(issue.path || ''),
+      rule: issue.type || 'validate',
+      message: issue.message
+    }))
+    return { issues }
+  }
+}
+
+/**
+ * Obtiene el resolver adecuado para la opción `schema`.
+ * Acepta un resolver (función), un esquema con `safeParse`, un esquema con `validate` o un JSON Schema.
+ *
+ * @param {SchemaResolver|object} schema - Resolver o esquema.
+ * @returns {SchemaResolver} - Resolver del esquema.
+ */
+export const getSchemaResolver = (schema) => {
+  if (typeof schema === 'function') {
+    return schema
+  }
+  if (typeof schema?.safeParse === 'function' || typeof schema?.safeParseAsync === 'function') {
+    return safeParseResolver(schema)
+  }
+  if (typeof schema?.validate === 'function') {
+    return validateResolver(schema)
+  }
+  return jsonSchemaResolver(schema)
+}
@@ -0,0 +1,88 @@
+import { flattenValues, formatPath } from './fieldPaths'
+
+/**
+ * @typedef {Object} ServerErrors
+ * @property {Object.<string, string|string[]>} fields - Mensajes de error por nombre de campo.
+ * @property {string} [formError] - Mensaje de error del formulario, que no pertenece a ningún campo.
+ */
+
+/**
+ * @typedef {(payload: any) => (ServerErrors|null)} ServerErrorAdapter
+ * Convierte la respuesta (o el error) de `onSubmit` en errores del formulario. Devuelve `null` si no son errores de
+ * validación del servidor.
+ */
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+
+/**
+ * Convierte un JSON Pointer (`/items/0/price` o `#/address/city`) en una ruta de campo (`items[0].price`).
+ *
+ * @param {string} pointer - JSON Pointer.
+ * @returns {string} - Ruta del campo.
+ */
+const pointerToPath = (pointer) => formatPath(
+  pointer.replace(/^#?\//, '').split('/').filter(Boolean)
+    .map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map((key) => (/^\d+$/.test(key) ? Number(key) : key))
+)
+
+/**
+ * Obtiene los mensajes por campo de una lista de errores (`[{ field, message }]`, `[{ name, reason }]` o
+ * `[{ pointer, detail }]`).
+ *
+ * @param {Array<Object>} list - Lista de errores.
+ * @param {Object.<string, string[]>} fields - Mensajes por campo, donde se agregan los encontrados.
+ */
+const collectErrorList = (list, fields) => {
+  list.forEach((item) => {
+    const pointer = item?.pointer || item?.source?.pointer
+    const name = item?.field || item?.name || item?.path || (pointer ? pointerToPath(pointer) : '')
+    const message = item?.message || item?.reason || item?.detail
+    if (name && message) {
+      fields[name] = [...(fields[name] || []), message]
+    }
+  })
+}
+
+/**
+ * Adaptador por defecto de los errores del servidor. Reconoce:
+ * - `{ errors: { email: ['Ya está registrado'] } }`, con un mensaje o una lista por campo y objetos anidados.
+ * - `{ errors: [{ field, message }] }`, también con `name`/`reason` o un JSON Pointer en `pointer`.
+ * - Problem details (RFC 7807), con un `status` numérico de error y `type`, `detail` o `invalid-params`: `invalid-params`
+ *   como errores de campo y `detail` (o `title`) como error del formulario.
+ * - `formError` como error del formulario.
+ *
+ * @type {ServerErrorAdapter}
+ */
+export const defaultServerErrorAdapter = (payload) => {
+  if (!payload || typeof payload !== 'object') {
+    return null
+  }
+  const fields = {}
+  if (Array.isArray(payload.errors)) {
+    collectErrorList(payload.errors, fields)
+  } else if (isPlainObject(payload.errors)) {
+    const entries = flattenValues(payload.errors)
+    Object.keys(entries).forEach((path) => {
+      if (entries[path] === null || entries[path] === undefined || entries[path] === '') {
+        return
+      }
+      // Los índices finales son la lista de mensajes del campo, no parte de su ruta
+      const name = path.replace(/\[\d+\]$/, '')
+      fields[name] = [...(fields[name] || []), String(entries[path])]
+    })
+  }
+  if (Array.isArray(payload['invalid-params'])) {
+    collectErrorList(payload['invalid-params'], fields)
+  }
+  // Un `title` solo no basta: muchas respuestas correctas lo tienen (`{ id: 1, title: 'Mi entrada' }`)
+  const isProblemDetails = isPlainObject(payload) && typeof payload.status === 'number' && payload.status >= 400 &&
+    ('type' in payload || 'detail' in payload || 'invalid-params' in payload)
+  const formError = typeof payload.formError === 'string'
+    ? payload.formError
+    : (isProblemDetails ? payload.detail || payload.title : '')
+  if (Object.keys(fields).length === 0 && !formError) {
+    return null
+  }
+  return { fields, formError }
+}
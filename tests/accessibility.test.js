@@ -0,0 +1,146 @@
+import React from 'react';
+import { render, renderHook, act, fireEvent, screen } from '@testing-library/react';
+import useFormValidate from '../useFormValidate';
+import Form from '../Form';
+import Field from '../Field';
+import ErrorMessage from '../ErrorMessage';
+import ErrorSummary from '../ErrorSummary';
+import { formatFieldId } from '../accessibility';
+
+describe('accessibility', () => {
+    beforeEach(() => {
+      Element.prototype.scrollIntoView = jest.fn();
+    });
+
+    afterEach(() => {
+      delete Element.prototype.scrollIntoView;
+    });
+
+    test('builds ids from field paths', () => {
+      expect(formatFieldId('email')).toBe('email');
+      expect(formatFieldId('items[0].price')).toBe('items-0-price');
+      expect(formatFieldId('address.city', 'checkout-')).toBe('checkout-address-city');
+    });
+
+    test('returns ids and aria attributes from getFieldProps', () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate(undefined, { idPrefix: 'signup-' });
+        form.getFieldProps('address.city', { required: true });
+        form.getFieldProps('plan', { radio: true, value: 'pro' });
+        form.getFieldProps('phone', { id: 'contact-phone' });
+        return form;
+      });
+
+      expect(result.current.getFieldProps('address.city', { required: true })).toMatchObject({
+        id: 'signup-address-city',
+        'aria-invalid': false,
+        'aria-required': true
+      });
+      expect(result.current.getFieldProps('address.city')['aria-describedby']).toBeUndefined();
+      expect(result.current.getFieldProps('plan', { radio: true, value: 'pro' }).id).toBe('signup-plan-pro');
+      expect(result.current.getFieldId('phone')).toBe('contact-phone');
+
+      act(() => {
+        result.current.setError('address.city', 'Ciudad desconocida');
+      });
+      expect(result.current.getFieldProps('address.city')).toMatchObject({
+        'aria-invalid': true,
+        'aria-describedby': 'signup-address-city-error'
+      });
+      expect(result.current.getErrorId('address.city')).toBe('signup-address-city-error');
+    });
+
+    test('keeps the id of the input unless the field asks for one', () => {
+      const Signup = () => {
+        const form = useFormValidate();
+        return (
+          <Form form={form} onSubmit={() => {}}>
+            <label htmlFor="signup-email">Correo</label>
+            <input id="signup-email" {...form.getFieldProps('email', { required: true })} />
+            <input aria-label="Teléfono" {...form.getFieldProps('phone', { id: 'contact-phone' })} />
+            <Field name="address.city" aria-label="Ciudad" />
+            <Field name="nickname" aria-label="Apodo" id="alias" />
+          </Form>
+        );
+      };
+
+      render(<Signup />);
+      expect(screen.getByLabelText('Correo').id).toBe('signup-email');
+      expect(screen.getByLabelText('Teléfono').id).toBe('contact-phone');
+      expect(screen.getByLabelText('Ciudad').id).toBe('address-city');
+      expect(screen.getByLabelText('Apodo').id).toBe('alias');
+    });
+
+    test('validates every field on submit and focuses the first one in the document', async () => {
+      const Signup = () => {
+        const form = useFormValidate();
+        // El correo se registra antes que el nombre, pero aparece después en el documento
+        const emailProps = form.getFieldProps('email', { required: true, email: true });
+        const nameProps = form.getFieldProps('name', { required: true });
+        return (
+          <Form form={form} onSubmit={() => {}}>
+            <ErrorSummary />
+            <input aria-label="Nombre" {...nameProps} />
+            <input aria-label="Correo" {...emailProps} />
+            <button type="submit">Enviar</button>
+          </Form>
+        );
+      };
+
+      render(<Signup />);
+      await act(async () => {
+        fireEvent.submit(screen.getByText('Enviar'));
+      });
+
+      expect(document.activeElement).toBe(screen.getByLabelText('Nombre'));
+      expect(screen.getByLabelText('Correo').getAttribute('aria-invalid')).toBe('true');
+      const links = [...screen.getByRole('alert').querySelectorAll('a')];
+      expect(links.map((link) => link.getAttribute('href'))).toEqual(['#name', '#email']);
+    });
+
+    test('focuses the first invalid field on submit and lists the errors', async () => {
+      const Signup = ({ shouldFocusError }) => {
+        const form = useFormValidate(undefined, { mode: 'onChange', shouldFocusError });
+        return (
+          <Form form={form} onSubmit={() => {}}>
+            <ErrorSummary title={<h2>Revise el formulario</h2>} />
+            <Field name="name" aria-label="Nombre" rules={{ required: true }} />
+            <ErrorMessage name="name" />
+            <Field name="email" aria-label="Correo" rules={{ required: true, email: true }} />
+            <ErrorMessage name="email" />
+            <button type="submit">Enviar</button>
+          </Form>
+        );
+      };
+
+      const { unmount } = render(<Signup />);
+      fireEvent.change(screen.getByLabelText('Correo'), { target: { value: 'ana@' } });
+      expect(screen.getByRole('alert').textContent).toBe('');
+
+      await act(async () => {
+        fireEvent.submit(screen.getByText('Enviar'));
+      });
+      const name = screen.getByLabelText('Nombre');
+      expect(document.activeElement).toBe(name);
+      expect(name.scrollIntoView).toHaveBeenCalledWith({ block: 'center', behavior: 'smooth' });
+      expect(name.getAttribute('aria-invalid')).toBe('true');
+      expect(document.getElementById(name.getAttribute('aria-describedby')).textContent).toBe('Campo obligatorio');
+
+      const summary = screen.getByRole('alert');
+      expect(summary.querySelector('h2').textContent).toBe('Revise el formulario');
+      const links = [...summary.querySelectorAll('a')];
+      expect(links.map((link) => [link.getAttribute('href'), link.textContent])).toEqual([
+        ['#name', 'Campo obligatorio'],
+        ['#email', 'Ingrese un correo electrónico válido']
+      ]);
+      fireEvent.click(links[1]);
+      expect(document.activeElement).toBe(screen.getByLabelText('Correo'));
+
+      unmount();
+      render(<Signup shouldFocusError={false} />);
+      await act(async () => {
+        fireEvent.submit(screen.getByText('Enviar'));
+      });
+      expect(document.activeElement).toBe(document.body);
+    });
+});
@@ -0,0 +1,57 @@
+import { parsePath, formatPath, setIn, getIn, flattenValue, flattenValues, matchArrayPath, isFieldInList, isOutsideArray } from '../fieldPaths';
+
+describe('fieldPaths', () => {
+    test('parses dotted and bracket paths', () => {
+      expect(parsePath('items[2].price')).toEqual(['items', 2, 'price']);
+      expect(parsePath('items.2.price')).toEqual(['items', 2, 'price']);
+      expect(parsePath('address.city')).toEqual(['address', 'city']);
+    });
+
+    test('formats key lists with dots and brackets', () => {
+      expect(formatPath(['items', 2, 'price'])).toBe('items[2].price');
+      expect(formatPath(['address', 'city'])).toBe('address.city');
+      expect(formatPath('email')).toBe('email');
+    });
+
+    test('sets and gets nested values creating arrays for indexes', () => {
+      const target = {};
+      setIn(target, 'items[1].price', 10);
+      setIn(target, 'address.city', 'Bogotá');
+      expect(target).toEqual({ items: [undefined, { price: 10 }], address: { city: 'Bogotá' } });
+      expect(getIn(target, 'items[1].price')).toBe(10);
+      expect(getIn(target, 'items[0].price')).toBeUndefined();
+    });
+
+    test('flattens nested values into relative paths', () => {
+      expect(flattenValue({ price: 1, tax: { rate: 2 }, tags: ['a'] })).toEqual({ '.price': 1, '.tax.rate': 2, '.tags[0]': 'a' });
+      expect(flattenValue('plain')).toEqual({ '': 'plain' });
+    });
+
+    test('flattens form values into field names', () => {
+      expect(flattenValues({ name: 'Ana', address: { city: 'Lima' }, items: [{ price: 1 }] }))
+        .toEqual({ name: 'Ana', 'address.city': 'Lima', 'items[0].price': 1 });
+      expect(flattenValues(undefined)).toEqual({});
+    });
+
+    test('matches paths belonging to a field array', () => {
+      expect(matchArrayPath('items', 'items[2].price')).toEqual({ index: 2, suffix: '.price' });
+      expect(matchArrayPath('items', 'items[0]')).toEqual({ index: 0, suffix: '' });
+      expect(matchArrayPath('items', 'itemsCount')).toBeNull();
+    });
+
+    test('matches fields and their nested fields against a list', () => {
+      expect(isFieldInList('address.city', ['address'])).toBe(true);
+      expect(isFieldInList('items[0].price', ['items'])).toBe(true);
+      expect(isFieldInList('email', ['email', 'name'])).toBe(true);
+      expect(isFieldInList('addressLine', ['address'])).toBe(false);
+    });
+
+    test('detects paths of rows missing from the values', () => {
+      const values = { name: 'Ana', items: [{ price: 1, tags: [] }] };
+      expect(isOutsideArray(values, 'items[1].price')).toBe(true);
+      expect(isOutsideArray(values, 'items[0].tags[0]')).toBe(true);
+      expect(isOutsideArray(values, 'items[0].price')).toBe(false);
+      expect(isOutsideArray(values, 'address.city')).toBe(false);
+      expect(isOutsideArray(undefined, 'items[3].price')).toBe(false);
+    });
+});
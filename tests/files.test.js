@@ -0,0 +1,56 @@
+import { formatFileSize, isAcceptedFile, validateFiles, validateImageDimensions, toFormData } from '../files';
+
+describe('files', () => {
+    const pdf = new File(['%PDF'], 'contrato.pdf', { type: 'application/pdf' });
+    const photo = new File(['x'.repeat(2048)], 'foto.JPG', { type: 'image/jpeg' });
+
+    test('matches MIME types, groups and extensions', () => {
+      expect(isAcceptedFile(photo, 'image/*')).toBe(true);
+      expect(isAcceptedFile(photo, '.jpg, .png')).toBe(true);
+      expect(isAcceptedFile(pdf, ['application/pdf'])).toBe(true);
+      expect(isAcceptedFile(pdf, 'image/*,.docx')).toBe(false);
+      expect(isAcceptedFile({ fileName: 'a.pdf', fileSize: 1, fileType: 'application/pdf' }, '.pdf')).toBe(true);
+    });
+
+    test('validates count, type and size without reading the files', () => {
+      expect(validateFiles([pdf, photo], { accept: '.pdf', maxSize: 1024, maxFiles: 1 }).map(({ rule }) => rule))
+        .toEqual(['maxFiles', 'accept', 'maxSize']);
+      expect(validateFiles([photo], { maxSize: 1024 })[0].params).toEqual({ maxSize: '1 KB', fileName: 'foto.JPG' });
+      expect(validateFiles([pdf], { minFiles: 2 })[0].messageKey).toBe('min_files');
+      expect(validateFiles([pdf], { accept: 'application/pdf', maxSize: 1024 })).toEqual([]);
+      expect(formatFileSize(5 * 1024 * 1024)).toBe('5 MB');
+    });
+
+    test('checks the dimensions of images only', async () => {
+      const OriginalImage = global.Image;
+      global.URL.createObjectURL = jest.fn(() => 'blob:foto');
+      global.URL.revokeObjectURL = jest.fn();
+      global.Image = class {
+        set src(value) {
+          this.width = 800;
+          this.height = 600;
+          setTimeout(() => this.onload());
+        }
+      };
+      await expect(validateImageDimensions([pdf, photo], { minWidth: 1024 })).resolves.toMatchObject({
+        rule: 'dimensions', messageKey: 'image_min_width', params: { width: 800, minWidth: 1024 }
+      });
+      await expect(validateImageDimensions([photo], { maxHeight: 600 })).resolves.toBeNull();
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:foto');
+      global.Image = OriginalImage;
+    });
+
+    test('converts nested values and file lists to FormData', () => {
+      const formData = toFormData({
+        name: 'Ana',
+        accepted: true,
+        empty: null,
+        address: { city: 'Lima' },
+        items: [{ price: 10 }],
+        documents: [pdf, photo]
+      });
+      expect([...formData.keys()]).toEqual(['name', 'accepted', 'address.city', 'items[0].price', 'documents', 'documents']);
+      expect(formData.get('accepted')).toBe('true');
+      expect(formData.getAll('documents').map((file) => file.name)).toEqual(['contrato.pdf', 'foto.JPG']);
+    });
+});
@@ -0,0 +1,110 @@
+import React from 'react';
+import { render, renderHook, act, fireEvent, screen } from '@testing-library/react';
+import useFormValidate from '../useFormValidate';
+import useFormState from '../useFormState';
+import { FormProvider, useFormContext } from '../FormContext';
+import Form from '../Form';
+import Field from '../Field';
+import ErrorMessage from '../ErrorMessage';
+
+describe('Form context and components', () => {
+
+    test('connects nested fields without passing the form', async () => {
+      const onSubmit = jest.fn();
+
+      const TextInput = React.forwardRef(({ label, error, ...props }, ref) => (
+        <label>
+          {label}
+          <input aria-label={label} ref={ref} {...props} />
+          {error && <small>{error}</small>}
+        </label>
+      ));
+
+      const SubmitButton = () => {
+        const submitCount = useFormState((state) => state.submitCount);
+        return <button type="submit">Enviar ({submitCount})</button>;
+      };
+
+      const Section = () => (
+        <fieldset>
+          <Field name="name" as={TextInput} label="Nombre" rules={{ required: true, minLength: 3 }} />
+          <Field name="email" aria-label="Correo" rules={{ required: true, email: true }} />
+          <ErrorMessage name="email" role="alert" />
+          <SubmitButton />
+        </fieldset>
+      );
+
+      const Signup = () => {
+        const form = useFormValidate(undefined, { mode: 'onChange' });
+        return (
+          <Form form={form} onSubmit={onSubmit}>
+            <Section />
+          </Form>
+        );
+      };
+
+      render(<Signup />);
+      await act(async () => {
+        fireEvent.submit(screen.getByText('Enviar (0)'));
+      });
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(screen.getByText('Enviar (1)')).toBeTruthy();
+      expect(screen.getByText('El campo debe tener al menos 3 caracteres').tagName).toBe('SMALL');
+      expect(screen.getByLabelText('Nombre').getAttribute('undefined')).toBeNull();
+      expect(screen.getByLabelText('Correo').getAttribute('error')).toBeNull();
+
+      fireEvent.change(screen.getByLabelText('Nombre'), { target: { value: 'Ana' } });
+      fireEvent.change(screen.getByLabelText('Correo'), { target: { value: 'ana@' } });
+      expect(screen.getByRole('alert').textContent).toBe('Ingrese un correo electrónico válido');
+
+      fireEvent.change(screen.getByLabelText('Correo'), { target: { value: 'ana@mail.com' } });
+      expect(screen.queryByRole('alert')).toBeNull();
+
+      await act(async () => {
+        fireEvent.submit(screen.getByText('Enviar (1)'));
+      });
+      expect(onSubmit).toHaveBeenCalledWith({ name: 'Ana', email: 'ana@mail.com' });
+    });
+
+    test('Field accepts a render prop with the field state', () => {
+      const Profile = () => {
+        const form = useFormValidate();
+        return (
+          <FormProvider form={form}>
+            <Field name="city" rules={{ required: true, mode: 'onChange' }}>
+              {({ field, fieldState }) => (
+                <>
+                  <input aria-label="Ciudad" {...field} />
+                  <span>{fieldState.isDirty ? 'modificado' : 'sin cambios'}</span>
+                </>
+              )}
+            </Field>
+            <ErrorMessage name="city" render={(message) => <em>{message}</em>} />
+          </FormProvider>
+        );
+      };
+
+      render(<Profile />);
+      expect(screen.getByText('sin cambios')).toBeTruthy();
+      fireEvent.change(screen.getByLabelText('Ciudad'), { target: { value: 'Lima' } });
+      expect(screen.getByText('modificado')).toBeTruthy();
+      fireEvent.change(screen.getByLabelText('Ciudad'), { target: { value: '' } });
+      expect(screen.getByText('Campo obligatorio').tagName).toBe('EM');
+    });
+
+    test('useFormContext returns the provided form', () => {
+      const { result: formResult } = renderHook(() => useFormValidate());
+      const wrapper = ({ children }) => <FormProvider form={formResult.current}>{children}</FormProvider>;
+      const { result } = renderHook(() => useFormContext(), { wrapper });
+      expect(result.current).toBe(formResult.current);
+    });
+
+    test('throws when used outside a provider', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(() => renderHook(() => useFormContext())).toThrow('FormProvider');
+      expect(() => render(<Field name="name" />)).toThrow('FormProvider');
+      console.error.mockRestore();
+    });
+
+});
@@ -0,0 +1,46 @@
+import { applyMask, isMaskComplete, unmask, formatPhone, validatePhone, getMaskCaretPosition } from '../masks';
+
+describe('masks', () => {
+    test('applies pattern masks while typing', () => {
+      expect(applyMask('3001234567', '(999) 999-9999')).toBe('(300) 123-4567');
+      expect(applyMask('300', '(999) 999-9999')).toBe('(300');
+      expect(applyMask('31122024', '99/99/9999')).toBe('31/12/2024');
+      expect(applyMask('abc123', 'AAA-999')).toBe('abc-123');
+      expect(applyMask('1bc123', 'AAA-999')).toBe('bc');
+    });
+
+    test('picks the shortest pattern that fits and accepts functions', () => {
+      const masks = ['(99) 9999-9999', '(99) 99999-9999'];
+      expect(applyMask('1123456789', masks)).toBe('(11) 2345-6789');
+      expect(applyMask('11923456789', masks)).toBe('(11) 92345-6789');
+      expect(applyMask('abc', (value) => value.toUpperCase())).toBe('ABC');
+    });
+
+    test('checks completeness and removes mask literals', () => {
+      expect(isMaskComplete('(300) 123-4567', '(999) 999-9999')).toBe(true);
+      expect(isMaskComplete('(300) 123', '(999) 999-9999')).toBe(false);
+      expect(unmask('(300) 123-4567')).toBe('3001234567');
+    });
+
+    test('formats and validates phones by country', () => {
+      expect(formatPhone('3001234567', { country: 'CO' })).toBe('300 123 4567');
+      expect(formatPhone('+573001234567', { country: 'CO' })).toBe('+57 300 123 4567');
+      expect(formatPhone('2025550123', { country: 'US' })).toBe('(202) 555-0123');
+      expect(validatePhone('300 123 4567', { country: 'CO' })).toBe(true);
+      expect(validatePhone('+57 300 123 4567', { country: 'CO' })).toBe(true);
+      expect(validatePhone('300 123', { country: 'CO' })).toBe(false);
+      expect(validatePhone('+52 55 1234 5678', { country: 'CO' })).toBe(false);
+      expect(validatePhone('612 34 56 78', { country: 'ES' })).toBe(true);
+    });
+
+    test('keeps phone: true as a 6 to 15 digit check', () => {
+      expect(validatePhone('+1 123-456-7890', true)).toBe(true);
+      expect(validatePhone('12345', true)).toBe(false);
+    });
+
+    test('keeps the caret next to the same character after masking', () => {
+      // "(300) 123-4567": se escribe un 9 después del 3 inicial
+      expect(getMaskCaretPosition('(3900) 123-4567', 3, '(390) 012-3456')).toBe(3);
+      expect(getMaskCaretPosition('3001', 4, '(300) 1')).toBe(7);
+    });
+});
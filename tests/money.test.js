@@ -0,0 +1,46 @@
+import { formatMoney, validateMoney, parseMoney, getMoneyCaretPosition } from '../money';
+
+describe('money', () => {
+    test('keeps the legacy format for money: true', () => {
+      expect(formatMoney('1234567,891', true)).toBe('1.234.567,89');
+      expect(validateMoney('1.234,5', true)).toBe(true);
+      expect(validateMoney('1234', true)).toBe(false);
+      expect(validateMoney('12,', true)).toBe(false);
+      expect(parseMoney('1.234,5', true)).toBe('1234.5');
+    });
+
+    test('formats with the separators and symbol of the locale', () => {
+      const usd = { locale: 'en-US', currency: 'USD' };
+      expect(formatMoney('1234567.891', usd)).toBe('$1,234,567.89');
+      expect(formatMoney('$1,2345', usd)).toBe('$12,345');
+      expect(validateMoney('$12,345.50', usd)).toBe(true);
+      expect(validateMoney('12,345.50', usd)).toBe(true);
+      expect(validateMoney('12.345,50', usd)).toBe(false);
+
+      const mxn = { locale: 'es-MX', currency: 'MXN', decimals: 0 };
+      expect(formatMoney('1500.75', mxn)).toBe('$1,500');
+    });
+
+    test('accepts explicit separators and negative values', () => {
+      const config = { thousandsSeparator: ' ', decimalSeparator: ',', prefix: '', suffix: ' €', allowNegative: true };
+      expect(formatMoney('-1234,5', config)).toBe('-1 234,5 €');
+      expect(parseMoney('-1 234,5 €', config)).toBe(-1234.5);
+      expect(formatMoney('-1234,5', { ...config, allowNegative: false })).toBe('1 234,5 €');
+    });
+
+    test('submits numbers or integer cents', () => {
+      expect(parseMoney('$1,234.56', { locale: 'en-US', currency: 'USD' })).toBe(1234.56);
+      expect(parseMoney('$1,234.56', { locale: 'en-US', currency: 'USD', output: 'cents' })).toBe(123456);
+      expect(parseMoney('', { locale: 'en-US' })).toBeNull();
+    });
+
+    test('keeps the caret next to the same digit after formatting', () => {
+      const usd = { locale: 'en-US', currency: 'USD' };
+      // "$1,234" -> se escribe un 5 después del 2: "$1,2534"
+      expect(getMoneyCaretPosition('$1,2534', 5, '$12,534', usd)).toBe(5);
+      // se escribe al final
+      expect(getMoneyCaretPosition('$1,2345', 7, '$12,345', usd)).toBe(7);
+      // primer dígito: el cursor queda después del símbolo
+      expect(getMoneyCaretPosition('1', 1, '$1', usd)).toBe(2);
+    });
+});
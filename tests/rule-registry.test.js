@@ -0,0 +1,92 @@
+import { renderHook, act } from '@testing-library/react';
+import useFormValidate from '../useFormValidate';
+import { registerRule, unregisterRule } from '../ruleRegistry';
+
+// NIT colombiano: 9 dígitos, guion y dígito de verificación
+const nit = {
+  validate: (value) => /^\d{9}-\d$/.test(value),
+  message: { es: 'Ingrese un NIT válido', en: 'Enter a valid NIT' },
+  format: (value) => value.replace(/\D/g, '').replace(/^(\d{9})(\d)$/, '$1-$2'),
+};
+
+describe('ruleRegistry', () => {
+    beforeAll(() => registerRule('nit', nit));
+    afterAll(() => unregisterRule('nit'));
+
+    test('validates fields with globally registered rules', () => {
+      const { result } = renderHook(() => useFormValidate());
+      let results;
+      act(() => {
+        results = [
+          result.current.validate('nit', '123', { required: true, nit: true }),
+          result.current.validate('nit2', '900123456-7', { required: true, nit: true }),
+        ];
+      });
+      expect(results).toEqual([false, true]);
+      expect(result.current.getFieldError('nit')).toBe('Ingrese un NIT válido');
+    });
+
+    test('registered messages follow customErrorMessages and the locale', () => {
+      const { result } = renderHook(() => useFormValidate({ nit: 'NIT de {label} inválido' }));
+      act(() => {
+        result.current.validate('nit', '123', { required: true, nit: true, label: 'la empresa' });
+      });
+      expect(result.current.getFieldError('nit')).toBe('NIT de la empresa inválido');
+
+      const { result: english } = renderHook(() => useFormValidate(undefined, { locale: 'en' }));
+      act(() => {
+        english.current.validate('nit', '123', { required: true, nit: true });
+      });
+      expect(english.current.getFieldError('nit')).toBe('Enter a valid NIT');
+    });
+
+    test('applies the rule format on change', () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        const props = form.getFieldProps('nit', { nit: true });
+        return { form, props };
+      });
+      act(() => {
+        result.current.props.onChange({ target: { value: '9001234567' } });
+      });
+      expect(result.current.form.inputs.nit.value).toBe('900123456-7');
+    });
+
+    test('registers rules per form instance', () => {
+      const { result } = renderHook(() => useFormValidate(undefined, {
+        rules: { even: { validate: (value) => Number(value) % 2 === 0, message: 'Debe ser par' } }
+      }));
+      act(() => {
+        result.current.registerRule('iban', { validate: (value) => /^[A-Z]{2}\d{2}/.test(value), message: 'IBAN inválido' });
+      });
+      act(() => {
+        result.current.validate('number', '3', { required: true, even: true });
+        result.current.validate('account', 'xx', { required: true, iban: true });
+      });
+      expect(result.current.getFieldError('number')).toBe('Debe ser par');
+      expect(result.current.getFieldError('account')).toBe('IBAN inválido');
+    });
+
+    test('uses the message of global rules registered after the form mounted', () => {
+      const { result } = renderHook(() => useFormValidate());
+      registerRule('cedula', { validate: (value) => /^\d{6,10}$/.test(value), message: 'Cédula inválida' });
+      registerRule('code', { validate: () => false });
+      let isValid;
+      act(() => {
+        isValid = result.current.validate('document', '12', { required: true, cedula: true });
+        result.current.validate('code', 'x', { required: true, code: true });
+      });
+      unregisterRule('cedula');
+      unregisterRule('code');
+
+      expect(isValid).toBe(false);
+      expect(result.current.getFieldError('document')).toBe('Cédula inválida');
+      expect(result.current.getFieldError('code')).toBe('Error de validación personalizada');
+      expect(result.current.isValid).toBe(false);
+    });
+
+    test('does not allow replacing built-in rules', () => {
+      expect(() => registerRule('email', { validate: () => true })).toThrow();
+      expect(() => registerRule('cedula', {})).toThrow();
+    });
+});
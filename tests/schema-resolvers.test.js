@@ -0,0 +1,77 @@
+import { jsonSchemaResolver, safeParseResolver, validateResolver } from '../schemaResolvers';
+
+const messages = {
+  is_required: 'Campo obligatorio',
+  min_length: 'El campo debe tener al menos {minLength} caracteres',
+  min: 'El campo debe tener al menos {min}',
+  invalid_email: 'Ingrese un correo electrónico válido',
+  invalid_type: 'El valor no es del tipo esperado',
+};
+
+describe('schemaResolvers', () => {
+    test('jsonSchemaResolver maps keywords to messages and coerces form strings', () => {
+      const resolver = jsonSchemaResolver({
+        type: 'object',
+        required: ['name', 'email'],
+        properties: {
+          name: { type: 'string', minLength: 3 },
+          email: { type: 'string', format: 'email' },
+          age: { type: 'integer', minimum: 18 },
+          address: {
+            type: 'object',
+            required: ['city'],
+            properties: { city: { type: 'string' } }
+          }
+        }
+      });
+
+      const { issues } = resolver({ name: 'Al', email: '', age: '16', address: { city: '' } }, { messages });
+      expect(issues).toEqual([
+        { path: 'email', rule: 'required', message: 'Campo obligatorio' },
+        { path: 'name', rule: 'minLength', message: 'El campo debe tener al menos 3 caracteres' },
+        { path: 'age', rule: 'minimum', message: 'El campo debe tener al menos 18' },
+        { path: 'address.city', rule: 'required', message: 'Campo obligatorio' },
+      ]);
+
+      const valid = resolver({ name: 'Alice', email: 'a@b.co', age: '21', address: { city: 'Bogotá' } }, { messages });
+      expect(valid.issues).toEqual([]);
+      expect(valid.values.age).toBe(21);
+    });
+
+    test('safeParseResolver reads issues from safeParse results', async () => {
+      const schema = {
+        safeParse: (values) => values.email
+          ? { success: true, data: { ...values, parsed: true } }
+          : { success: false, error: { issues: [{ path: ['email'], code: 'too_small', message: 'Requerido' }] } }
+      };
+
+      await expect(safeParseResolver(schema)({ email: '' })).resolves.toEqual({
+        issues: [{ path: 'email', rule: 'too_small', message: 'Requerido' }]
+      });
+      await expect(safeParseResolver(schema)({ email: 'a@b.co' })).resolves.toEqual({
+        values: { email: 'a@b.co', parsed: true },
+        issues: []
+      });
+    });
+
+    test('validateResolver reads inner errors from rejected validate calls', async () => {
+      const schema = {
+        validate: async (values, { abortEarly }) => {
+          expect(abortEarly).toBe(false);
+          const error = new Error('2 errors');
+          error.inner = [
+            { path: 'items[0].price', type: 'min', message: 'Precio inválido' },
+            { path: 'email', type: 'email', message: 'Correo inválido' },
+          ];
+          throw error;
+        }
+      };
+
+      await expect(validateResolver(schema)({})).resolves.toEqual({
+        issues: [
+          { path: 'items[0].price', rule: 'min', message: 'Precio inválido' },
+          { path: 'email', rule: 'email', message: 'Correo inválido' },
+        ]
+      });
+    });
+});
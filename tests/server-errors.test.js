@@ -0,0 +1,49 @@
+import { defaultServerErrorAdapter } from '../serverErrors';
+
+describe('server errors', () => {
+    test('maps field messages and nested objects', () => {
+      expect(defaultServerErrorAdapter({
+        errors: {
+          email: ['already used', 'blocked domain'],
+          name: 'too short',
+          address: { city: ['unknown city'] },
+          items: [{ price: 'must be positive' }]
+        }
+      })).toEqual({
+        fields: {
+          email: ['already used', 'blocked domain'],
+          name: ['too short'],
+          'address.city': ['unknown city'],
+          'items[0].price': ['must be positive']
+        },
+        formError: ''
+      });
+    });
+
+    test('maps error lists and problem details', () => {
+      expect(defaultServerErrorAdapter({
+        type: 'https://example.com/validation',
+        title: 'Invalid request',
+        status: 422,
+        detail: 'Review the highlighted fields',
+        'invalid-params': [{ name: 'age', reason: 'must be a positive integer' }],
+        errors: [{ pointer: '#/items/1/price', detail: 'required' }, { field: 'email', message: 'taken' }]
+      })).toEqual({
+        fields: { 'items[1].price': ['required'], email: ['taken'], age: ['must be a positive integer'] },
+        formError: 'Review the highlighted fields'
+      });
+      expect(defaultServerErrorAdapter({ formError: 'Invalid credentials' })).toEqual({ fields: {}, formError: 'Invalid credentials' });
+    });
+
+    test('ignores values that are not validation errors', () => {
+      expect(defaultServerErrorAdapter(undefined)).toBeNull();
+      expect(defaultServerErrorAdapter(new Error('Network error'))).toBeNull();
+      expect(defaultServerErrorAdapter({ id: 1, status: 201 })).toBeNull();
+      expect(defaultServerErrorAdapter({ id: 1, title: 'Mi entrada' })).toBeNull();
+      expect(defaultServerErrorAdapter({ title: 'Not found', status: 404 })).toBeNull();
+      expect(defaultServerErrorAdapter({ title: 'Not found', status: 404, type: 'about:blank' })).toEqual({
+        fields: {},
+        formError: 'Not found'
+      });
+    });
+});
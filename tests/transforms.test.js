@@ -0,0 +1,30 @@
+import { coerceValue, isInvalidCoercion, parseFieldValue } from '../transforms';
+
+describe('value transforms', () => {
+    test('coerces values to numbers, booleans and dates', () => {
+      expect(coerceValue('42.5', 'number')).toBe(42.5);
+      expect(coerceValue('0', 'number')).toBe(0);
+      expect(coerceValue('', 'number')).toBe('');
+      expect(isInvalidCoercion(coerceValue('abc', 'number'))).toBe(true);
+      expect(coerceValue('true', 'boolean')).toBe(true);
+      expect(coerceValue('on', 'boolean')).toBe(true);
+      expect(coerceValue('false', 'boolean')).toBe(false);
+      expect(coerceValue('', 'boolean')).toBe(false);
+      expect(coerceValue('2024-01-31', 'date')).toEqual(new Date('2024-01-31'));
+      expect(coerceValue('2024-01-31', 'isoDate')).toBe('2024-01-31T00:00:00.000Z');
+      expect(isInvalidCoercion(coerceValue('31/31/2024', 'date'))).toBe(true);
+      expect(coerceValue('31/31/2024', 'isoDate')).toBe('31/31/2024');
+    });
+
+    test('applies trim, parse, checkbox and emptyAsNull rules in order', () => {
+      expect(parseFieldValue('  Ana  ', { trim: true })).toBe('Ana');
+      expect(parseFieldValue('   ', { trim: true, emptyAsNull: true })).toBeNull();
+      expect(parseFieldValue('', { valueAs: 'number', emptyAsNull: true })).toBeNull();
+      expect(parseFieldValue(' 7 ', { trim: true, parse: (value) => value.split('') })).toEqual(['7']);
+      expect(parseFieldValue('1.234,50', { money: { locale: 'es-ES' }, valueAs: 'number' })).toBe(1234.5);
+      expect(parseFieldValue('true', { checkbox: true })).toBe(true);
+      expect(parseFieldValue(['red'], { checkbox: true, multiple: true })).toEqual(['red']);
+      expect(parseFieldValue([], { checkbox: true, multiple: true, emptyAsNull: true })).toBeNull();
+      expect(parseFieldValue('abc')).toBe('abc');
+    });
+});
@@ -0,0 +1,149 @@
+import * as React from 'react';
+import {
+  useFormValidate,
+  useFieldArray,
+  useField,
+  useFormState,
+  useFormSteps,
+  Form,
+  Field,
+  ErrorMessage,
+  ErrorSummary,
+  registerRule,
+  coerceValue,
+  getPasswordStrength,
+  isCreditCard
+} from 'use-form-validate';
+import { isStrongPassword } from 'use-form-validate/validators';
+
+declare module 'use-form-validate' {
+  interface CustomRules {
+    nit: boolean;
+  }
+}
+
+interface Invoice {
+  customer: string;
+  email: string;
+  password: string;
+  confirmPassword: string;
+  issuedAt: string;
+  dueAt: string;
+  address: { city: string; zip?: string };
+  items: Array<{ description: string; price: number }>;
+  documents: File[];
+}
+
+registerRule('nit', { validate: (value, enabled) => enabled && /^\d+$/.test(value) });
+// @ts-expect-error: el parámetro de `nit` es boolean
+registerRule('nit', { validate: (value, enabled: string) => enabled === value });
+
+const InvoiceForm = () => {
+  const form = useFormValidate<Invoice, { iban: { country: string } }>(undefined, {
+    initialValues: { address: { city: 'Lima' }, items: [{ price: 10 }] },
+    persist: { key: 'invoice', storage: sessionStorage, exclude: ['documents', 'address.zip'], version: 3 },
+    rules: { iban: { validate: (value, { country }) => value.startsWith(country) } },
+    idPrefix: 'invoice-',
+    shouldFocusError: false
+  });
+
+  form.getFieldProps('customer', { required: true, nit: true });
+  form.getFieldProps('confirmPassword', { isEqual: 'password' });
+  form.getFieldProps('dueAt', { greaterThan: 'issuedAt', deps: ['issuedAt'] });
+  form.getFieldProps('address.city', { requiredIf: { field: 'address.zip' } });
+  form.getFieldProps('items[0].price', { money: { locale: 'en-US' } }, undefined, 10);
+  form.getFieldProps('documents', { file: true, accept: '.pdf', maxSize: 1024 });
+  form.getFieldProps('email', { iban: { country: 'ES' } });
+  form.getFieldProps('items[0].price', { valueAs: 'number', emptyAsNull: true });
+  form.getFieldProps('customer', { trim: true, parse: (value) => value.replace(/\s+/g, ' '), transform: (value) => value.toUpperCase() });
+  const issuedAt: Date = coerceValue('2024-01-31', 'date');
+  form.getFieldProps('dueAt', { date: 'DD/MM/YYYY', minDate: 'today', maxDate: new Date(2030, 0, 1) });
+  form.getFieldProps('items[0].price', { integer: true, step: 5, min: 0, oneOf: [5, 10, 15] });
+  form.getFieldProps('password', { password: { minLength: 12, symbol: false }, pattern: /^\S+$/ });
+  form.getFieldProps('customer', { url: { protocols: ['https'] }, creditCard: true });
+  const strength: 0 | 1 | 2 | 3 | 4 = getPasswordStrength('Secreta#2024');
+  const isValidCard: boolean = isCreditCard('4242 4242 4242 4242') && isStrongPassword('Secreta#2024', { minLength: 10 });
+  // @ts-expect-error: `password` no admite `digits`
+  form.getFieldProps('password', { password: { digits: true } });
+  const emailProps = form.getFieldProps('email', { required: true, id: 'signup-email' });
+  const isEmailInvalid: boolean = emailProps['aria-invalid'];
+  form.setFocus('address.city', { shouldSelect: true });
+  const emailErrorId: string = form.getErrorId('email');
+  const emailRef: (element: HTMLElement | null) => void = form.getFieldRef('email');
+  // @ts-expect-error: `setFocus` solo acepta campos del formulario
+  form.setFocus('adress.city');
+
+  // @ts-expect-error: el campo no existe
+  form.getFieldProps('custmer');
+  // @ts-expect-error: `isEqual` debe nombrar un campo del formulario
+  form.getFieldProps('confirmPassword', { isEqual: 'pasword' });
+  // @ts-expect-error: `valueAs` no admite `integer`
+  form.getFieldProps('items[0].price', { valueAs: 'integer' });
+  // @ts-expect-error: regla desconocida
+  form.getFieldProps('email', { requird: true });
+  // @ts-expect-error: el valor por defecto de `price` es un número
+  form.getFieldProps('items[0].price', {}, undefined, { amount: 10 });
+  // @ts-expect-error: el campo anidado no existe
+  form.getFieldError('address.country');
+
+  const cityError: string | undefined = form.errors['address.city'];
+  // @ts-expect-error: `errors` solo tiene campos del formulario
+  form.errors.phone;
+
+  form.handleSubmit((formData) => {
+    const city: string = formData.address.city;
+    const price: number = formData.items[0].price;
+    // @ts-expect-error: `formData` no tiene `phone`
+    formData.phone;
+    return Promise.resolve([city, price]).then(() => undefined);
+  });
+
+  form.setError('email', 'already used', { type: 'server' });
+  const formError: string = form.formError;
+  form.handleSubmit(() => fetch('/api/invoices').then((response) => response.json()));
+
+  // @ts-expect-error: `exclude` solo acepta campos del formulario
+  useFormValidate<Invoice>(undefined, { persist: { key: 'invoice', exclude: ['docs'] } });
+
+  form.setValues({ address: { zip: '15001' } });
+  // @ts-expect-error: `setValues` solo acepta valores del formulario
+  form.setValues({ address: { country: 'PE' } });
+
+  const { fields, append } = useFieldArray(form, 'items');
+  append({ price: 5 });
+  // @ts-expect-error: `price` es un número
+  append({ price: '5' });
+  // @ts-expect-error: `customer` no es una lista
+  useFieldArray(form, 'customer');
+
+  const wizard = useFormSteps(form, [{ name: 'cliente', fields: ['customer', 'email'] }, { fields: ['address', 'items'] }]);
+  const isLastStep: boolean = wizard.isLastStep;
+  wizard.handleSubmit((values) => console.log(values.address.city));
+  void form.validateFields(['address', 'email']);
+  // @ts-expect-error: los pasos solo aceptan campos del formulario
+  useFormSteps(form, [{ fields: ['adress'] }]);
+
+  const { field, fieldState } = useField(form, 'email', { required: true, email: true });
+  const isDirty: boolean = useFormState(form, (state) => state.isDirty);
+  // @ts-expect-error: `useField` solo acepta campos del formulario
+  useField(form, 'mail');
+
+  const upload = useFormValidate<Pick<Invoice, 'documents'>>(undefined, { submitAs: 'formData' });
+  upload.handleSubmit((formData) => {
+    const body: FormData = formData;
+    void fetch('/api/documents', { method: 'POST', body });
+  });
+
+  return (
+    <Form form={form} onSubmit={(formData) => console.log(formData.customer)}>
+      <input {...field} aria-invalid={Boolean(fieldState.error) || isDirty} />
+      {fields.map(({ key, name }) => <Field key={key} name={`${name}.price`} />)}
+      <ErrorMessage name="email" render={(message, { id }) => <p id={id}>{message}</p>} />
+      <ErrorSummary title={<h2>Revise el formulario</h2>} className="errors" />
+      {cityError}
+      {formError}
+    </Form>
+  );
+};
+
+export default InvoiceForm;
@@ -0,0 +1,34 @@
+import path from 'path';
+import ts from 'typescript';
+
+describe('TypeScript typings', () => {
+    test('check field names, values and rules against the form values', () => {
+      const fixture = path.join(__dirname, 'types', 'typings.fixture.tsx');
+      const program = ts.createProgram([fixture], {
+        strict: true,
+        noEmit: true,
+        jsx: ts.JsxEmit.React,
+        esModuleInterop: true,
+        skipLibCheck: false,
+        target: ts.ScriptTarget.ES2020,
+        module: ts.ModuleKind.ESNext,
+        moduleResolution: ts.ModuleResolutionKind.Node10,
+        lib: ['lib.es2020.d.ts', 'lib.dom.d.ts'],
+        types: [],
+        baseUrl: path.join(__dirname, '..'),
+        paths: {
+          'use-form-validate': ['typings/use-form-validate.d.ts'],
+          'use-form-validate/validators': ['typings/validators.d.ts']
+        }
+      });
+      const diagnostics = ts.getPreEmitDiagnostics(program).map((diagnostic) => {
+        const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+        if (!diagnostic.file) {
+          return message;
+        }
+        const { line } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+        return `${path.basename(diagnostic.file.fileName)}:${line + 1} ${message}`;
+      });
+      expect(diagnostics).toEqual([]);
+    }, 60000);
+});
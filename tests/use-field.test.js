@@ -0,0 +1,140 @@
+import React, { memo } from 'react';
+import { render, renderHook, act, fireEvent, screen } from '@testing-library/react';
+import useFormValidate from '../useFormValidate';
+import useField from '../useField';
+import useFormState from '../useFormState';
+
+describe('useField and useFormState', () => {
+
+    test('re-renders only the edited field and the subscribed summaries', () => {
+      const renders = { form: 0, summary: 0, fields: {} };
+      const FIELDS = 80;
+
+      const Input = memo(({ form, name }) => {
+        renders.fields[name] = (renders.fields[name] || 0) + 1;
+        const { field, fieldState } = useField(form, name, { required: true, minLength: 3, mode: 'onChange' });
+        return (
+          <label>
+            <input aria-label={name} {...field} />
+            {fieldState.error && <span>{fieldState.error}</span>}
+          </label>
+        );
+      });
+
+      const Summary = memo(({ form }) => {
+        renders.summary++;
+        const isDirty = useFormState(form, (state) => state.isDirty);
+        return <p>{isDirty ? 'Cambios sin guardar' : 'Sin cambios'}</p>;
+      });
+
+      const Onboarding = () => {
+        renders.form++;
+        const form = useFormValidate();
+        return (
+          <form>
+            {Array.from({ length: FIELDS }, (_, index) => (
+              <Input key={index} form={form} name={`field${index}`} />
+            ))}
+            <Summary form={form} />
+          </form>
+        );
+      };
+
+      render(<Onboarding />);
+      const initial = { form: renders.form, summary: renders.summary, fields: { ...renders.fields } };
+      expect(screen.getByText('Sin cambios')).toBeTruthy();
+
+      fireEvent.change(screen.getByLabelText('field3'), { target: { value: 'ab' } });
+      fireEvent.change(screen.getByLabelText('field3'), { target: { value: 'abc' } });
+
+      expect(screen.getByLabelText('field3').value).toBe('abc');
+      expect(screen.getByText('Cambios sin guardar')).toBeTruthy();
+      expect(renders.form).toBe(initial.form);
+      expect(renders.summary).toBe(initial.summary + 1);
+      expect(renders.fields.field3).toBeGreaterThan(initial.fields.field3);
+      expect(renders.fields.field3 - initial.fields.field3).toBeLessThanOrEqual(3);
+      const others = Object.keys(renders.fields).filter((name) => name !== 'field3');
+      expect(others).toHaveLength(FIELDS - 1);
+      others.forEach((name) => {
+        expect(renders.fields[name]).toBe(initial.fields[name]);
+      });
+    });
+
+    test('shows the field errors and submits the values of fields connected with useField', () => {
+      const onSubmit = jest.fn();
+      let form;
+
+      const Input = ({ name, rules }) => {
+        const { field, fieldState } = useField(form, name, rules);
+        return (
+          <>
+            <input aria-label={name} {...field} />
+            {fieldState.error && <span role="alert">{fieldState.error}</span>}
+          </>
+        );
+      };
+
+      const Form = () => {
+        form = useFormValidate();
+        return (
+          <form onSubmit={form.handleSubmit(onSubmit)}>
+            <Input name="email" rules={{ required: true, email: true }} />
+            <Input name="price" rules={{ required: true, money: { locale: 'en-US' } }} />
+            <button type="submit">Enviar</button>
+          </form>
+        );
+      };
+
+      render(<Form />);
+      fireEvent.click(screen.getByText('Enviar'));
+      expect(screen.getAllByRole('alert').map((alert) => alert.textContent)).toEqual([
+        form.customErrorMessages.invalid_email,
+        form.customErrorMessages.is_type_money
+      ]);
+      expect(onSubmit).not.toHaveBeenCalled();
+
+      fireEvent.change(screen.getByLabelText('email'), { target: { value: 'user@example.com' } });
+      fireEvent.change(screen.getByLabelText('price'), { target: { value: '1234.5' } });
+      expect(screen.getByLabelText('price').value).toBe('1,234.5');
+      fireEvent.click(screen.getByText('Enviar'));
+      expect(onSubmit).toHaveBeenCalledWith({ email: 'user@example.com', price: 1234.5 });
+    });
+
+    test('keeps the getFieldProps handlers stable between renders', () => {
+      const { result, rerender } = renderHook(() => {
+        const form = useFormValidate();
+        return { ...form.getFieldProps('name', { required: true }), ref: form.getFieldRef('name') };
+      });
+      const { onChange, onBlur, ref } = result.current;
+
+      rerender();
+      expect(result.current.onChange).toBe(onChange);
+      expect(result.current.onBlur).toBe(onBlur);
+      expect(result.current.ref).toBe(ref);
+    });
+
+    test('selects form state with useFormState', () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        const name = form.getFieldProps('name', { required: true });
+        const state = useFormState(form, ({ isValid, submitCount }) => ({ isValid, submitCount }));
+        return { form, name, state };
+      });
+
+      // El campo obligatorio vacío hace que el formulario no sea válido aunque aún no muestre el error
+      expect(result.current.state).toEqual({ isValid: false, submitCount: 0 });
+      expect(result.current.form.errors.name).toBeUndefined();
+      act(() => {
+        result.current.form.handleChange('name', 'Ana');
+      });
+      expect(result.current.state).toEqual({ isValid: true, submitCount: 0 });
+      act(() => {
+        result.current.form.handleChange('name', '');
+      });
+      act(() => {
+        result.current.form.handleSubmit(jest.fn())({ preventDefault() {} });
+      });
+      expect(result.current.state).toEqual({ isValid: false, submitCount: 1 });
+    });
+
+});
@@ -0,0 +1,127 @@
+import React from 'react';
+import { render, act, fireEvent, screen } from '@testing-library/react';
+import useFormValidate from '../useFormValidate';
+import useFormSteps from '../useFormSteps';
+
+describe('useFormSteps', () => {
+    const steps = [
+      { name: 'contact', fields: ['email'] },
+      { name: 'shipping', fields: ['address'] },
+      { name: 'payment', fields: ['card'] }
+    ];
+
+    const Checkout = ({ onSubmit, onWizard }) => {
+      const form = useFormValidate();
+      const wizard = useFormSteps(form, steps);
+      onWizard(wizard);
+      return (
+        <form onSubmit={wizard.handleSubmit(onSubmit)}>
+          <p>{wizard.steps.map((step) => `${step.name}:${step.isComplete ? 'ok' : '-'}`).join(' ')}</p>
+          {wizard.currentStep === 0 && (
+            <input aria-label="email" {...form.getFieldProps('email', { required: true, email: true })} />
+          )}
+          {wizard.currentStep === 1 && (
+            <>
+              <input aria-label="city" {...form.getFieldProps('address.city', { required: true })} />
+              <input aria-label="zip" {...form.getFieldProps('address.zip')} />
+            </>
+          )}
+          {wizard.currentStep === 2 && (
+            <input aria-label="card" {...form.getFieldProps('card', { required: true, minLength: 4 })} />
+          )}
+          {/* Un paso posterior renderizado y oculto no bloquea los anteriores */}
+          <div hidden>
+            <input aria-label="notes" {...form.getFieldProps('notes', { required: wizard.isLastStep })} />
+          </div>
+          <button type="submit">{wizard.isLastStep ? 'Pagar' : 'Siguiente'}</button>
+        </form>
+      );
+    };
+
+    test('validates each step before moving forward and submits all the values', async () => {
+      const onSubmit = jest.fn();
+      let wizard;
+      render(<Checkout onSubmit={onSubmit} onWizard={(current) => { wizard = current; }} />);
+
+      await act(async () => {
+        fireEvent.submit(screen.getByText('Siguiente'));
+      });
+      expect(wizard.currentStep).toBe(0);
+      expect(document.activeElement).toBe(screen.getByLabelText('email'));
+      expect(screen.getByLabelText('email').getAttribute('aria-invalid')).toBe('true');
+
+      fireEvent.change(screen.getByLabelText('email'), { target: { value: 'ana@mail.com' } });
+      await act(async () => {
+        expect(wizard.next()).toBe(true);
+      });
+      expect(wizard.currentStep).toBe(1);
+      expect(screen.getByText('contact:ok shipping:- payment:-')).toBeTruthy();
+
+      // Los pasos siguientes no están disponibles hasta completar el actual
+      await act(async () => {
+        expect(wizard.goTo(2)).toBe(false);
+      });
+      expect(screen.getByLabelText('city').getAttribute('aria-invalid')).toBe('true');
+
+      fireEvent.change(screen.getByLabelText('city'), { target: { value: 'Lima' } });
+      await act(async () => {
+        fireEvent.submit(screen.getByText('Siguiente'));
+      });
+      expect(wizard.currentStep).toBe(2);
+
+      act(() => {
+        wizard.back();
+      });
+      expect(screen.getByLabelText('city').value).toBe('Lima');
+      await act(async () => {
+        expect(wizard.goTo(2)).toBe(true);
+      });
+
+      fireEvent.change(screen.getByLabelText('card'), { target: { value: '4242' } });
+      fireEvent.change(screen.getByLabelText('notes'), { target: { value: 'Dejar en portería' } });
+      await act(async () => {
+        fireEvent.submit(screen.getByText('Pagar'));
+      });
+      expect(onSubmit).toHaveBeenCalledWith({
+        email: 'ana@mail.com',
+        address: { city: 'Lima', zip: '' },
+        card: '4242',
+        notes: 'Dejar en portería'
+      });
+      expect(screen.getByText('contact:ok shipping:ok payment:ok')).toBeTruthy();
+    });
+
+    test('returns to the step of the errors of the final submit', async () => {
+      let wizard;
+      const onSubmit = () => Promise.reject({ errors: { email: ['Ya está registrado'] } });
+      render(<Checkout onSubmit={onSubmit} onWizard={(current) => { wizard = current; }} />);
+
+      fireEvent.change(screen.getByLabelText('email'), { target: { value: 'ana@mail.com' } });
+      await act(async () => {
+        await wizard.next();
+      });
+      fireEvent.change(screen.getByLabelText('city'), { target: { value: 'Lima' } });
+      await act(async () => {
+        await wizard.next();
+      });
+      fireEvent.change(screen.getByLabelText('card'), { target: { value: '4242' } });
+      fireEvent.change(screen.getByLabelText('notes'), { target: { value: '-' } });
+      await act(async () => {
+        await wizard.handleSubmit(onSubmit)();
+      });
+
+      expect(wizard.currentStep).toBe(0);
+      expect(document.activeElement).toBe(screen.getByLabelText('email'));
+      expect(screen.getByText('contact:- shipping:ok payment:ok')).toBeTruthy();
+    });
+
+    test('throws without a form or steps', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const Broken = ({ form, formSteps }) => {
+        useFormSteps(form, formSteps);
+        return null;
+      };
+      expect(() => render(<Broken form={{}} formSteps={steps} />)).toThrow('useFormValidate');
+      console.error.mockRestore();
+    });
+});
@@ -1,5 +1,10 @@
-import { renderHook, act } from '@testing-library/react';
+import React from 'react';
+import { render, renderHook, act, fireEvent, screen } from '@testing-library/react';
 import useFormValidate from '../useFormValidate';
+import useFieldArray from '../useFieldArray';
+
+const formatToday = (date) => [date.getDate(), date.getMonth() + 1]
+  .map((part) => String(part).padStart(2, '0')).concat(date.getFullYear()).join('/');
 
 describe('useFormValidate', () => {
     test('validates required fields', () => {
@@ -66,4 +71,1387 @@ describe('useFormValidate', () => {
     });
 
   
+    test('validates async custom validators and tracks validating state', async () => {
+      const { result } = renderHook(() => useFormValidate());
+      let resolveCheck;
+      const rules = {
+        required: true,
+        validate: () => new Promise((resolve) => { resolveCheck = resolve; })
+      };
+
+      let validation;
+      act(() => {
+        validation = result.current.validate('username', 'taken', rules);
+      });
+      expect(result.current.isValidating('username')).toBe(true);
+      expect(result.current.isValidating()).toBe(true);
+
+      await act(async () => {
+        resolveCheck('Usuario no disponible');
+        await expect(validation).resolves.toBe(false);
+      });
+      expect(result.current.isValidating('username')).toBe(false);
+      expect(result.current.getFieldError('username')).toBe('Usuario no disponible');
+    });
+
+    test('debounces async validators and drops stale results', async () => {
+      jest.useFakeTimers();
+      const { result } = renderHook(() => useFormValidate());
+      const check = jest.fn(async (value) => value === 'free' || 'Usuario no disponible');
+      const rules = { required: true, debounce: 300, validate: check };
+
+      let first, second;
+      act(() => {
+        first = result.current.validate('username', 'taken', rules);
+      });
+      act(() => {
+        jest.advanceTimersByTime(100);
+        second = result.current.validate('username', 'free', rules);
+      });
+      await act(async () => {
+        jest.advanceTimersByTime(300);
+        await Promise.all([first, second]);
+      });
+
+      expect(check).toHaveBeenCalledTimes(1);
+      expect(check).toHaveBeenCalledWith('free', expect.anything(), expect.anything());
+      await expect(first).resolves.toBe(true);
+      expect(result.current.getFieldError('username')).toBe('');
+      expect(result.current.isValidating('username')).toBe(false);
+      jest.useRealTimers();
+    });
+
+    test('handleSubmit waits for async validators before submitting', async () => {
+      const onSubmit = jest.fn();
+      const rules = { required: true, validate: async (value) => value !== 'taken' || 'Usuario no disponible' };
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        form.getFieldProps('username', rules);
+        return form;
+      });
+
+      act(() => {
+        result.current.handleChange('username', 'taken');
+      });
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(result.current.getFieldError('username')).toBe('Usuario no disponible');
+
+      act(() => {
+        result.current.handleChange('username', 'free');
+      });
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(onSubmit).toHaveBeenCalledWith({ username: 'free' });
+    });
+
+    test('collects every failing rule when allErrors is enabled', () => {
+      const { result } = renderHook(() => useFormValidate(undefined, { allErrors: true }));
+      const rules = {
+        required: true,
+        minLength: 8,
+        validate: (value) => /[0-9]/.test(value) || 'Debe contener un número'
+      };
+
+      act(() => {
+        result.current.validate('password', 'abc', rules);
+      });
+
+      expect(result.current.getFieldErrors('password')).toEqual([
+        { rule: 'minLength', message: 'El campo debe tener al menos 8 caracteres' },
+        { rule: 'validate', message: 'Debe contener un número' }
+      ]);
+      expect(result.current.getFieldError('password')).toBe('El campo debe tener al menos 8 caracteres');
+
+      act(() => {
+        result.current.validate('password', 'abcdefgh1', rules);
+      });
+      expect(result.current.getFieldErrors('password')).toEqual([]);
+      expect(result.current.getFieldError('password')).toBe('');
+    });
+
+    test('stops at the first failing rule unless the field opts in', () => {
+      const { result } = renderHook(() => useFormValidate());
+
+      act(() => {
+        result.current.validate('first', 'a', { required: true, minLength: 3, email: true });
+        result.current.validate('all', 'a', { required: true, minLength: 3, email: true, allErrors: true });
+      });
+
+      expect(result.current.getFieldErrors('first')).toHaveLength(1);
+      expect(result.current.getFieldErrors('all').map(({ rule }) => rule)).toEqual(['minLength', 'email']);
+    });
+
+    describe('strictOptionalRules', () => {
+      const cases = [
+        ['url', { url: true }, 'not-a-url', 'https://example.com', 'invalid_url'],
+        ['phone', { phone: true }, '123', '3001234567', 'invalid_phone'],
+        ['money', { money: true }, '12,345', '12.345', 'is_type_money'],
+        ['min', { min: 5 }, '3', '7', 'min'],
+        ['max', { max: 5 }, '9', '4', 'max'],
+        ['minLength', { minLength: 5 }, 'abc', 'abcdef', 'min_length'],
+        ['maxLength', { maxLength: 3 }, 'abcdef', 'abc', 'max_length'],
+        ['email', { email: true }, 'not-an-email', 'user@example.com', 'invalid_email'],
+        ['date', { date: true }, 'not-a-date', '2024-01-31', 'invalid_date'],
+        ['minDate', { minDate: '2024-01-01' }, '2023-12-31', '2024-01-01', 'min_date'],
+        ['maxDate', { maxDate: '2024-12-31' }, '2025-01-01', '2024-12-31', 'max_date'],
+        ['pattern', { pattern: '[A-Z]{3}' }, 'AB1', 'ABC', 'invalid_format'],
+        ['integer', { integer: true }, '4.5', '4', 'not_integer'],
+        ['step', { step: 5 }, '7', '10', 'invalid_step'],
+        ['oneOf', { oneOf: ['S', 'M', 'L'] }, 'XL', 'M', 'invalid_option'],
+        ['password', { password: true }, 'secreta', 'Secreta#2024', 'weak_password'],
+        ['creditCard', { creditCard: true }, '4242 4242 4242 4241', '4242 4242 4242 4242', 'invalid_credit_card'],
+      ];
+
+      test.each(cases)('applies %s to optional fields with a value', (_, rules, invalid, valid, messageKey) => {
+        const { result } = renderHook(() => useFormValidate(undefined, { strictOptionalRules: true }));
+        let results;
+        act(() => {
+          results = [
+            result.current.validate('invalid', invalid, rules),
+            result.current.validate('valid', valid, rules),
+            result.current.validate('empty', '', rules),
+          ];
+        });
+        expect(results).toEqual([false, true, true]);
+        expect(result.current.getFieldError('invalid')).toBe(
+          result.current.customErrorMessages[messageKey].replace(/\{\w+\}/, Object.values(rules)[0])
+        );
+      });
+
+      test.each(cases)('ignores %s on optional fields without the option', (_, rules, invalid) => {
+        const { result } = renderHook(() => useFormValidate());
+        let isValid;
+        act(() => {
+          isValid = result.current.validate('field', invalid, rules);
+        });
+        expect(isValid).toBe(true);
+      });
+
+      test('applies isEqual to optional fields with a value', () => {
+        const { result } = renderHook(() => {
+          const form = useFormValidate(undefined, { strictOptionalRules: true });
+          form.getFieldProps('password', {}, undefined, 'secret');
+          return form;
+        });
+        let results;
+        act(() => {
+          results = [
+            result.current.validate('confirm', 'other', { isEqual: 'password' }),
+            result.current.validate('confirm', 'secret', { isEqual: 'password' }),
+          ];
+        });
+        expect(results).toEqual([false, true]);
+      });
+
+      test('validates fields without rules', async () => {
+        const onSubmit = jest.fn();
+        const { result } = renderHook(() => useFormValidate(undefined, {
+          strictOptionalRules: true,
+          initialValues: { nickname: 'ana' }
+        }));
+        expect(result.current.isValid).toBe(true);
+        let isValid;
+        act(() => {
+          isValid = result.current.validate('alias', 'ana');
+        });
+        expect(isValid).toBe(true);
+        await act(async () => {
+          await result.current.handleSubmit(onSubmit)({ preventDefault() {} });
+        });
+        expect(onSubmit).toHaveBeenCalledWith({ nickname: 'ana' });
+      });
+
+      test('required only controls the emptiness check', () => {
+        const { result } = renderHook(() => useFormValidate(undefined, { strictOptionalRules: true }));
+        act(() => {
+          result.current.validate('email', '', { required: true, email: true });
+        });
+        expect(result.current.getFieldError('email')).toBe(result.current.customErrorMessages.is_required);
+      });
+    });
+
+    test('handleSubmit validates with the form schema instead of field rules', async () => {
+      const onSubmit = jest.fn();
+      const schema = {
+        type: 'object',
+        required: ['email'],
+        properties: { email: { type: 'string', format: 'email' }, age: { type: 'number', minimum: 18 } }
+      };
+      const { result } = renderHook(() => {
+        const form = useFormValidate(undefined, { schema });
+        form.getFieldProps('email');
+        form.getFieldProps('age', { required: true });
+        return form;
+      });
+
+      act(() => {
+        result.current.handleChange('email', 'not-an-email');
+      });
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(result.current.getFieldError('email')).toBe(result.current.customErrorMessages.invalid_email);
+      expect(result.current.getFieldError('age')).toBe('');
+
+      act(() => {
+        result.current.handleChange('email', 'user@example.com');
+        result.current.handleChange('age', '30');
+      });
+      await act(async () => {
+        await result.current.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(onSubmit).toHaveBeenCalledWith({ email: 'user@example.com', age: 30 });
+      expect(result.current.getFieldError('email')).toBe('');
+    });
+
+    test('handleSubmit emits nested objects and arrays from field paths', () => {
+      const onSubmit = jest.fn();
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        form.getFieldProps('address.city', { required: true });
+        form.getFieldProps('items[0].price');
+        form.getFieldProps('items[1].price');
+        return form;
+      });
+
+      act(() => {
+        result.current.handleChange('address.city', 'Bogotá');
+        result.current.handleChange('items[0].price', '10');
+        result.current.handleChange('items[1].price', '20');
+      });
+      act(() => {
+        result.current.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(onSubmit).toHaveBeenCalledWith({
+        address: { city: 'Bogotá' },
+        items: [{ price: '10' }, { price: '20' }]
+      });
+    });
+
+    test('useFieldArray keeps values, rules and errors aligned with their rows', () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        const items = useFieldArray(form, 'items');
+        items.fields.forEach((field) => {
+          form.getFieldProps(`${field.name}.price`, { required: true });
+        });
+        return { form, items };
+      });
+
+      act(() => {
+        result.current.items.append({ price: 'a' });
+      });
+      act(() => {
+        result.current.items.append({ price: '' });
+      });
+      act(() => {
+        result.current.items.insert(0, { price: 'first' });
+      });
+      expect(result.current.items.fields.map(({ name }) => name)).toEqual(['items[0]', 'items[1]', 'items[2]']);
+      expect(result.current.form.inputs['items[0].price'].value).toBe('first');
+      expect(result.current.form.inputs['items[2].price'].rules).toEqual({ required: true });
+
+      act(() => {
+        result.current.form.validate('items[2].price', '', { required: true });
+      });
+      const movedKey = result.current.items.fields[2].key;
+      act(() => {
+        result.current.items.move(2, 0);
+      });
+      expect(result.current.items.fields[0].key).toBe(movedKey);
+      expect(result.current.form.getFieldError('items[0].price')).toBe(result.current.form.customErrorMessages.is_required);
+      expect(result.current.form.getFieldError('items[1].price')).toBe('');
+      expect(result.current.form.inputs['items[1].price'].value).toBe('first');
+
+      act(() => {
+        result.current.items.remove(0);
+      });
+      expect(result.current.items.fields).toHaveLength(2);
+      expect(result.current.form.inputs['items[2].price']).toBeUndefined();
+      expect(result.current.form.getFieldError('items[0].price')).toBe('');
+      expect(result.current.form.inputs['items[1].price'].value).toBe('a');
+    });
+
+    test('useFieldArray follows reset and setValues with a different row count', () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        const items = useFieldArray(form, 'items');
+        items.fields.forEach((field) => {
+          form.getFieldProps(`${field.name}.price`, { required: true });
+        });
+        return { form, items };
+      });
+
+      act(() => {
+        result.current.items.append({ price: '1' });
+      });
+      act(() => {
+        result.current.items.append({});
+      });
+      expect(result.current.items.fields).toHaveLength(2);
+
+      act(() => {
+        result.current.form.reset({ items: [{ price: '10' }, { price: '20' }, { price: '30' }] });
+      });
+      expect(result.current.items.fields.map(({ name }) => name)).toEqual(['items[0]', 'items[1]', 'items[2]']);
+      expect(result.current.form.inputs['items[2].price'].value).toBe('30');
+
+      act(() => {
+        result.current.form.setValues({ items: [{ price: '5' }] });
+      });
+      expect(result.current.items.fields).toHaveLength(1);
+      expect(result.current.form.inputs['items[0].price'].value).toBe('5');
+      expect(result.current.form.inputs['items[1].price']).toBeUndefined();
+
+      act(() => {
+        result.current.form.reset({ items: [] });
+      });
+      expect(result.current.items.fields).toHaveLength(0);
+      expect(result.current.form.inputs).toEqual({});
+    });
+
+    test('tracks touched and dirty fields', () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        const props = form.getFieldProps('name', {}, undefined, 'Ana');
+        return { form, props };
+      });
+
+      expect(result.current.form.isDirty).toBe(false);
+      act(() => {
+        result.current.props.onBlur();
+      });
+      expect(result.current.form.isFieldTouched('name')).toBe(true);
+      expect(result.current.form.touchedFields).toEqual({ name: true });
+
+      act(() => {
+        result.current.form.handleChange('name', 'Ana María');
+      });
+      expect(result.current.form.isFieldDirty('name')).toBe(true);
+      expect(result.current.form.isDirty).toBe(true);
+
+      act(() => {
+        result.current.form.handleChange('name', 'Ana');
+      });
+      expect(result.current.form.isDirty).toBe(false);
+    });
+
+    test('tracks submit state and awaits async onSubmit', async () => {
+      let finishSubmit;
+      const onSubmit = jest.fn(() => new Promise((resolve) => { finishSubmit = resolve; }));
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        form.getFieldProps('email', { required: true });
+        return form;
+      });
+      expect(result.current.isValid).toBe(false);
+
+      act(() => {
+        result.current.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(result.current.submitCount).toBe(1);
+      expect(result.current.isValid).toBe(false);
+      expect(result.current.isSubmitSuccessful).toBe(false);
+      expect(result.current.isSubmitting).toBe(false);
+
+      act(() => {
+        result.current.handleChange('email', 'user@example.com');
+      });
+      let submission;
+      act(() => {
+        submission = result.current.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(result.current.isSubmitting).toBe(true);
+      await act(async () => {
+        finishSubmit();
+        await submission;
+      });
+      expect(result.current.isSubmitting).toBe(false);
+      expect(result.current.isSubmitSuccessful).toBe(true);
+      expect(result.current.isValid).toBe(true);
+      expect(result.current.submitCount).toBe(2);
+
+      act(() => {
+        result.current.resetForm();
+      });
+      expect(result.current.submitCount).toBe(0);
+      expect(result.current.isSubmitSuccessful).toBe(false);
+    });
+
+    test('merges partial custom messages over the locale defaults', () => {
+      const { result } = renderHook(() => useFormValidate({ is_required: '{label} es obligatorio' }));
+
+      act(() => {
+        result.current.validate('name', '', { required: true, label: 'Nombre' });
+        result.current.validate('age', '3', { required: true, min: 18 });
+      });
+
+      expect(result.current.getFieldError('name')).toBe('Nombre es obligatorio');
+      expect(result.current.getFieldError('age')).toBe('El campo debe tener al menos 18');
+    });
+
+    test('interpolates any rule param, the label and the value', () => {
+      const { result } = renderHook(() => useFormValidate({
+        min_length: '{label} ({value}) needs {minLength}-{maxLength} characters'
+      }));
+
+      act(() => {
+        result.current.validate('user', 'ab', { required: true, minLength: 3, maxLength: 8, label: 'User' });
+      });
+
+      expect(result.current.getFieldError('user')).toBe('User (ab) needs 3-8 characters');
+    });
+
+    test('switches locale at runtime and re-renders existing errors', () => {
+      const { result } = renderHook(() => useFormValidate(undefined, { locale: 'en' }));
+
+      act(() => {
+        result.current.validate('email', 'nope', { required: true, email: true });
+        result.current.setError('server', 'Error del servidor');
+      });
+      expect(result.current.getFieldError('email')).toBe('Enter a valid email address');
+
+      act(() => {
+        result.current.setLocale('es');
+      });
+      expect(result.current.locale).toBe('es');
+      expect(result.current.getFieldError('email')).toBe('Ingrese un correo electrónico válido');
+      expect(result.current.getFieldErrors('email')).toEqual([{ rule: 'email', message: 'Ingrese un correo electrónico válido' }]);
+      expect(result.current.getFieldError('server')).toBe('Error del servidor');
+    });
+
+    test('formats money fields by locale and submits numbers', () => {
+      const onSubmit = jest.fn();
+      const rules = { required: true, money: { locale: 'en-US', currency: 'USD' } };
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        const props = form.getFieldProps('amount', rules);
+        return { form, props };
+      });
+
+      act(() => {
+        result.current.props.onChange({ target: { value: '1234.5' } });
+      });
+      expect(result.current.form.inputs.amount.value).toBe('$1,234.5');
+
+      act(() => {
+        result.current.form.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(onSubmit).toHaveBeenCalledWith({ amount: 1234.5 });
+    });
+
+    test('applies masks on change and submits the unmasked value', () => {
+      const onSubmit = jest.fn();
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        const phone = form.getFieldProps('phone', { required: true, phone: { country: 'CO' }, unmask: true });
+        const plate = form.getFieldProps('plate', { required: true, mask: 'AAA-999' });
+        return { form, phone, plate };
+      });
+
+      act(() => {
+        result.current.phone.onChange({ target: { value: '+573001234567' } });
+        result.current.plate.onChange({ target: { value: 'abc12' } });
+      });
+      expect(result.current.form.inputs.phone.value).toBe('+57 300 123 4567');
+      expect(result.current.form.inputs.plate.value).toBe('abc-12');
+
+      act(() => {
+        result.current.form.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(result.current.form.getFieldError('plate')).toBe(result.current.form.customErrorMessages.invalid_format);
+
+      act(() => {
+        result.current.plate.onChange({ target: { value: 'abc-123' } });
+      });
+      act(() => {
+        result.current.form.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(onSubmit).toHaveBeenCalledWith({ phone: '+573001234567', plate: 'abc-123' });
+    });
+
+    test('re-validates dependent fields when the field they depend on changes', () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        const password = form.getFieldProps('password', { required: true });
+        const confirmation = form.getFieldProps('confirmPassword', { required: true, isEqual: 'password', validateOnChange: true });
+        return { form, password, confirmation };
+      });
+
+      act(() => {
+        result.current.password.onChange({ target: { value: 'secret' } });
+      });
+      act(() => {
+        result.current.confirmation.onChange({ target: { value: 'secret' } });
+      });
+      expect(result.current.form.errors.confirmPassword).toBe('');
+
+      act(() => {
+        result.current.password.onChange({ target: { value: 'secret2' } });
+      });
+      expect(result.current.form.errors.confirmPassword).toBe(result.current.form.customErrorMessages.fields_not_match);
+
+      act(() => {
+        result.current.password.onChange({ target: { value: 'secret' } });
+      });
+      expect(result.current.form.errors.confirmPassword).toBe('');
+    });
+
+    test('compares fields with greaterThan and lessThan', () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate(undefined, { locale: 'en' });
+        const start = form.getFieldProps('startDate', { required: true, date: true, label: 'start date' });
+        const end = form.getFieldProps('endDate', { required: true, date: true, greaterThan: 'startDate' });
+        const min = form.getFieldProps('minPrice', { required: true, lessThan: 'maxPrice' });
+        const max = form.getFieldProps('maxPrice', { required: true });
+        return { form, start, end, min, max };
+      });
+
+      act(() => {
+        result.current.start.onChange({ target: { value: '2024-05-10' } });
+        result.current.end.onChange({ target: { value: '2024-05-01' } });
+        result.current.min.onChange({ target: { value: '100' } });
+        result.current.max.onChange({ target: { value: '20' } });
+      });
+      act(() => {
+        result.current.form.validate('endDate', '2024-05-01', { required: true, date: true, greaterThan: 'startDate' });
+        result.current.form.validate('minPrice', '100', { required: true, lessThan: 'maxPrice' });
+      });
+      expect(result.current.form.errors.endDate).toBe('Must be greater than start date');
+      expect(result.current.form.errors.minPrice).toBe('Must be less than maxPrice');
+
+      act(() => {
+        result.current.start.onChange({ target: { value: '2024-04-01' } });
+      });
+      act(() => {
+        result.current.max.onChange({ target: { value: '200' } });
+      });
+      expect(result.current.form.errors.endDate).toBe('');
+      expect(result.current.form.errors.minPrice).toBe('');
+    });
+
+    test('supports requiredIf and conditional rules with when', () => {
+      const onSubmit = jest.fn();
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        const type = form.getFieldProps('customerType', { required: true });
+        const company = form.getFieldProps('companyName', { requiredIf: { field: 'customerType', equals: 'company' } });
+        const vat = form.getFieldProps('vatNumber', {
+          required: true,
+          when: (inputs) => inputs.country?.value === 'ES',
+          deps: ['country']
+        });
+        const country = form.getFieldProps('country', {});
+        return { form, type, company, vat, country };
+      });
+
+      act(() => {
+        result.current.type.onChange({ target: { value: 'person' } });
+      });
+      act(() => {
+        result.current.form.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(onSubmit).toHaveBeenCalledTimes(1);
+
+      act(() => {
+        result.current.type.onChange({ target: { value: 'company' } });
+      });
+      expect(result.current.form.errors.companyName).toBe(result.current.form.customErrorMessages.is_required);
+
+      act(() => {
+        result.current.country.onChange({ target: { value: 'ES' } });
+      });
+      expect(result.current.form.errors.vatNumber).toBe(result.current.form.customErrorMessages.is_required);
+
+      act(() => {
+        result.current.country.onChange({ target: { value: 'CO' } });
+      });
+      expect(result.current.form.errors.vatNumber).toBe('');
+    });
+
+    test('validates on blur first and on every change after the first submit', () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate(undefined, { mode: 'onBlur', reValidateMode: 'onChange' });
+        const email = form.getFieldProps('email', { required: true, email: true });
+        return { form, email };
+      });
+
+      act(() => {
+        result.current.email.onChange({ target: { value: 'invalid' } });
+      });
+      expect(result.current.form.errors.email).toBeUndefined();
+
+      act(() => {
+        result.current.email.onBlur();
+      });
+      expect(result.current.form.errors.email).toBe(result.current.form.customErrorMessages.invalid_email);
+
+      act(() => {
+        result.current.email.onChange({ target: { value: 'user@example.com' } });
+      });
+      expect(result.current.form.errors.email).toBe(result.current.form.customErrorMessages.invalid_email);
+
+      act(() => {
+        result.current.form.handleSubmit(jest.fn())({ preventDefault() {} });
+      });
+      act(() => {
+        result.current.email.onChange({ target: { value: 'invalid' } });
+      });
+      expect(result.current.form.errors.email).toBe(result.current.form.customErrorMessages.invalid_email);
+      act(() => {
+        result.current.email.onChange({ target: { value: 'user@example.com' } });
+      });
+      expect(result.current.form.errors.email).toBe('');
+    });
+
+    test('supports onTouched mode and per-field modes', () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate(undefined, { mode: 'onTouched' });
+        const name = form.getFieldProps('name', { required: true, minLength: 3 });
+        const code = form.getFieldProps('code', { required: true, minLength: 3, mode: 'onChange' });
+        return { form, name, code };
+      });
+
+      act(() => {
+        result.current.name.onChange({ target: { value: 'ab' } });
+        result.current.code.onChange({ target: { value: 'ab' } });
+      });
+      expect(result.current.form.errors.name).toBeUndefined();
+      expect(result.current.form.errors.code).toBe('El campo debe tener al menos 3 caracteres');
+
+      act(() => {
+        result.current.name.onBlur();
+      });
+      expect(result.current.form.errors.name).toBe('El campo debe tener al menos 3 caracteres');
+
+      act(() => {
+        result.current.name.onChange({ target: { value: 'abc' } });
+      });
+      expect(result.current.form.errors.name).toBe('');
+    });
+
+    test('loads initialValues, resets to them and keeps the registered fields', () => {
+      const onSubmit = jest.fn();
+      const { result } = renderHook(() => {
+        const form = useFormValidate(undefined, {
+          initialValues: { name: 'Ana', address: { city: 'Lima' }, price: 1234.5 }
+        });
+        const name = form.getFieldProps('name', { required: true });
+        const city = form.getFieldProps('address.city', { required: true });
+        const price = form.getFieldProps('price', { required: true, money: { locale: 'en-US' } });
+        return { form, name, city, price };
+      });
+
+      expect(result.current.name.value).toBe('Ana');
+      expect(result.current.city.value).toBe('Lima');
+      expect(result.current.price.value).toBe('1,234.5');
+      expect(result.current.form.isDirty).toBe(false);
+      expect(result.current.form.getValues()).toEqual({ name: 'Ana', address: { city: 'Lima' }, price: 1234.5 });
+
+      act(() => {
+        result.current.name.onChange({ target: { value: '' } });
+      });
+      act(() => {
+        result.current.form.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(result.current.form.errors.name).toBe(result.current.form.customErrorMessages.is_required);
+
+      act(() => {
+        result.current.form.reset();
+      });
+      expect(result.current.name.value).toBe('Ana');
+      expect(result.current.form.errors).toEqual({});
+      expect(result.current.form.submitCount).toBe(0);
+      expect(result.current.form.inputs.name.rules).toEqual({ required: true });
+
+      act(() => {
+        result.current.form.reset({ name: 'Luis', address: { city: 'Quito' }, price: 10 });
+      });
+      expect(result.current.form.isDirty).toBe(false);
+      act(() => {
+        result.current.form.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(onSubmit).toHaveBeenCalledWith({ name: 'Luis', address: { city: 'Quito' }, price: 10 });
+    });
+
+    test('sets several values programmatically', () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        const name = form.getFieldProps('name', { required: true, minLength: 3 });
+        const accepted = form.getFieldProps('accepted', { checkbox: true });
+        return { form, name, accepted };
+      });
+
+      act(() => {
+        result.current.form.setValues({ name: 'Al', accepted: true }, { validate: true });
+      });
+      expect(result.current.name.value).toBe('Al');
+      expect(result.current.accepted.value).toBe('true');
+      expect(result.current.form.isFieldDirty('name')).toBe(true);
+      expect(result.current.form.errors.name).toBe('El campo debe tener al menos 3 caracteres');
+
+      act(() => {
+        result.current.form.setValues({ name: 'Alba' }, { markDirty: false });
+      });
+      expect(result.current.form.isFieldDirty('name')).toBe(false);
+      expect(result.current.form.getValues().name).toBe('Alba');
+    });
+
+    test('registers fields after render and updates changed rules', () => {
+      const { result, rerender } = renderHook(({ required, minLength }) => {
+        const form = useFormValidate();
+        const name = form.getFieldProps('name', {
+          required,
+          validate: (value) => !value || value.length >= minLength || `min ${minLength}`
+        });
+        return { form, name };
+      }, { initialProps: { required: false, minLength: 2 } });
+
+      expect(result.current.form.inputs.name.rules.required).toBe(false);
+      act(() => {
+        result.current.form.validate('name', '', result.current.form.inputs.name.rules);
+      });
+      expect(result.current.form.errors.name).toBe('');
+
+      rerender({ required: true, minLength: 2 });
+      expect(result.current.form.inputs.name.rules.required).toBe(true);
+      expect(result.current.form.errors.name).toBe(result.current.form.customErrorMessages.is_required);
+
+      // Las funciones se toman siempre del último render
+      rerender({ required: true, minLength: 5 });
+      act(() => {
+        result.current.name.onChange({ target: { value: 'abc' } });
+      });
+      act(() => {
+        result.current.form.handleSubmit(jest.fn())({ preventDefault() {} });
+      });
+      expect(result.current.form.errors.name).toBe('min 5');
+    });
+
+    test('re-validates a field when its rule functions change', async () => {
+      const isEven = (value) => Number(value) % 2 === 0 || 'Debe ser par';
+      const isPositive = (value) => Number(value) > 0 || 'Debe ser positivo';
+      const inlineValidate = jest.fn(() => Promise.resolve(true));
+      const { result, rerender } = renderHook(({ validate }) => {
+        const form = useFormValidate();
+        const amount = form.getFieldProps('amount', { required: true, validate });
+        // Una validación asíncrona en línea se crea en cada render, pero con el mismo código no se vuelve a lanzar
+        form.getFieldProps('note', { validate: (value) => inlineValidate(value) });
+        return { form, amount };
+      }, { initialProps: { validate: isEven } });
+
+      act(() => {
+        result.current.amount.onChange({ target: { value: '-2' } });
+      });
+      await act(async () => {
+        await result.current.form.validateFields();
+      });
+      expect(result.current.form.errors.amount).toBe('');
+      expect(inlineValidate).toHaveBeenCalledTimes(1);
+
+      rerender({ validate: isPositive });
+      expect(result.current.form.errors.amount).toBe('Debe ser positivo');
+      rerender({ validate: isPositive });
+      expect(inlineValidate).toHaveBeenCalledTimes(1);
+    });
+
+    test('re-validates a field when an inline validation uses other values', () => {
+      const validateUsername = jest.fn();
+      const { result, rerender } = renderHook(({ taken }) => {
+        const form = useFormValidate();
+        form.getFieldProps('username', {
+          validate: (value) => validateUsername(value) || value !== taken || 'Nombre en uso'
+        });
+        return form;
+      }, { initialProps: { taken: 'ana' } });
+
+      act(() => {
+        result.current.handleChange('username', 'luis');
+      });
+      act(() => {
+        result.current.validateFields();
+      });
+      expect(result.current.errors.username).toBe('');
+
+      rerender({ taken: 'luis' });
+      expect(result.current.errors.username).toBe('Nombre en uso');
+      const calls = validateUsername.mock.calls.length;
+      rerender({ taken: 'luis' });
+      expect(result.current.errors.username).toBe('Nombre en uso');
+      // Cada render valida una vez: un resultado igual no vuelve a renderizar el formulario
+      expect(validateUsername).toHaveBeenCalledTimes(calls + 1);
+
+      rerender({ taken: 'pedro' });
+      expect(result.current.errors.username).toBe('');
+    });
+
+    test('unregisters fields keeping their value or error on demand', () => {
+      const { result } = renderHook(() => useFormValidate());
+
+      act(() => {
+        result.current.register('name', { required: true });
+        result.current.register('address.city', { required: true }, 'Lima');
+        result.current.register('address.zip', { required: true });
+      });
+      act(() => {
+        result.current.handleSubmit(jest.fn())({ preventDefault() {} });
+      });
+      expect(result.current.errors.name).toBe(result.current.customErrorMessages.is_required);
+
+      act(() => {
+        result.current.unregister('name', { keepError: true });
+        result.current.unregister('address', { keepValue: true });
+      });
+      expect(result.current.inputs.name).toBeUndefined();
+      expect(result.current.errors.name).toBe(result.current.customErrorMessages.is_required);
+      expect(result.current.inputs['address.city']).toEqual({ value: 'Lima', initialValue: 'Lima' });
+
+      const onSubmit = jest.fn();
+      act(() => {
+        result.current.clearError('name');
+        result.current.handleSubmit(onSubmit)({ preventDefault() {} });
+      });
+      expect(onSubmit).toHaveBeenCalledWith({ address: { city: 'Lima', zip: '' } });
+
+      act(() => {
+        result.current.removeInput('address.zip');
+      });
+      expect(result.current.inputs['address.zip']).toBeUndefined();
+    });
+
+    test('unregisters conditionally rendered inputs when they unmount', async () => {
+      let form;
+      const Form = ({ showPhone, shouldUnregister }) => {
+        form = useFormValidate(undefined, { shouldUnregister });
+        return (
+          <form>
+            <input {...form.getFieldProps('name', { required: true })} ref={form.getFieldRef('name')} />
+            {showPhone && <input {...form.getFieldProps('phone', { required: true })} ref={form.getFieldRef('phone')} />}
+          </form>
+        );
+      };
+
+      const { rerender } = render(<Form showPhone shouldUnregister />);
+      expect(Object.keys(form.inputs)).toEqual(['name', 'phone']);
+
+      await act(async () => {
+        rerender(<Form showPhone={false} shouldUnregister />);
+      });
+      expect(Object.keys(form.inputs)).toEqual(['name']);
+
+      await act(async () => {
+        rerender(<Form showPhone shouldUnregister={false} />);
+      });
+      await act(async () => {
+        form.handleChange('phone', '3001234567');
+      });
+      await act(async () => {
+        rerender(<Form showPhone={false} shouldUnregister={false} />);
+      });
+      expect(form.inputs.phone.value).toBe('3001234567');
+    });
+
+    test('unregisters conditional fields that only use getFieldProps', async () => {
+      let form;
+      const onSubmit = jest.fn();
+      const Form = ({ showPhone, shouldUnregister }) => {
+        form = useFormValidate(undefined, { shouldUnregister });
+        return (
+          <form onSubmit={form.handleSubmit(onSubmit)}>
+            <input {...form.getFieldProps('name', { required: true })} />
+            {showPhone && <input {...form.getFieldProps('phone', { required: true })} />}
+            <button type="submit">Enviar</button>
+          </form>
+        );
+      };
+
+      const { rerender } = render(<Form showPhone shouldUnregister />);
+      expect(Object.keys(form.inputs)).toEqual(['name', 'phone']);
+
+      await act(async () => {
+        rerender(<Form showPhone={false} shouldUnregister />);
+      });
+      expect(Object.keys(form.inputs)).toEqual(['name']);
+      await act(async () => {
+        form.handleChange('name', 'Ana');
+      });
+      await act(async () => {
+        fireEvent.click(screen.getByText('Enviar'));
+      });
+      expect(onSubmit).toHaveBeenCalledWith({ name: 'Ana' });
+
+      await act(async () => {
+        rerender(<Form showPhone shouldUnregister={false} />);
+      });
+      await act(async () => {
+        rerender(<Form showPhone={false} shouldUnregister={false} />);
+      });
+      expect(Object.keys(form.inputs)).toEqual(['name', 'phone']);
+    });
+
+    test('does not pass a ref to components spread with getFieldProps', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const TextInput = ({ label, error, ...props }) => <input aria-label={label} {...props} />;
+      const Form = () => {
+        const form = useFormValidate();
+        return <TextInput label="Nombre" {...form.getFieldProps('name', { required: true })} />;
+      };
+
+      render(<Form />);
+      fireEvent.change(screen.getByLabelText('Nombre'), { target: { value: 'Ana' } });
+      expect(screen.getByLabelText('Nombre').value).toBe('Ana');
+      expect(console.error).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    describe('file fields', () => {
+      const pdf = new File(['%PDF'], 'contrato.pdf', { type: 'application/pdf' });
+      const photo = new File(['x'.repeat(4096)], 'foto.png', { type: 'image/png' });
+      const select = (form, name, files, rules) => form.getFieldProps(name, rules).onChange({ target: { files } });
+
+      test('does not read files that break the file rules', () => {
+        const readSpy = jest.spyOn(FileReader.prototype, 'readAsDataURL');
+        const rules = { file: true, accept: '.pdf', maxSize: 1024, mode: 'onChange' };
+        const { result } = renderHook(() => {
+          const form = useFormValidate();
+          form.getFieldProps('document', rules);
+          return form;
+        });
+
+        act(() => {
+          select(result.current, 'document', [photo], rules);
+        });
+        expect(readSpy).not.toHaveBeenCalled();
+        expect(result.current.inputs.document.values).toEqual([{ fileName: 'foto.png', fileSize: 4096, fileType: 'image/png' }]);
+        expect(result.current.errors.document).toBe('El archivo foto.png no es de un tipo permitido (.pdf)');
+        readSpy.mockRestore();
+      });
+
+      test('reads valid files as data URLs', async () => {
+        const rules = { file: true, required: true, accept: '.pdf', maxFiles: 1 };
+        const { result } = renderHook(() => {
+          const form = useFormValidate();
+          form.getFieldProps('document', rules);
+          return form;
+        });
+
+        await act(async () => {
+          select(result.current, 'document', [pdf], rules);
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        });
+        expect(result.current.inputs.document.values).toEqual([
+          { dataURL: 'data:application/pdf;base64,JVBERg==', fileName: 'contrato.pdf', fileSize: 4, fileType: 'application/pdf' }
+        ]);
+      });
+
+      test('reports read errors through errors', async () => {
+        const readSpy = jest.spyOn(FileReader.prototype, 'readAsDataURL').mockImplementation(function () {
+          setTimeout(() => this.onerror());
+        });
+        const consoleSpy = jest.spyOn(console, 'error');
+        const rules = { file: true, required: true };
+        const { result } = renderHook(() => {
+          const form = useFormValidate();
+          form.getFieldProps('document', rules);
+          return form;
+        });
+
+        await act(async () => {
+          select(result.current, 'document', [pdf], rules);
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        });
+        expect(result.current.errors.document).toBe('No se pudo leer el archivo');
+        expect(result.current.getFieldErrors('document')[0].rule).toBe('file');
+        expect(consoleSpy).not.toHaveBeenCalled();
+        readSpy.mockRestore();
+        consoleSpy.mockRestore();
+      });
+
+      test('keeps raw files and submits FormData', async () => {
+        const readSpy = jest.spyOn(FileReader.prototype, 'readAsDataURL');
+        const rules = { file: true, required: true, minFiles: 2 };
+        const { result } = renderHook(() => {
+          const form = useFormValidate(undefined, { submitAs: 'formData' });
+          form.getFieldProps('name', { required: true }, undefined, 'Ana');
+          form.getFieldProps('documents', rules);
+          return form;
+        });
+
+        act(() => {
+          select(result.current, 'documents', [pdf], rules);
+        });
+        const onSubmit = jest.fn();
+        act(() => {
+          result.current.handleSubmit(onSubmit)({ preventDefault() {} });
+        });
+        expect(onSubmit).not.toHaveBeenCalled();
+        expect(result.current.errors.documents).toBe('Debe seleccionar al menos 2 archivos');
+
+        act(() => {
+          select(result.current, 'documents', [pdf, photo], rules);
+        });
+        await act(async () => {
+          await result.current.handleSubmit(onSubmit)({ preventDefault() {} });
+        });
+        const formData = onSubmit.mock.calls[0][0];
+        expect(formData).toBeInstanceOf(FormData);
+        expect(formData.get('name')).toBe('Ana');
+        expect(formData.getAll('documents')).toEqual([pdf, photo]);
+        expect(readSpy).not.toHaveBeenCalled();
+        readSpy.mockRestore();
+      });
+    });
+
+    describe('server errors', () => {
+      const renderForm = (options) => renderHook(() => {
+        const form = useFormValidate(undefined, options);
+        form.getFieldProps('email', { required: true }, undefined, 'ana@mail.com');
+        form.getFieldProps('password', { required: true }, undefined, 'secret');
+        return form;
+      });
+
+      test('maps errors returned or thrown by onSubmit and clears them on change', async () => {
+        const { result } = renderForm();
+
+        await act(async () => {
+          await result.current.handleSubmit(() => Promise.reject({ errors: { email: ['already used'] }, formError: 'Check the form' }))({ preventDefault() {} });
+        });
+        expect(result.current.errors.email).toBe('already used');
+        expect(result.current.getFieldErrors('email')).toEqual([{ rule: 'server', message: 'already used' }]);
+        expect(result.current.formError).toBe('Check the form');
+        expect(result.current.isSubmitSuccessful).toBe(false);
+
+        act(() => {
+          result.current.handleChange('password', 'secret2');
+        });
+        expect(result.current.errors.email).toBe('already used');
+
+        act(() => {
+          result.current.handleChange('email', 'ana2@mail.com');
+        });
+        expect(result.current.errors.email).toBe('');
+        expect(result.current.isValid).toBe(true);
+
+        await act(async () => {
+          await result.current.handleSubmit(() => ({ type: 'about:blank', title: 'Unauthorized', status: 401 }))({ preventDefault() {} });
+        });
+        expect(result.current.formError).toBe('Unauthorized');
+        expect(result.current.isSubmitSuccessful).toBe(false);
+
+        await act(async () => {
+          await result.current.handleSubmit(() => Promise.resolve({ id: 1 }))({ preventDefault() {} });
+        });
+        expect(result.current.formError).toBe('');
+        expect(result.current.isSubmitSuccessful).toBe(true);
+
+        // Un registro creado con `title` no es un problem details
+        await act(async () => {
+          await result.current.handleSubmit(() => ({ id: 2, title: 'Mi entrada' }))({ preventDefault() {} });
+        });
+        expect(result.current.formError).toBe('');
+        expect(result.current.isSubmitSuccessful).toBe(true);
+      });
+
+      test('uses a custom adapter and rethrows other errors', async () => {
+        const serverErrorAdapter = (error) => error?.response?.data?.violations
+          ? { fields: Object.fromEntries(error.response.data.violations.map(({ propertyPath, title }) => [propertyPath, title])) }
+          : null;
+        const { result } = renderForm({ serverErrorAdapter });
+
+        await act(async () => {
+          await result.current.handleSubmit(() => {
+            throw { response: { data: { violations: [{ propertyPath: 'password', title: 'Too weak' }] } } };
+          })({ preventDefault() {} });
+        });
+        expect(result.current.errors.password).toBe('Too weak');
+
+        let error;
+        await act(async () => {
+          await result.current.handleSubmit(() => Promise.reject(new Error('Network error')))({ preventDefault() {} })
+            .catch((e) => { error = e; });
+        });
+        expect(error.message).toBe('Network error');
+        expect(result.current.formError).toBe('');
+      });
+    });
+
+    describe('draft persistence', () => {
+      const wait = () => new Promise((resolve) => setTimeout(resolve, 10));
+      const DraftForm = ({ onForm, persist, onSubmit = () => {} }) => {
+        const form = useFormValidate(undefined, { persist });
+        onForm(form);
+        return (
+          <form onSubmit={form.handleSubmit(onSubmit)}>
+            <input aria-label="name" {...form.getFieldProps('name', { required: true }, undefined, 'Ana')} />
+            <input aria-label="city" {...form.getFieldProps('address.city')} />
+            <input aria-label="password" type="password" {...form.getFieldProps('secretCode')} />
+            <input aria-label="apiToken" {...form.getFieldProps('apiToken')} />
+            <input aria-label="notes" {...form.getFieldProps('notes')} />
+          </form>
+        );
+      };
+
+      beforeEach(() => {
+        localStorage.clear();
+      });
+
+      test('saves changed values and restores them on mount', async () => {
+        let form;
+        const persist = { key: 'signup', debounceMs: 0, exclude: ['notes'], version: 2 };
+        const { unmount } = render(<DraftForm persist={persist} onForm={(f) => { form = f; }} />);
+
+        await act(async () => {
+          form.handleChange('address.city', 'Lima');
+          form.handleChange('secretCode', '1234');
+          form.handleChange('apiToken', 'abc');
+          form.handleChange('notes', 'Llamar antes');
+          await wait();
+        });
+        expect(JSON.parse(localStorage.getItem('signup'))).toEqual({ version: 2, values: { 'address.city': 'Lima' } });
+
+        await act(async () => {
+          form.handleChange('name', 'Ana María');
+        });
+        unmount();
+        expect(JSON.parse(localStorage.getItem('signup')).values).toEqual({ name: 'Ana María', 'address.city': 'Lima' });
+
+        render(<DraftForm persist={persist} onForm={(f) => { form = f; }} />);
+        await act(wait);
+        expect(form.inputs.name.value).toBe('Ana María');
+        expect(form.inputs['address.city'].value).toBe('Lima');
+        expect(form.inputs.secretCode.value).toBe('');
+        expect(form.isFieldDirty('name')).toBe(true);
+
+        await act(async () => {
+          form.reset();
+          await wait();
+        });
+        expect(form.inputs.name.value).toBe('Ana');
+        expect(localStorage.getItem('signup')).toBeNull();
+      });
+
+      test('discards drafts of another version and clears them after a successful submit', async () => {
+        let form;
+        localStorage.setItem('signup', JSON.stringify({ version: 1, values: { name: 'Old' } }));
+        const persist = { key: 'signup', debounceMs: 0, version: 2 };
+        render(<DraftForm persist={persist} onForm={(f) => { form = f; }} />);
+        await act(wait);
+        expect(form.inputs.name.value).toBe('Ana');
+        expect(localStorage.getItem('signup')).toBeNull();
+
+        await act(async () => {
+          form.handleChange('name', 'Luis');
+          await wait();
+        });
+        expect(localStorage.getItem('signup')).not.toBeNull();
+
+        const onSubmit = jest.fn();
+        await act(async () => {
+          await form.handleSubmit(onSubmit)({ preventDefault() {} });
+          await wait();
+        });
+        expect(onSubmit).toHaveBeenCalled();
+        expect(localStorage.getItem('signup')).toBeNull();
+      });
+
+      test('uses the given storage and clears it with resetForm', async () => {
+        let form;
+        const persist = { key: 'signup', storage: sessionStorage, debounceMs: 0 };
+        render(<DraftForm persist={persist} onForm={(f) => { form = f; }} />);
+        await act(async () => {
+          form.handleChange('name', 'Luis');
+          await wait();
+        });
+        expect(localStorage.getItem('signup')).toBeNull();
+        expect(JSON.parse(sessionStorage.getItem('signup')).values).toEqual({ name: 'Luis' });
+
+        await act(async () => {
+          form.resetForm();
+          await wait();
+        });
+        expect(sessionStorage.getItem('signup')).toBeNull();
+      });
+    });
+
+    describe('value transforms', () => {
+      const submit = async (result) => {
+        let submitted;
+        await act(async () => {
+          await result.current.handleSubmit((data) => { submitted = data; })({ preventDefault() {} });
+        });
+        return submitted;
+      };
+
+      test('submits typed values and keeps zero', async () => {
+        const { result } = renderHook(() => {
+          const form = useFormValidate();
+          form.getFieldProps('quantity', { valueAs: 'number' }, undefined, 0);
+          form.getFieldProps('discount', {}, undefined, 0);
+          form.getFieldProps('name', { trim: true, transform: (value) => value.toUpperCase() }, undefined, '  ana ');
+          form.getFieldProps('nickname', { emptyAsNull: true });
+          form.getFieldProps('terms', { checkbox: true }, undefined, 'true');
+          form.getFieldProps('birthday', { valueAs: 'isoDate' }, undefined, '2000-05-01');
+          form.getFieldProps('tags', { parse: (value) => value.split(',').map((tag) => tag.trim()) }, undefined, 'a, b');
+          return form;
+        });
+
+        expect(result.current.getFieldProps('discount').value).toBe(0);
+        expect(await submit(result)).toEqual({
+          quantity: 0,
+          discount: 0,
+          name: 'ANA',
+          nickname: null,
+          terms: true,
+          birthday: '2000-05-01T00:00:00.000Z',
+          tags: ['a', 'b']
+        });
+        expect(result.current.inputs.terms.value).toBe('true');
+      });
+
+      test('validates the converted value', () => {
+        const validateAge = jest.fn((value) => value >= 18 || 'Debe ser mayor de edad');
+        const { result } = renderHook(() => useFormValidate());
+
+        act(() => {
+          result.current.validate('age', '12', { valueAs: 'number', validate: validateAge });
+          result.current.validate('price', 'abc', { valueAs: 'number' });
+          result.current.validate('startsAt', 'mañana', { valueAs: 'date' });
+          result.current.validate('notes', '', { valueAs: 'number' });
+        });
+        expect(validateAge).toHaveBeenCalledWith(12, expect.anything(), expect.anything());
+        expect(result.current.errors.age).toBe('Debe ser mayor de edad');
+        expect(result.current.errors.price).toBe('Ingrese un número válido');
+        expect(result.current.errors.startsAt).toBe('Ingrese una fecha válida');
+        expect(result.current.errors.notes).toBe('');
+      });
+
+      test('applies the built-in rules to the converted value', async () => {
+        const { result } = renderHook(() => {
+          const form = useFormValidate();
+          form.getFieldProps('code', { required: true, trim: true, minLength: 3 }, undefined, '  ab  ');
+          form.getFieldProps('weight', { required: true, max: 120, parse: (value) => Number(value) * 1000 }, undefined, '100');
+          form.getFieldProps('email', { required: true, trim: true, email: true }, undefined, ' ana@mail.com ');
+          return form;
+        });
+
+        expect(await submit(result)).toBeUndefined();
+        expect(result.current.errors.code).toBe('El campo debe tener al menos 3 caracteres');
+        expect(result.current.errors.weight).toBe('El campo no debe exceder los 120');
+        expect(result.current.errors.email).toBe('');
+
+        act(() => {
+          result.current.handleChange('code', ' abc ');
+          result.current.handleChange('weight', '0.1');
+        });
+        expect(await submit(result)).toEqual({ code: 'abc', weight: 100, email: 'ana@mail.com' });
+      });
+
+      test('requires a checked checkbox after it is unchecked', () => {
+        const { result } = renderHook(() => useFormValidate());
+
+        act(() => {
+          result.current.validate('terms', 'false', { checkbox: true, required: true });
+        });
+        expect(result.current.errors.terms).toBe('Debe seleccionar al menos una opción');
+      });
+
+      test('submits checkbox groups as lists', async () => {
+        const colors = ['red', 'green', 'blue'];
+        let form;
+        const Colors = () => {
+          form = useFormValidate();
+          return (
+            <form>
+              {colors.map((color) => (
+                <input key={color} type="checkbox" aria-label={color}
+                  {...form.getFieldProps('colors', { checkbox: true, multiple: true, value: color }, undefined, ['blue'])} />
+              ))}
+            </form>
+          );
+        };
+        const { getByLabelText } = render(<Colors />);
+
+        expect(getByLabelText('blue').checked).toBe(true);
+        act(() => {
+          getByLabelText('red').click();
+        });
+        expect(getByLabelText('red').checked).toBe(true);
+        expect(form.inputs.colors.value).toEqual(['blue', 'red']);
+        expect(form.isFieldDirty('colors')).toBe(true);
+
+        act(() => {
+          getByLabelText('blue').click();
+          getByLabelText('red').click();
+        });
+        expect(getByLabelText('blue').checked).toBe(false);
+        expect(form.getValues()).toEqual({ colors: [] });
+      });
+    });
+
+    test('validateFields validates only the given fields and their nested fields', async () => {
+      const { result } = renderHook(() => {
+        const form = useFormValidate();
+        form.getFieldProps('name', { required: true });
+        form.getFieldProps('address.city', { required: true });
+        form.getFieldProps('address.zip', { required: true });
+        form.getFieldProps('code', { validate: async (value) => value === 'A1' || 'Código no válido' }, undefined, 'B2');
+        return form;
+      });
+
+      act(() => {
+        expect(result.current.validateFields('address')).toBe(false);
+      });
+      expect(result.current.errors).toEqual({ 'address.city': 'Campo obligatorio', 'address.zip': 'Campo obligatorio' });
+
+      let isValid;
+      await act(async () => {
+        isValid = await result.current.validateFields(['name', 'code']);
+      });
+      expect(isValid).toBe(false);
+      expect(result.current.errors.name).toBe('Campo obligatorio');
+      expect(result.current.errors.code).toBe('Código no válido');
+    });
+
+    test('validates formatted dates and shows date limits in the field format', () => {
+      const { result } = renderHook(() => useFormValidate({ min_date: 'Desde el {minDate}' }));
+      const rules = { required: true, date: 'DD/MM/YYYY', minDate: '2024-03-01', maxDate: 'today' };
+
+      act(() => {
+        result.current.handleChange('startsAt', '20/03/2024');
+      });
+      act(() => {
+        result.current.validate('start', '2024-03-15', rules);
+        result.current.validate('early', '29/02/2024', rules);
+        result.current.validate('future', '01/01/2999', rules);
+        result.current.validate('end', '05/04/2024', { ...rules, greaterThan: 'startsAt' });
+        result.current.validate('before', '15/03/2024', { ...rules, greaterThan: 'startsAt' });
+      });
+      expect(result.current.errors.start).toBe('Ingrese una fecha válida');
+      expect(result.current.errors.early).toBe('Desde el 01/03/2024');
+      const today = new Date();
+      expect(result.current.errors.future).toBe(`La fecha debe ser igual o anterior a ${formatToday(today)}`);
+      expect(result.current.errors.end).toBe('');
+      expect(result.current.errors.before).toBe('Debe ser mayor que startsAt');
+    });
+
+    test('compares dates that Date understands when the field has no date format', () => {
+      const { result } = renderHook(() => useFormValidate());
+
+      act(() => {
+        result.current.handleChange('startsAt', '9/1/2024');
+      });
+      act(() => {
+        result.current.validate('endsAt', '10/1/2024', { required: true, greaterThan: 'startsAt' });
+        result.current.validate('before', '8/30/2024', { required: true, greaterThan: 'startsAt' });
+      });
+      expect(result.current.errors.endsAt).toBe('');
+      expect(result.current.errors.before).toBe('Debe ser mayor que startsAt');
+    });
+
 });
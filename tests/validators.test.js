@@ -0,0 +1,89 @@
+import {
+  isEmail, isUrl, isDate, parseDate, formatDate, isDateInRange, isInteger, isStepMatch, matchesPattern, isOneOf,
+  getPasswordChecks, isStrongPassword, getPasswordStrength, isLuhnValid, isCreditCard
+} from '../validators';
+
+describe('validators', () => {
+    test('validates email addresses', () => {
+      expect(isEmail('ana.maria+news@mail.example.co')).toBe(true);
+      expect(isEmail('ana@mail.com')).toBe(true);
+      expect(isEmail('ana@mail')).toBe(false);
+      expect(isEmail('ana@@mail.com')).toBe(false);
+      expect(isEmail('.ana@mail.com')).toBe(false);
+      expect(isEmail('ana..maria@mail.com')).toBe(false);
+      expect(isEmail('ana maria@mail.com')).toBe(false);
+      expect(isEmail('ana@-mail.com')).toBe(false);
+      expect(isEmail(undefined)).toBe(false);
+    });
+
+    test('validates urls and their protocols', () => {
+      expect(isUrl('https://example.com/path?q=1')).toBe(true);
+      expect(isUrl('ws://localhost:8080')).toBe(true);
+      expect(isUrl('mailto:ana@mail.com')).toBe(true);
+      expect(isUrl('javascript:alert(1)')).toBe(false);
+      expect(isUrl('example.com')).toBe(false);
+      expect(isUrl('https:// example.com')).toBe(false);
+      expect(isUrl('http://example.com', { protocols: ['https'] })).toBe(false);
+      expect(isUrl('https://example.com', { protocols: ['https'] })).toBe(true);
+    });
+
+    test('parses ISO and formatted dates that exist in the calendar', () => {
+      expect(isDate('2024-02-29')).toBe(true);
+      expect(isDate('2023-02-29')).toBe(false);
+      expect(isDate('2024-01-31T10:30:00Z')).toBe(true);
+      expect(isDate('2024-01-31T25:00')).toBe(false);
+      expect(isDate('1')).toBe(false);
+      expect(isDate('31/01/2024', 'DD/MM/YYYY')).toBe(true);
+      expect(isDate('01/31/2024', 'DD/MM/YYYY')).toBe(false);
+      expect(isDate(new Date('nope'))).toBe(false);
+      expect(parseDate('31.01.2024', 'DD.MM.YYYY')).toEqual(new Date(Date.UTC(2024, 0, 31)));
+      expect(formatDate(parseDate('2024-01-05'), 'DD/MM/YYYY')).toBe('05/01/2024');
+    });
+
+    test('checks date ranges with inclusive limits', () => {
+      expect(isDateInRange('2024-01-31', { min: '2024-01-31', max: '2024-12-31' })).toBe(true);
+      expect(isDateInRange('2024-01-30', { min: '2024-01-31' })).toBe(false);
+      expect(isDateInRange('15/02/2024', { max: '2024-02-01' }, 'DD/MM/YYYY')).toBe(false);
+      expect(isDateInRange('2000-01-01', { max: 'today' })).toBe(true);
+      expect(isDateInRange('2999-01-01', { max: 'today' })).toBe(false);
+      expect(isDateInRange('nope', {})).toBe(false);
+    });
+
+    test('validates integers, steps, patterns and options', () => {
+      expect(isInteger('-42')).toBe(true);
+      expect(isInteger('4.2')).toBe(false);
+      expect(isInteger(7)).toBe(true);
+      expect(isStepMatch('1.15', 0.05)).toBe(true);
+      expect(isStepMatch('1.17', 0.05)).toBe(false);
+      expect(isStepMatch('5', 2, 1)).toBe(true);
+      expect(isStepMatch('4', 2, 1)).toBe(false);
+      expect(isStepMatch('', 2)).toBe(false);
+      expect(matchesPattern('AB-123', '[A-Z]{2}-\\d{3}')).toBe(true);
+      expect(matchesPattern('xAB-123', '[A-Z]{2}-\\d{3}')).toBe(false);
+      const global = /\d/g;
+      expect([matchesPattern('1', global), matchesPattern('2', global)]).toEqual([true, true]);
+      expect(isOneOf('1', [1, 2])).toBe(true);
+      expect(isOneOf(['red', 'blue'], ['red', 'green'])).toBe(false);
+    });
+
+    test('checks password requirements and strength', () => {
+      expect(getPasswordChecks('secreta1')).toEqual({
+        minLength: true, lowercase: true, uppercase: false, number: true, symbol: false
+      });
+      expect(isStrongPassword('Secreta#2024')).toBe(true);
+      expect(isStrongPassword('Secreta2024', { symbol: false })).toBe(true);
+      expect(isStrongPassword('Ñandú#1')).toBe(false);
+      expect(getPasswordStrength('')).toBe(0);
+      expect(getPasswordStrength('abc')).toBe(0);
+      expect(getPasswordStrength('abcdefgh1')).toBe(2);
+      expect(getPasswordStrength('Secreta#2024')).toBe(4);
+    });
+
+    test('validates card numbers with the Luhn check', () => {
+      expect(isLuhnValid('79927398713')).toBe(true);
+      expect(isLuhnValid('79927398710')).toBe(false);
+      expect(isCreditCard('4242 4242 4242 4242')).toBe(true);
+      expect(isCreditCard('4242-4242-4242-4241')).toBe(false);
+      expect(isCreditCard('4242')).toBe(false);
+    });
+});
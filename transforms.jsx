@@ -0,0 +1,98 @@
+import { parseMoney } from './money'
+import { getUnmaskedValue } from './masks'
+
+/**
+ * Indica si un valor convertido está vacío: cadena vacía o solo espacios, lista vacía, `null` o `undefined`.
+ *
+ * @param {any} value - Valor a comprobar.
+ * @returns {boolean} - `true` si el valor está vacío.
+ */
+const isEmpty = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0)
+
+/**
+ * Convierte el valor de un input al tipo indicado. Los valores vacíos se dejan como están (ver `emptyAsNull`).
+ *
+ * - `number`: número (`NaN` si el texto no es un número).
+ * - `boolean`: `true` para `true`, `'true'`, `'on'` y `'1'`.
+ * - `date`: objeto `Date` (fecha no válida si el texto no es una fecha).
+ * - `isoDate`: fecha en formato ISO 8601, o el texto original si no es una fecha.
+ *
+ * @param {any} value - Valor del input.
+ * @param {'number'|'boolean'|'date'|'isoDate'} type - Tipo de destino.
+ * @returns {any} - Valor convertido.
+ */
+export const coerceValue = (value, type) => {
+  if (type === 'boolean') {
+    return value === true || ['true', 'on', '1'].includes(String(value).toLowerCase())
+  }
+  if (isEmpty(value)) {
+    return value
+  }
+  if (type === 'number') {
+    return typeof value === 'number' ? value : Number(String(value).trim())
+  }
+  if (type === 'date' || type === 'isoDate') {
+    const date = value instanceof Date ? value : new Date(value)
+    if (type === 'date') {
+      return date
+    }
+    return isNaN(date.getTime()) ? value : date.toISOString()
+  }
+  return value
+}
+
+/**
+ * Indica si una conversión de `valueAs` falló: un número o una fecha que no se pudo interpretar.
+ *
+ * @param {any} value - Valor convertido.
+ * @returns {boolean} - `true` si el valor no es válido para su tipo.
+ */
+export const isInvalidCoercion = (value) =>
+  (typeof value === 'number' && isNaN(value)) || (value instanceof Date && isNaN(value.getTime()))
+
+/**
+ * Indica si un campo tiene reglas que cambian su valor antes de validarlo.
+ *
+ * @param {object} [rules] - Reglas del campo.
+ * @returns {boolean} - `true` si tiene `valueAs`, `trim`, `emptyAsNull` o `parse`.
+ */
+export const hasValueTransforms = (rules) =>
+  Boolean(rules && (rules.valueAs || rules.trim || rules.emptyAsNull || typeof rules.parse === 'function'))
+
+/**
+ * Obtiene el valor tipado de un campo a partir del valor del input: dinero convertido, valor sin máscara con `unmask`,
+ * `trim`, `parse` (o `valueAs`), casillas como booleanos y `emptyAsNull`. Es el valor que reciben `validate` y
+ * `onSubmit`, antes de `transform`.
+ *
+ * @param {any} value - Valor del input.
+ * @param {object} [rules] - Reglas del campo.
+ * @returns {any} - Valor tipado.
+ */
+export const parseFieldValue = (value, rules) => {
+  if (!rules) {
+    return value
+  }
+  let parsed = value
+  // los valores de dinero se envían como número (o centavos, o cadena con punto decimal en `money: true`)
+  if (rules.money) {
+    parsed = parseMoney(parsed, rules.money)
+  } else if (rules.unmask) {
+    parsed = getUnmaskedValue(parsed, rules)
+  }
+  if (rules.trim && typeof parsed === 'string') {
+    parsed = parsed.trim()
+  }
+  if (typeof rules.parse === 'function') {
+    parsed = rules.parse(parsed)
+  } else if (rules.valueAs) {
+    parsed = coerceValue(parsed, rules.valueAs)
+  } else if (rules.checkbox && !rules.multiple) {
+    parsed = coerceValue(parsed, 'boolean')
+  }
+  if (rules.emptyAsNull && isEmpty(parsed)) {
+    parsed = null
+  }
+  return parsed
+}
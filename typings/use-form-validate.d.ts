@@ -1 +1,576 @@
-declare module 'use-form-validate';
\ No newline at end of file
+import * as React from 'react';
+import type { PasswordOptions } from './validators';
+
+export * from './validators';
+
+/**
+ * Datos de un formulario. Es el tipo por defecto cuando no se indica `TValues`.
+ */
+export type FieldValues = Record<string, any>;
+
+type Primitive = string | number | boolean | bigint | symbol | null | undefined | Date | Blob;
+
+type ArrayPaths<K extends string, V> = V extends Primitive
+  ? `${K}[${number}]`
+  : `${K}[${number}]` | `${K}[${number}].${FieldPath<V>}`;
+
+type PathsOf<K extends string, V> = V extends Primitive
+  ? K
+  : V extends ReadonlyArray<infer Item>
+    ? K | ArrayPaths<K, Item>
+    : V extends object
+      ? K | `${K}.${FieldPath<V>}`
+      : K;
+
+/**
+ * Nombres de campo válidos de `TValues`, con la misma sintaxis de rutas del hook: `address.city` o `items[0].price`.
+ */
+export type FieldPath<TValues> = string extends keyof TValues
+  ? string
+  : { [K in keyof TValues & string]-?: PathsOf<K, NonNullable<TValues[K]>> }[keyof TValues & string];
+
+type SegmentValue<T, S extends string> = S extends `${infer K}[${number}]`
+  ? K extends keyof T
+    ? NonNullable<T[K]> extends ReadonlyArray<infer Item> ? Item : never
+    : never
+  : S extends keyof T
+    ? T[S]
+    : never;
+
+/**
+ * Tipo del valor de un campo de `TValues` a partir de su ruta.
+ */
+export type FieldPathValue<TValues, TPath extends string> = string extends keyof TValues
+  ? any
+  : TPath extends `${infer Head}.${infer Rest}`
+    ? FieldPathValue<NonNullable<SegmentValue<TValues, Head>>, Rest>
+    : SegmentValue<TValues, TPath>;
+
+/**
+ * Datos parciales de un formulario, para `initialValues`, `reset` y `setValues`.
+ */
+export type DeepPartial<T> = T extends Primitive
+  ? T
+  : T extends ReadonlyArray<infer Item>
+    ? Array<DeepPartial<Item>>
+    : { [K in keyof T]?: DeepPartial<T[K]> };
+
+/**
+ * Reglas registradas globalmente con `registerRule`. Se amplía con `declare module`:
+ *
+ * ```ts
+ * declare module 'use-form-validate' {
+ *   interface CustomRules { nit: boolean }
+ * }
+ * ```
+ */
+export interface CustomRules {}
+
+export type ValidationMode = 'onSubmit' | 'onChange' | 'onBlur' | 'onTouched' | 'all';
+
+export interface MoneyConfig {
+  locale?: string;
+  currency?: string;
+  thousandsSeparator?: string;
+  decimalSeparator?: string;
+  decimals?: number;
+  allowNegative?: boolean;
+  prefix?: string;
+  suffix?: string;
+  output?: 'number' | 'cents' | 'string';
+}
+
+export interface PhoneConfig {
+  country: keyof typeof PHONE_COUNTRIES | (string & {});
+}
+
+export type Mask = string | string[] | ((value: string) => string);
+
+export interface ImageDimensions {
+  minWidth?: number;
+  maxWidth?: number;
+  minHeight?: number;
+  maxHeight?: number;
+}
+
+export interface FileData {
+  dataURL?: string;
+  fileName: string;
+  fileSize: number;
+  fileType: string;
+}
+
+export type ValueAsType = 'number' | 'boolean' | 'date' | 'isoDate';
+
+export interface BuiltInRules<TValues extends FieldValues = FieldValues> {
+  required?: boolean;
+  money?: boolean | MoneyConfig;
+  min?: number;
+  max?: number;
+  maxLength?: number;
+  minLength?: number;
+  isEqual?: FieldPath<TValues>;
+  greaterThan?: FieldPath<TValues>;
+  lessThan?: FieldPath<TValues>;
+  requiredIf?: { field: FieldPath<TValues>; equals?: any };
+  when?: (inputs: Inputs<TValues>) => boolean;
+  deps?: FieldPath<TValues> | Array<FieldPath<TValues>>;
+  email?: boolean;
+  phone?: boolean | PhoneConfig;
+  mask?: Mask;
+  unmask?: boolean;
+  date?: boolean | string;
+  minDate?: string | Date;
+  maxDate?: string | Date;
+  pattern?: RegExp | string;
+  integer?: boolean;
+  step?: number;
+  oneOf?: readonly any[];
+  password?: boolean | PasswordOptions;
+  creditCard?: boolean;
+  validate?: (
+    value: any,
+    inputs: Inputs<TValues>,
+    context: { signal: AbortSignal }
+  ) => boolean | string | Promise<boolean | string>;
+  debounce?: number;
+  errorLabel?: string;
+  label?: string;
+  url?: boolean | { protocols?: string[] };
+  checkbox?: boolean;
+  multiple?: boolean;
+  radio?: boolean;
+  id?: string;
+  file?: boolean;
+  accept?: string | string[];
+  maxSize?: number;
+  minFiles?: number;
+  maxFiles?: number;
+  dimensions?: ImageDimensions;
+  rawFiles?: boolean;
+  valueAs?: ValueAsType;
+  trim?: boolean;
+  emptyAsNull?: boolean;
+  parse?: (value: any) => any;
+  transform?: (value: any) => any;
+  validateOnChange?: boolean;
+  onBlur?: boolean;
+  value?: any;
+  helperText?: string;
+  errorBoolean?: boolean;
+  mode?: ValidationMode;
+  reValidateMode?: ValidationMode;
+  shouldUnregister?: boolean;
+  allErrors?: boolean;
+  strictOptionalRules?: boolean;
+}
+
+/**
+ * Reglas de un campo: las incluidas en el hook, las globales (`CustomRules`) y las del formulario (`TRules`).
+ */
+export type Rule<TValues extends FieldValues = FieldValues, TRules extends object = {}> =
+  BuiltInRules<TValues> & Partial<CustomRules> & Partial<TRules>;
+
+export interface RuleDefinition<TParam = any> {
+  validate: (value: any, param: TParam, inputs: Inputs) => boolean | string;
+  message?: string | Record<string, string>;
+  format?: (value: string, param: TParam) => string;
+}
+
+export interface Field<TValues extends FieldValues = FieldValues> {
+  rules?: Rule<TValues>;
+  value: any;
+  values?: Array<File | FileData>;
+  initialValue?: any;
+  touched?: boolean;
+}
+
+export type Inputs<TValues extends FieldValues = FieldValues> = Partial<Record<FieldPath<TValues>, Field<TValues>>>;
+
+export type Errors<TValues extends FieldValues = FieldValues> = Partial<Record<FieldPath<TValues>, string>>;
+
+export type FieldFlags<TValues extends FieldValues = FieldValues> = Partial<Record<FieldPath<TValues>, boolean>>;
+
+export interface FieldFailure {
+  rule: string;
+  message: string;
+}
+
+export type ErrorMessageKey =
+  | 'is_type_file' | 'is_type_checkbox' | 'is_type_radio' | 'is_required' | 'is_type_money'
+  | 'min_length' | 'max_length' | 'min' | 'max' | 'fields_not_match' | 'greater_than' | 'less_than'
+  | 'invalid_email' | 'invalid_phone' | 'invalid_date' | 'invalid_number' | 'not_integer' | 'invalid_step' | 'min_date' | 'max_date'
+  | 'weak_password' | 'invalid_credit_card' | 'invalid_url' | 'invalid_type' | 'invalid_format'
+  | 'invalid_option' | 'custom_validation' | 'min_files' | 'max_files' | 'invalid_file_type' | 'max_file_size'
+  | 'image_min_width' | 'image_max_width' | 'image_min_height' | 'image_max_height' | 'invalid_image'
+  | 'file_read_error';
+
+export type ErrorMessages = Partial<Record<ErrorMessageKey, string>> & Record<string, string | undefined>;
+
+export interface SchemaIssue {
+  path: string;
+  rule: string;
+  message: string;
+}
+
+export interface SchemaResult<TValues = FieldValues> {
+  values?: TValues;
+  issues: SchemaIssue[];
+}
+
+export type SchemaResolver<TValues = FieldValues> = (
+  values: TValues,
+  context: { messages: ErrorMessages }
+) => SchemaResult<TValues> | Promise<SchemaResult<TValues>>;
+
+export interface ServerErrors {
+  fields: Record<string, string | string[]>;
+  formError?: string;
+}
+
+export type ServerErrorAdapter = (payload: any) => ServerErrors | null;
+
+export interface PersistOptions<TValues extends FieldValues = FieldValues> {
+  key: string;
+  storage?: Storage;
+  include?: Array<FieldPath<TValues>>;
+  exclude?: Array<FieldPath<TValues>>;
+  debounceMs?: number;
+  version?: number | string;
+}
+
+export interface FormOptions<TValues extends FieldValues = FieldValues, TRules extends object = {}> {
+  locale?: string;
+  rules?: { [K in keyof TRules]: RuleDefinition<TRules[K]> };
+  allErrors?: boolean;
+  strictOptionalRules?: boolean;
+  schema?: SchemaResolver<TValues> | object;
+  initialValues?: DeepPartial<TValues>;
+  mode?: ValidationMode;
+  reValidateMode?: ValidationMode;
+  shouldUnregister?: boolean;
+  submitAs?: 'object' | 'formData';
+  rawFiles?: boolean;
+  serverErrorAdapter?: ServerErrorAdapter;
+  persist?: PersistOptions<TValues>;
+  idPrefix?: string;
+  shouldFocusError?: boolean;
+}
+
+export interface FormState<TValues extends FieldValues = FieldValues> {
+  inputs: Inputs<TValues>;
+  errors: Errors<TValues>;
+  fieldErrors: Partial<Record<FieldPath<TValues>, FieldFailure[]>>;
+  validatingFields: FieldFlags<TValues>;
+  formError: string;
+  touchedFields: FieldFlags<TValues>;
+  dirtyFields: FieldFlags<TValues>;
+  isDirty: boolean;
+  isValid: boolean;
+  isValidating: boolean;
+  isSubmitting: boolean;
+  isSubmitSuccessful: boolean;
+  submitCount: number;
+}
+
+export interface FormattedValue<TName extends string = string> {
+  name: TName;
+  value: any;
+  error: string | boolean;
+  id?: string;
+  checked?: boolean;
+  'aria-invalid': boolean;
+  'aria-describedby'?: string;
+  'aria-required'?: boolean;
+  onBlur: () => void;
+  onChange: (e: React.ChangeEvent<any> | null, value?: any) => void;
+  [helperText: string]: any;
+}
+
+export interface FormControl<TValues extends FieldValues = FieldValues> {
+  store: unknown;
+  getFormState: () => FormState<TValues>;
+}
+
+export interface UseFormValidateReturn<
+  TValues extends FieldValues = FieldValues,
+  TRules extends object = {},
+  TSubmitData = TValues
+> extends Omit<FormState<TValues>, 'fieldErrors' | 'isValidating'> {
+  updateInput: (name: FieldPath<TValues>, value?: Partial<Field<TValues>>) => void;
+  removeInput: (name: FieldPath<TValues>) => void;
+  register: <TName extends FieldPath<TValues>>(
+    name: TName,
+    rules?: Rule<TValues, TRules>,
+    defaultValue?: FieldPathValue<TValues, TName>
+  ) => void;
+  unregister: (name: FieldPath<TValues>, options?: { keepValue?: boolean; keepError?: boolean }) => void;
+  handleChange: <TName extends FieldPath<TValues>>(name: TName, value: FieldPathValue<TValues, TName> | string) => void;
+  setError: (name: FieldPath<TValues>, message: string, options?: { type?: string }) => void;
+  setServerErrors: (payload: any) => boolean;
+  clearError: (name: FieldPath<TValues>) => void;
+  validate: (
+    name: FieldPath<TValues>,
+    value: any,
+    rules?: Rule<TValues, TRules>,
+    options?: { debounce?: number; silent?: boolean }
+  ) => boolean | Promise<boolean>;
+  validateFields: (names?: FieldPath<TValues> | Array<FieldPath<TValues>>) => boolean | Promise<boolean>;
+  isValidating: (name?: FieldPath<TValues>) => boolean;
+  validateEmail: (email: string) => boolean;
+  isValidDate: (dateString: string) => boolean;
+  validateMoney: (value: string, config?: boolean | MoneyConfig) => boolean;
+  formatMoneyInput: (value?: string, config?: boolean | MoneyConfig) => string;
+  handleMoneyChange: (
+    name: FieldPath<TValues>,
+    value: string,
+    config?: boolean | MoneyConfig,
+    input?: HTMLInputElement
+  ) => void;
+  handleSubmit: (
+    onSubmit: (formData: TSubmitData) => unknown
+  ) => (e?: React.FormEvent | { preventDefault(): void }) => void | Promise<void>;
+  getFieldProps: <TName extends FieldPath<TValues>>(
+    name: TName,
+    rules?: Rule<TValues, TRules>,
+    anotherValue?: string,
+    defaultValue?: FieldPathValue<TValues, TName>
+  ) => FormattedValue<TName>;
+  getFieldError: (name: FieldPath<TValues>) => string;
+  getFieldErrors: (name: FieldPath<TValues>) => FieldFailure[];
+  getFieldRef: (name: FieldPath<TValues>) => (element: HTMLElement | null) => void;
+  getFieldId: (name: FieldPath<TValues>) => string;
+  getErrorId: (name: FieldPath<TValues>) => string;
+  setFocus: (name: FieldPath<TValues>, options?: { shouldSelect?: boolean }) => boolean;
+  updateFieldArray: (name: FieldPath<TValues>, order: Array<number | { value: any }>) => void;
+  isFieldTouched: (name: FieldPath<TValues>) => boolean;
+  isFieldDirty: (name: FieldPath<TValues>) => boolean;
+  resetForm: () => void;
+  reset: (values?: DeepPartial<TValues>) => void;
+  setValues: (values: DeepPartial<TValues>, options?: { validate?: boolean; markDirty?: boolean }) => void;
+  getValues: () => TValues;
+  getFormData: () => FormData;
+  clearDraft: () => void;
+  locale: string;
+  setLocale: (locale: string) => void;
+  registerRule: (name: string, definition: RuleDefinition) => void;
+  customErrorMessages: ErrorMessages;
+  control: FormControl<TValues>;
+}
+
+/**
+ * Hook para validar formularios. `TValues` es la forma de los datos de `handleSubmit`; con él se comprueban los
+ * nombres de campo y las reglas que hacen referencia a otros campos. `TRules` declara las reglas de `options.rules`.
+ */
+declare function useFormValidate<TValues extends FieldValues = FieldValues, TRules extends object = {}>(
+  customErrorMessages: ErrorMessages | undefined,
+  options: FormOptions<TValues, TRules> & { submitAs: 'formData' }
+): UseFormValidateReturn<TValues, TRules, FormData>;
+declare function useFormValidate<TValues extends FieldValues = FieldValues, TRules extends object = {}>(
+  customErrorMessages?: ErrorMessages,
+  options?: FormOptions<TValues, TRules>
+): UseFormValidateReturn<TValues, TRules>;
+
+export interface FieldArrayItem {
+  key: string;
+  index: number;
+  name: string;
+}
+
+export type ArrayPath<TValues> = {
+  [K in FieldPath<TValues>]: FieldPathValue<TValues, K> extends ReadonlyArray<any> | undefined ? K : never
+}[FieldPath<TValues>];
+
+type ArrayItem<TValues, TName extends string> = NonNullable<FieldPathValue<TValues, TName>> extends ReadonlyArray<infer Item>
+  ? Item
+  : any;
+
+export interface UseFieldArrayReturn<TItem = any> {
+  fields: FieldArrayItem[];
+  append: (value?: DeepPartial<TItem>) => void;
+  insert: (index: number, value?: DeepPartial<TItem>) => void;
+  remove: (index: number) => void;
+  move: (from: number, to: number) => void;
+  swap: (indexA: number, indexB: number) => void;
+}
+
+declare function useFieldArray<TValues extends FieldValues, TName extends ArrayPath<TValues>>(
+  form: UseFormValidateReturn<TValues, any, any>,
+  name: TName
+): UseFieldArrayReturn<ArrayItem<TValues, TName>>;
+
+export interface FormStep<TValues extends FieldValues = FieldValues> {
+  fields: Array<FieldPath<TValues>>;
+  name?: string;
+}
+
+export interface FormStepState<TValues extends FieldValues = FieldValues> extends FormStep<TValues> {
+  index: number;
+  isCurrent: boolean;
+  isComplete: boolean;
+}
+
+export interface UseFormStepsReturn<TValues extends FieldValues = FieldValues, TSubmitData = TValues> {
+  currentStep: number;
+  step: FormStep<TValues>;
+  steps: Array<FormStepState<TValues>>;
+  isFirstStep: boolean;
+  isLastStep: boolean;
+  next: () => boolean | Promise<boolean>;
+  back: () => void;
+  goTo: (index: number) => boolean | Promise<boolean>;
+  handleSubmit: (
+    onSubmit: (formData: TSubmitData) => unknown
+  ) => (e?: React.FormEvent | { preventDefault(): void }) => boolean | void | Promise<boolean | void>;
+}
+
+declare function useFormSteps<TValues extends FieldValues, TSubmitData = TValues>(
+  form: UseFormValidateReturn<TValues, any, TSubmitData>,
+  steps: Array<FormStep<TValues>>,
+  options?: { initialStep?: number; shouldFocusError?: boolean }
+): UseFormStepsReturn<TValues, TSubmitData>;
+
+export interface FieldState {
+  error: string;
+  errors: FieldFailure[];
+  isTouched: boolean;
+  isDirty: boolean;
+  isValidating: boolean;
+}
+
+export interface UseFieldReturn<TName extends string = string> {
+  field: FormattedValue<TName> & { ref: (element: HTMLElement | null) => void };
+  fieldState: FieldState;
+}
+
+declare function useField<TValues extends FieldValues, TName extends FieldPath<TValues>>(
+  form: UseFormValidateReturn<TValues, any, any>,
+  name: TName,
+  rules?: Rule<TValues>,
+  anotherValue?: string,
+  defaultValue?: FieldPathValue<TValues, TName>
+): UseFieldReturn<TName>;
+declare function useField<TValues extends FieldValues = FieldValues>(
+  name: FieldPath<TValues>,
+  rules?: Rule<TValues>,
+  anotherValue?: string,
+  defaultValue?: any
+): UseFieldReturn;
+
+declare function useFormState<TValues extends FieldValues, TSelected = FormState<TValues>>(
+  form: UseFormValidateReturn<TValues, any, any>,
+  selector?: (state: FormState<TValues>) => TSelected
+): TSelected;
+declare function useFormState<TValues extends FieldValues = FieldValues, TSelected = FormState<TValues>>(
+  selector?: (state: FormState<TValues>) => TSelected
+): TSelected;
+
+export declare function useFormContext<
+  TValues extends FieldValues = FieldValues,
+  TRules extends object = {}
+>(): UseFormValidateReturn<TValues, TRules, any>;
+
+export declare function FormProvider<TValues extends FieldValues>(props: {
+  form: UseFormValidateReturn<TValues, any, any>;
+  children?: React.ReactNode;
+}): React.JSX.Element;
+
+export type FormProps<TValues extends FieldValues = FieldValues, TSubmitData = TValues> =
+  Omit<React.FormHTMLAttributes<HTMLFormElement>, 'onSubmit'> & {
+    form?: UseFormValidateReturn<TValues, any, TSubmitData>;
+    onSubmit: (formData: TSubmitData) => unknown;
+  };
+
+export declare function Form<TValues extends FieldValues = FieldValues, TSubmitData = TValues>(
+  props: FormProps<TValues, TSubmitData>
+): React.JSX.Element;
+
+export type FieldProps<TValues extends FieldValues = FieldValues> = {
+  name: FieldPath<TValues>;
+  rules?: Rule<TValues>;
+  as?: React.ElementType;
+  anotherValue?: string;
+  defaultValue?: any;
+  children?: (field: UseFieldReturn) => React.ReactNode;
+  [prop: string]: any;
+};
+
+export declare function Field<TValues extends FieldValues = FieldValues>(props: FieldProps<TValues>): React.ReactNode;
+
+export type ErrorMessageProps<TValues extends FieldValues = FieldValues> = {
+  name: FieldPath<TValues>;
+  as?: React.ElementType;
+  render?: (message: string, props: { id: string }) => React.ReactNode;
+  [prop: string]: any;
+};
+
+export declare function ErrorMessage<TValues extends FieldValues = FieldValues>(
+  props: ErrorMessageProps<TValues>
+): React.ReactNode;
+
+export type ErrorSummaryProps<TValues extends FieldValues = FieldValues> = {
+  form?: UseFormValidateReturn<TValues, any, any>;
+  title?: React.ReactNode;
+  as?: React.ElementType;
+  [prop: string]: any;
+};
+
+export declare function ErrorSummary<TValues extends FieldValues = FieldValues>(
+  props: ErrorSummaryProps<TValues>
+): React.ReactNode;
+
+export declare function jsonSchemaResolver<TValues = FieldValues>(schema: object): SchemaResolver<TValues>;
+export declare function safeParseResolver<TValues = FieldValues>(schema: {
+  safeParse?: (values: any) => any;
+  safeParseAsync?: (values: any) => Promise<any>;
+}): SchemaResolver<TValues>;
+export declare function validateResolver<TValues = FieldValues>(schema: {
+  validate: (values: any, options?: any) => any;
+}): SchemaResolver<TValues>;
+
+export declare const locales: Record<string, ErrorMessages>;
+export declare function registerLocale(locale: string, messages: ErrorMessages): void;
+
+export declare function formatMoney(value?: string, config?: boolean | MoneyConfig): string;
+export declare function parseMoney(value: string, config?: boolean | MoneyConfig): number | string;
+export declare function validateMoney(value: string, config?: boolean | MoneyConfig): boolean;
+
+export declare function applyMask(value: string | undefined, mask: Mask): string;
+export declare function formatPhone(value: string | undefined, config: PhoneConfig): string;
+export declare function validatePhone(value: string | undefined, config: boolean | PhoneConfig): boolean;
+export declare const PHONE_COUNTRIES: {
+  readonly AR: { code: string; masks: string[]; lengths: number[] };
+  readonly BR: { code: string; masks: string[]; lengths: number[] };
+  readonly CA: { code: string; masks: string[]; lengths: number[] };
+  readonly CL: { code: string; masks: string[]; lengths: number[] };
+  readonly CO: { code: string; masks: string[]; lengths: number[] };
+  readonly EC: { code: string; masks: string[]; lengths: number[] };
+  readonly ES: { code: string; masks: string[]; lengths: number[] };
+  readonly MX: { code: string; masks: string[]; lengths: number[] };
+  readonly PE: { code: string; masks: string[]; lengths: number[] };
+  readonly US: { code: string; masks: string[]; lengths: number[] };
+  readonly [country: string]: { code: string; masks: string[]; lengths: number[] };
+};
+
+export declare function toFormData(values?: object): FormData;
+export declare function validateFiles(
+  files: Array<File | FileData>,
+  rules: Pick<BuiltInRules, 'accept' | 'maxSize' | 'minFiles' | 'maxFiles'>
+): Array<{ rule: string; messageKey: ErrorMessageKey; params: Record<string, any> }>;
+
+export declare const defaultServerErrorAdapter: ServerErrorAdapter;
+
+export declare function coerceValue(value: any, type: 'number'): number;
+export declare function coerceValue(value: any, type: 'boolean'): boolean;
+export declare function coerceValue(value: any, type: 'date'): Date;
+export declare function coerceValue(value: any, type: 'isoDate'): string;
+export declare function coerceValue(value: any, type: ValueAsType): any;
+export declare function parseFieldValue(value: any, rules?: Rule): any;
+
+export declare function registerRule<TName extends keyof CustomRules | (string & {})>(
+  name: TName,
+  definition: RuleDefinition<TName extends keyof CustomRules ? CustomRules[TName] : any>
+): void;
+export declare function unregisterRule(name: string): void;
+
+export { useFormValidate, useFieldArray, useField, useFormState, useFormSteps };
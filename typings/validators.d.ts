@@ -0,0 +1,35 @@
+export interface PasswordOptions {
+  minLength?: number;
+  lowercase?: boolean;
+  uppercase?: boolean;
+  number?: boolean;
+  symbol?: boolean;
+}
+
+export interface PasswordChecks {
+  minLength: boolean;
+  lowercase: boolean;
+  uppercase: boolean;
+  number: boolean;
+  symbol: boolean;
+}
+
+export declare function isEmail(value: unknown): boolean;
+export declare function isUrl(value: unknown, options?: { protocols?: string[] }): boolean;
+export declare function parseDate(value: unknown, format?: string): Date | null;
+export declare function isDate(value: unknown, format?: string): boolean;
+export declare function formatDate(date: Date, format?: string): string;
+export declare function isDateInRange(
+  value: string | Date,
+  range: { min?: string | Date; max?: string | Date },
+  format?: string
+): boolean;
+export declare function isInteger(value: string | number): boolean;
+export declare function isStepMatch(value: string | number, step: number, base?: number): boolean;
+export declare function matchesPattern(value: unknown, pattern: RegExp | string): boolean;
+export declare function isOneOf(value: unknown, options: readonly unknown[]): boolean;
+export declare function getPasswordChecks(value: string, options?: PasswordOptions): PasswordChecks;
+export declare function isStrongPassword(value: string, options?: PasswordOptions): boolean;
+export declare function getPasswordStrength(value: string): 0 | 1 | 2 | 3 | 4;
+export declare function isLuhnValid(digits: string): boolean;
+export declare function isCreditCard(value: string): boolean;
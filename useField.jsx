@@ -0,0 +1,61 @@
+import { useLayoutEffect } from 'react'
+import { useStoreSelector } from './formStore'
+import { useOptionalForm } from './FormContext'
+
+/**
+ * @typedef {Object} FieldState
+ * @property {string} error - Primer mensaje de error del campo.
+ * @property {import('./useFormValidate').FieldFailure[]} errors - Reglas que fallaron.
+ * @property {boolean} isTouched - Indica si el campo perdió el foco al menos una vez.
+ * @property {boolean} isDirty - Indica si el valor del campo cambió respecto a su valor inicial.
+ * @property {boolean} isValidating - Indica si el campo tiene una validación asíncrona en curso.
+ */
+
+/**
+ * Hook para conectar un campo al formulario. Solo se vuelve a renderizar cuando cambia el estado de ese campo,
+ * así que un cambio en un campo no vuelve a renderizar el resto del formulario.
+ *
+ * Dentro de un `FormProvider` se puede omitir el formulario: `useField(name, rules)`.
+ *
+ * @param {ReturnType<import('./useFormValidate').default>} form - Objeto devuelto por `useFormValidate`.
+ * @param {string} name - Nombre del campo.
+ * @param {import('./useFormValidate').Rule} [rules] - Reglas del campo.
+ * @param {string} [anotherValue] - Valor alternativo para el campo (como en `getFieldProps`).
+ * @param {any} [defaultValue] - Valor por defecto del campo.
+ * @returns {{ field: import('./useFormValidate').FormattedValue, fieldState: FieldState }} - Props del input (las mismas de
+ * `getFieldProps`, con la `ref` de `getFieldRef`) y estado del campo.
+ */
+const useField = (...args) => {
+  const withoutForm = typeof args[0] === 'string'
+  const form = useOptionalForm(withoutForm ? null : args[0])
+  const [name, rules, anotherValue, defaultValue] = withoutForm ? args : args.slice(1)
+  if (!form?.control) {
+    throw new Error("useField espera como primer parametro el objeto devuelto por useFormValidate, o estar dentro de un FormProvider.")
+  }
+  const { control } = form
+  useStoreSelector(control.store, (state) => [
+    state.inputs[name],
+    state.errors[name],
+    state.fieldErrors[name],
+    state.validatingFields[name]
+  ])
+
+  // Registra el campo y restaura el cursor aunque el componente del formulario no se vuelva a renderizar
+  useLayoutEffect(() => {
+    control.flushFields()
+    control.restoreCaret()
+  })
+
+  return {
+    field: { ...control.getFieldProps(name, rules, anotherValue, defaultValue), ref: control.getFieldRef(name) },
+    fieldState: {
+      error: control.getFieldError(name),
+      errors: control.getFieldErrors(name),
+      isTouched: control.isFieldTouched(name),
+      isDirty: control.isFieldDirty(name),
+      isValidating: Boolean(control.store.getState().validatingFields[name])
+    }
+  }
+}
+
+export default useField
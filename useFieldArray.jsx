@@ -0,0 +1,128 @@
+import { useRef, useState } from 'react'
+import { matchArrayPath } from './fieldPaths'
+
+/**
+ * @typedef {Object} FieldArrayItem
+ * @property {string} key - Clave estable de la fila, para usar como `key` de React.
+ * @property {number} index - Posición actual de la fila.
+ * @property {string} name - Ruta de la fila (por ejemplo `items[2]`), para construir los nombres de sus campos.
+ */
+
+/**
+ * Hook para gestionar una lista dinámica de campos (por ejemplo, las líneas de una factura).
+ * Las filas se registran con rutas como `items[0].price`; al reordenarlas, sus valores, reglas y errores se mueven con ellas.
+ *
+ * @param {ReturnType<import('./useFormValidate').default>} form - Objeto devuelto por `useFormValidate`.
+ * @param {string} name - Nombre de la lista.
+ * @returns {{
+*   fields: FieldArrayItem[],
+*   append: (value?: any) => void,
+*   insert: (index: number, value?: any) => void,
+*   remove: (index: number) => void,
+*   move: (from: number, to: number) => void,
+*   swap: (indexA: number, indexB: number) => void
+* }}
+*/
+const useFieldArray = (form, name) => {
+  if (!form || typeof form.updateFieldArray !== 'function') {
+    throw new Error("useFieldArray espera como primer parametro el objeto devuelto por useFormValidate.")
+  }
+  const nextKey = useRef(0)
+  const createKey = () => `${name}-${nextKey.current++}`
+  // Número de filas con campos en el formulario
+  const getStoredLength = (inputs) => Object.keys(inputs).reduce((max, key) => {
+    const match = matchArrayPath(name, key)
+    return match ? Math.max(max, match.index + 1) : max
+  }, 0)
+  // Las claves se guardan en una ref para que cualquier render posterior al cambio del formulario ya las vea actualizadas
+  const keys = useRef(null)
+  const storedLength = useRef(null)
+  const length = getStoredLength(form.inputs)
+  // Las filas se crean de nuevo si el número de filas cambia fuera de la lista (`reset`, `setValues`). Una fila agregada
+  // sin valores aún no tiene campos: mientras el formulario no cambie de longitud, se conservan las claves.
+  if (keys.current === null || (length !== storedLength.current && length !== keys.current.length)) {
+    keys.current = Array.from({ length }, createKey)
+  }
+  storedLength.current = length
+  const [, setVersion] = useState(0)
+
+  /**
+   * Aplica un nuevo orden de filas a las claves y al formulario.
+   *
+   * @param {Array<number|{ value: any }>} order - Índice anterior de cada fila, o `{ value }` para una fila nueva.
+   */
+  const update = (order) => {
+    keys.current = order.map((entry) => (typeof entry === 'number' ? keys.current[entry] : createKey()))
+    setVersion((prevVersion) => prevVersion + 1)
+    form.updateFieldArray(name, order)
+    storedLength.current = getStoredLength(form.control.store.getState().inputs)
+  }
+  const indexes = () => keys.current.map((_, index) => index)
+
+  /**
+   * Agrega una fila al final de la lista.
+   *
+   * @param {any} [value] - Valores iniciales de la fila.
+   */
+  const append = (value = {}) => {
+    update([...indexes(), { value }])
+  }
+
+  /**
+   * Inserta una fila en una posición.
+   *
+   * @param {number} index - Posición de la nueva fila.
+   * @param {any} [value] - Valores iniciales de la fila.
+   */
+  const insert = (index, value = {}) => {
+    const order = indexes()
+    order.splice(index, 0, { value })
+    update(order)
+  }
+
+  /**
+   * Elimina una fila.
+   *
+   * @param {number} index - Posición de la fila a eliminar.
+   */
+  const remove = (index) => {
+    update(indexes().filter((position) => position !== index))
+  }
+
+  /**
+   * Mueve una fila a otra posición.
+   *
+   * @param {number} from - Posición actual de la fila.
+   * @param {number} to - Nueva posición de la fila.
+   */
+  const move = (from, to) => {
+    const order = indexes()
+    const [moved] = order.splice(from, 1)
+    order.splice(to, 0, moved)
+    update(order)
+  }
+
+  /**
+   * Intercambia dos filas.
+   *
+   * @param {number} indexA - Posición de la primera fila.
+   * @param {number} indexB - Posición de la segunda fila.
+   */
+  const swap = (indexA, indexB) => {
+    const order = indexes()
+    order[indexA] = indexB
+    order[indexB] = indexA
+    update(order)
+  }
+
+  return {
+    fields: keys.current.map((key, index) => ({ key, index, name: `${name}[${index}]` })),
+    append,
+    insert,
+    remove,
+    move,
+    swap
+  }
+}
+
+export default useFieldArray
@@ -0,0 +1,25 @@
+import { useStoreSelector } from './formStore'
+import { useOptionalForm } from './FormContext'
+
+/**
+ * Hook para leer el estado del formulario (por ejemplo, `isDirty` o `isSubmitting` en el botón de envío) sin volver a
+ * renderizar el formulario completo. El componente solo se vuelve a renderizar cuando cambia el valor seleccionado.
+ *
+ * Dentro de un `FormProvider` se puede omitir el formulario: `useFormState(selector)`.
+ *
+ * @param {ReturnType<import('./useFormValidate').default>} form - Objeto devuelto por `useFormValidate`.
+ * @param {(state: import('./useFormValidate').FormState) => any} [selector] - Obtiene el valor a partir del estado.
+ * Por defecto devuelve el estado completo.
+ * @returns {any} - Valor seleccionado.
+ */
+const useFormState = (...args) => {
+  const withoutForm = !args[0] || typeof args[0] === 'function'
+  const form = useOptionalForm(withoutForm ? null : args[0])
+  const [selector = (state) => state] = withoutForm ? args : args.slice(1)
+  if (!form?.control) {
+    throw new Error("useFormState espera como primer parametro el objeto devuelto por useFormValidate, o estar dentro de un FormProvider.")
+  }
+  return useStoreSelector(form.control.store, () => selector(form.control.getFormState()))
+}
+
+export default useFormState
@@ -0,0 +1,205 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react'
+import { useStoreSelector } from './formStore'
+import { isFieldInList } from './fieldPaths'
+
+/**
+ * @typedef {Object} FormStep
+ * @property {string[]} fields - Campos del paso. Incluyen sus campos anidados (`address` incluye `address.city`).
+ * @property {string} [name] - Nombre del paso, por ejemplo para mostrarlo en un indicador de progreso.
+ */
+
+/**
+ * @typedef {Object} FormStepState
+ * @property {string[]} fields - Campos del paso.
+ * @property {string} [name] - Nombre del paso.
+ * @property {number} index - Posición del paso.
+ * @property {boolean} isCurrent - Indica si es el paso actual.
+ * @property {boolean} isComplete - Indica si el paso se validó al avanzar y sus campos no tienen errores.
+ */
+
+/**
+ * Hook para dividir un formulario en pasos (por ejemplo, un proceso de compra en varias pantallas). Cada paso declara
+ * sus campos: `next()` valida solo los del paso actual, así que los pasos siguientes (aunque estén renderizados y
+ * ocultos) no bloquean los anteriores. Los campos de los pasos se conservan aunque sus inputs se desmonten, y el envío
+ * final valida y envía los valores de todos los pasos.
+ *
+ * @param {ReturnType<import('./useFormValidate').default>} form - Objeto devuelto por `useFormValidate`.
+ * @param {FormStep[]} steps - Pasos del formulario, en orden.
+ * @param {{ initialStep?: number, shouldFocusError?: boolean }} [options] - Paso inicial (por defecto `0`) y si se
+ * enfoca el primer campo con error cuando un paso no es válido (por defecto `true`).
+ * @returns {{
+*   currentStep: number,
+*   step: FormStep,
+*   steps: FormStepState[],
+*   isFirstStep: boolean,
+*   isLastStep: boolean,
+*   next: () => (boolean|Promise<boolean>),
+*   back: () => void,
+*   goTo: (index: number) => (boolean|Promise<boolean>),
+*   handleSubmit: (onSubmit: (formData: any) => void) => (e: React.FormEvent) => (boolean|void|Promise<boolean|void>)
+* }}
+*/
+const useFormSteps = (form, steps, { initialStep = 0, shouldFocusError = true } = {}) => {
+  if (!form?.control || typeof form.validateFields !== 'function') {
+    throw new Error("useFormSteps espera como primer parametro el objeto devuelto por useFormValidate.")
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error("useFormSteps espera una lista de pasos con sus campos.")
+  }
+  const [currentStep, setCurrentStep] = useState(initialStep)
+  const [validatedSteps, setValidatedSteps] = useState([])
+  const pendingFocus = useRef(false)
+  const errors = useStoreSelector(form.control.store, (state) => state.errors)
+  const isLastStep = currentStep === steps.length - 1
+
+  // Los campos de todos los pasos se conservan al cambiar de paso, aunque el formulario use shouldUnregister
+  const fieldsKey = JSON.stringify(steps.map((step) => step.fields))
+  useLayoutEffect(() => form.control.retainFields(steps.flatMap((step) => step.fields)), [fieldsKey])
+
+  /**
+   * Obtiene los campos con error de un paso, en el orden del documento.
+   *
+   * @param {number} index - Posición del paso.
+   * @param {Object.<string, string>} [currentErrors] - Errores del formulario. Por defecto los del último render.
+   * @returns {string[]} - Nombres de los campos con error.
+   */
+  const getStepErrors = (index, currentErrors = errors) => form.control.sortFieldNames(
+    Object.keys(currentErrors).filter((name) => currentErrors[name] && isFieldInList(name, steps[index].fields))
+  )
+
+  const isStepComplete = (index) => Boolean(validatedSteps[index]) && getStepErrors(index).length === 0
+
+  /**
+   * Enfoca el primer campo con error de un paso.
+   *
+   * @param {number} index - Posición del paso.
+   */
+  const focusStepError = (index) => {
+    const [firstName] = getStepErrors(index, form.control.getFormState().errors)
+    if (firstName) {
+      form.setFocus(firstName)
+    }
+  }
+
+  // Al volver a un paso por un error del envío final, se enfoca el campo cuando sus inputs ya están montados
+  useEffect(() => {
+    if (pendingFocus.current) {
+      pendingFocus.current = false
+      focusStepError(currentStep)
+    }
+  }, [currentStep])
+
+  /**
+   * Valida los campos de un paso y guarda si quedó completo.
+   *
+   * @param {number} index - Posición del paso.
+   * @param {(isValid: boolean) => any} then - Continúa con el resultado de la validación.
+   * @returns {any} - Resultado de `then`, o una promesa si la validación es asíncrona.
+   */
+  const validateStep = (index, then) => {
+    const finish = (isValid) => {
+      setValidatedSteps((prevSteps) => Object.assign([...prevSteps], { [index]: isValid }))
+      if (!isValid && shouldFocusError) {
+        focusStepError(index)
+      }
+      return then(isValid)
+    }
+    const result = form.validateFields(steps[index].fields)
+    return typeof result?.then === 'function' ? result.then(finish) : finish(result)
+  }
+
+  /**
+   * Valida el paso actual y, si es válido, avanza al siguiente.
+   *
+   * @returns {boolean|Promise<boolean>} - `true` si el paso es válido.
+   */
+  const next = () => validateStep(currentStep, (isValid) => {
+    if (isValid && !isLastStep) {
+      setCurrentStep(currentStep + 1)
+    }
+    return isValid
+  })
+
+  /**
+   * Vuelve al paso anterior sin validar el actual.
+   */
+  const back = () => {
+    setCurrentStep((prevStep) => Math.max(prevStep - 1, 0))
+  }
+
+  /**
+   * Va a un paso. Los pasos anteriores están siempre disponibles; para avanzar, el paso actual debe ser válido y los
+   * pasos intermedios deben estar completos.
+   *
+   * @param {number} index - Posición del paso.
+   * @returns {boolean|Promise<boolean>} - `true` si se cambió de paso.
+   */
+  const goTo = (index) => {
+    if (index < 0 || index >= steps.length) {
+      return false
+    }
+    if (index <= currentStep) {
+      setCurrentStep(index)
+      return true
+    }
+    return validateStep(currentStep, (isValid) => {
+      const canSkip = steps.slice(currentStep + 1, index).every((_, offset) => isStepComplete(currentStep + 1 + offset))
+      if (!isValid || !canSkip) {
+        return false
+      }
+      setCurrentStep(index)
+      return true
+    })
+  }
+
+  /**
+   * Maneja el envío del formulario: en los primeros pasos avanza como `next()`, y en el último valida el paso y envía
+   * los valores de todos los pasos con `handleSubmit` del formulario. Si el envío falla por errores de un paso
+   * anterior (por ejemplo, del servidor), vuelve a ese paso.
+   *
+   * @param {(formData: any) => void} onSubmit - Recibe los datos de todos los pasos.
+   * @returns {(e: React.FormEvent) => (boolean|void|Promise<boolean|void>)} - Manejador del evento submit.
+   */
+  const handleSubmit = (onSubmit) => (e) => {
+    e?.preventDefault?.()
+    if (!isLastStep) {
+      return next()
+    }
+    return validateStep(currentStep, (isValid) => {
+      if (!isValid) {
+        return
+      }
+      const goToFirstError = () => {
+        const firstStep = steps.findIndex((_, index) => getStepErrors(index, form.control.getFormState().errors).length > 0)
+        if (firstStep !== -1 && firstStep !== currentStep) {
+          pendingFocus.current = shouldFocusError
+          setCurrentStep(firstStep)
+        }
+      }
+      const result = form.handleSubmit(onSubmit)(e || { preventDefault() {} })
+      if (typeof result?.then === 'function') {
+        return result.then(goToFirstError)
+      }
+      goToFirstError()
+    })
+  }
+
+  return {
+    currentStep,
+    step: steps[currentStep],
+    steps: steps.map((step, index) => ({
+      ...step,
+      index,
+      isCurrent: index === currentStep,
+      isComplete: isStepComplete(index)
+    })),
+    isFirstStep: currentStep === 0,
+    isLastStep,
+    next,
+    back,
+    goTo,
+    handleSubmit
+  }
+}
+
+export default useFormSteps
@@ -1,29 +1,93 @@
-import { useCallback, useEffect, useState } from 'react'
+import { useEffect, useLayoutEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react'
+import { createFormStore } from './formStore'
+import { getSchemaResolver } from './schemaResolvers'
+import { flattenValue, flattenValues, isFieldInList, isOutsideArray, matchArrayPath, setIn } from './fieldPaths'
+import { interpolate, locales, mergeMessages } from './locales'
+import { formatMoney, getMoneyCaretPosition, getMoneyFormat, validateMoney as isValidMoney } from './money'
+import { assertRuleDefinition, getRegisteredRules, getRuleMessages } from './ruleRegistry'
+import { applyMask, formatPhone, getMaskCaretPosition, isMaskComplete, validatePhone } from './masks'
+import { readFileAsDataURL, toFormData, validateFiles, validateImageDimensions } from './files'
+import { defaultServerErrorAdapter } from './serverErrors'
+import { isDraftField, readDraft, removeDraft, writeDraft } from './drafts'
+import { hasValueTransforms, isInvalidCoercion, parseFieldValue } from './transforms'
+import { focusElement, formatFieldId, isFocusable, sortByDocumentPosition } from './accessibility'
+import {
+  formatDate, isCreditCard, isDate, isDateInRange, isEmail, isInteger, isOneOf, isStepMatch, isStrongPassword, isUrl,
+  matchesPattern, parseDate
+} from './validators'
 /**
  * @typedef {Object} Rule
  * @property {boolean} [required] - Indicates if the field is required.
- * @property {boolean} [money] - Indicates if the field represents a money value.
+ * @property {boolean|import('./money').MoneyConfig} [money] - Indicates if the field represents a money value.
+ * `true` uses `.` for thousands and `,` for decimals; an object configures locale, currency, separators and submit output.
  * @property {number} [min] - Minimum allowed value for the field.
  * @property {number} [max] - Maximum allowed value for the field.
  * @property {number} [maxLength] - Maximum allowed length for the field.
  * @property {number} [minLength] - Minimum allowed length for the field.
  * @property {string} [isEqual] - Name of the field to compare for equality.
+ * @property {string} [greaterThan] - Name of the field whose value this field must exceed (numbers, dates or text).
+ * @property {string} [lessThan] - Name of the field whose value this field must be below.
+ * @property {{ field: string, equals?: any }} [requiredIf] - Makes the field required when another field has the given
+ * value (a value, a list of values or a function), or any value if `equals` is omitted.
+ * @property {(inputs: Object) => boolean} [when] - Condition for the field's rules; when it returns `false` the field is valid.
+ * @property {string|string[]} [deps] - Fields that, when changed, re-validate this field.
  * @property {boolean} [email] - Indicates if the field must contain a valid email.
- * @property {boolean} [phone] - Indicates if the field must contain a valid phone number.
- * @property {boolean} [date] - Indicates if the field must contain a valid date.
- * @property {(value: any, inputs: Object) => (boolean|string)} [validate] - Custom validation function.
- * @property {string} [errorLabel] - Custom error label.
- * @property {boolean} [url] - Indicates if the field must contain a valid URL.
+ * @property {boolean|{ country: string }} [phone] - Indicates if the field must contain a valid phone number.
+ * `true` accepts 6 to 15 digits; `{ country: 'CO' }` formats and validates with that country's format.
+ * @property {string|string[]|((value: string) => string)} [mask] - Input mask applied on change: a pattern where `9` is a digit,
+ * `A` a letter and `*` either (e.g. `(999) 999-9999`), a list of patterns, or a function.
+ * @property {boolean} [unmask] - Submits the value without the mask characters.
+ * @property {boolean|string} [date] - Indicates if the field must contain a valid ISO 8601 date, or a date in the given
+ * format (e.g. `DD/MM/YYYY`).
+ * @property {string|Date} [minDate] - Earliest allowed date (inclusive): a date in the field format or ISO 8601, a `Date`
+ * or `'today'`.
+ * @property {string|Date} [maxDate] - Latest allowed date (inclusive).
+ * @property {RegExp|string} [pattern] - Regular expression the value must match. Strings must match the whole value.
+ * @property {boolean} [integer] - Indicates if the field must contain a whole number.
+ * @property {number} [step] - Allowed increment, counted from `min` (or `0`), like the input `step` attribute.
+ * @property {any[]} [oneOf] - Allowed values. In checkbox groups, every checked option must be allowed.
+ * @property {boolean|import('./validators').PasswordOptions} [password] - Requires a strong password: by default at
+ * least 8 characters with lowercase and uppercase letters, numbers and symbols.
+ * @property {boolean} [creditCard] - Indicates if the field must contain a valid card number (Luhn check).
+ * @property {(value: any, inputs: Object, context: { signal: AbortSignal }) => (boolean|string|Promise<boolean|string>)} [validate] - Custom validation function. May return a Promise.
+ * @property {number} [debounce] - Milliseconds to wait before running the custom validation function.
+ * @property {string} [errorLabel] - Custom error label. Supports the same `{placeholder}` interpolation as the messages.
+ * @property {string} [label] - Field label, available as `{label}` in error messages.
+ * @property {boolean|{ protocols?: string[] }} [url] - Indicates if the field must contain a valid absolute URL, optionally
+ * with one of the given protocols (e.g. `['https']`).
  * @property {boolean} [checkbox] - Indicates if the field must be a checkbox.
+ * @property {string} [id] - `id` of the input. Defaults to one derived from the field name (see `getFieldId`).
+ * @property {boolean} [multiple] - Makes a checkbox part of a group: the field value is the list of checked options, and
+ * `value` is the option of each checkbox.
+ * @property {'number'|'boolean'|'date'|'isoDate'} [valueAs] - Converts the input value before validating and submitting it.
+ * @property {boolean} [trim] - Removes the surrounding whitespace before validating and submitting the value.
+ * @property {boolean} [emptyAsNull] - Submits empty values (`''`, `[]`) as `null`.
+ * @property {(value: any) => any} [parse] - Converts the input value before validating and submitting it, instead of `valueAs`.
+ * @property {(value: any) => any} [transform] - Converts the value only in the submitted data, after validation.
  * @property {boolean} [radio] - Indicates if the field must be a radio.
  * @property {boolean} [file] - Indicates if the field must be a file.
+ * @property {string|string[]} [accept] - Accepted file types: MIME types (`application/pdf`), groups (`image/*`) or
+ * extensions (`.pdf`), as a list or with the same syntax as the input `accept` attribute.
+ * @property {number} [maxSize] - Maximum size of each file, in bytes.
+ * @property {number} [minFiles] - Minimum number of files.
+ * @property {number} [maxFiles] - Maximum number of files.
+ * @property {import('./files').ImageDimensions} [dimensions] - Allowed width and height of the selected images, in pixels.
+ * @property {boolean} [rawFiles] - Keeps the selected `File` objects instead of reading them as data URLs. Overrides the form `rawFiles`.
  * @property {boolean} [validateOnChange] - Indicates if the field must be validated on change.
+ * @property {boolean} [onBlur] - Indicates if the field must be validated on blur.
+ * @property {ValidationMode} [mode] - When the field is validated before the first submit. Overrides the form `mode`.
+ * @property {ValidationMode} [reValidateMode] - When the field is validated after the first submit. Overrides the form `reValidateMode`.
+ * @property {boolean} [shouldUnregister] - Removes the field when its input unmounts. Overrides the form `shouldUnregister`.
+ * @property {boolean} [allErrors] - Collects every failing rule for this field instead of stopping at the first one.
+ * @property {boolean} [strictOptionalRules] - Applies format and range rules whenever the field has a value, even if it is not required.
 */
 
 /**
  * @typedef {Object} Field
  * @property {Rule} [rules] - Reglas de validación para el campo.
  * @property {any} value - Valor actual del campo.
+ * @property {any} [initialValue] - Valor inicial del campo, usado para saber si fue modificado.
+ * @property {boolean} [touched] - Indica si el campo perdió el foco al menos una vez.
  */
 
 /**
@@ -44,63 +108,371 @@ import { useCallback, useEffect, useState } from 'react'
  * @property {string} [customErrorMessages.min_length] - Mensaje para longitud mínima no cumplida.
  * @property {string} [customErrorMessages.max_length] - Mensaje para longitud máxima excedida.
  * @property {string} [customErrorMessages.fields_not_match] - Mensaje para campos no coincidentes.
+ * @property {string} [customErrorMessages.greater_than] - Mensaje para la regla `greaterThan`.
+ * @property {string} [customErrorMessages.less_than] - Mensaje para la regla `lessThan`.
  * @property {string} [customErrorMessages.invalid_email] - Mensaje para correo electrónico no válido.
  * @property {string} [customErrorMessages.invalid_phone] - Mensaje para número de teléfono no válido.
  * @property {string} [customErrorMessages.invalid_date] - Mensaje para fecha no válida.
+ * @property {string} [customErrorMessages.invalid_number] - Mensaje para número no válido (`valueAs: 'number'`).
+ * @property {string} [customErrorMessages.not_integer] - Mensaje para la regla `integer`.
+ * @property {string} [customErrorMessages.invalid_step] - Mensaje para la regla `step`.
+ * @property {string} [customErrorMessages.min_date] - Mensaje para la regla `minDate`.
+ * @property {string} [customErrorMessages.max_date] - Mensaje para la regla `maxDate`.
+ * @property {string} [customErrorMessages.weak_password] - Mensaje para la regla `password`.
+ * @property {string} [customErrorMessages.invalid_credit_card] - Mensaje para la regla `creditCard`.
+ * @property {string} [customErrorMessages.min_files] - Mensaje para la regla `minFiles`.
+ * @property {string} [customErrorMessages.max_files] - Mensaje para la regla `maxFiles`.
+ * @property {string} [customErrorMessages.invalid_file_type] - Mensaje para archivo de un tipo no permitido (`accept`).
+ * @property {string} [customErrorMessages.max_file_size] - Mensaje para archivo que supera `maxSize`.
+ * @property {string} [customErrorMessages.file_read_error] - Mensaje para archivo que no se pudo leer.
+ * @property {string} [customErrorMessages.invalid_type] - Mensaje para valor de tipo incorrecto (esquemas).
+ * @property {string} [customErrorMessages.invalid_format] - Mensaje para valor con formato incorrecto (esquemas y regla `pattern`).
+ * @property {string} [customErrorMessages.invalid_option] - Mensaje para valor fuera de las opciones permitidas (esquemas y regla `oneOf`).
  * @property {string} [customErrorMessages.custom_validation] - Mensaje para validación personalizada.
  */
 
+/**
+ * @typedef {Object} FieldFailure
+ * @property {string} rule - Nombre de la regla que falló.
+ * @property {string} message - Mensaje de error de la regla.
+ */
+
+/**
+ * @typedef {'onSubmit'|'onChange'|'onBlur'|'onTouched'|'all'} ValidationMode
+ * Momento en que se valida un campo: solo al enviar, en cada cambio, al perder el foco, al perder el foco la primera vez
+ * y después en cada cambio (`onTouched`), o en cualquiera de los dos eventos (`all`).
+ */
+
+/**
+ * @typedef {Object} FormOptions
+ * @property {string} [locale] - Idioma inicial de los mensajes de error (`es` por defecto, `en` o uno registrado con `registerLocale`).
+ * @property {Object.<string, import('./ruleRegistry').RuleDefinition>} [rules] - Reglas de validación propias de este formulario,
+ * además de las registradas globalmente con `registerRule`.
+ * @property {boolean} [allErrors] - Si es `true`, `validate` reúne todas las reglas que fallan en lugar de detenerse en la primera.
+ * @property {boolean} [strictOptionalRules] - Si es `true`, las reglas de formato y rango se aplican siempre que el campo tenga valor,
+ * y `required` solo controla si el campo puede quedar vacío.
+ * @property {import('./schemaResolvers').SchemaResolver|object} [schema] - Esquema del formulario: un JSON Schema, un objeto con
+ * `safeParse` (Zod), un objeto con `validate` (Yup) o un resolver. Si se indica, `handleSubmit` valida con él en lugar de
+ * usar las reglas de cada campo.
+ * @property {object} [initialValues] - Valores iniciales del formulario, con la misma forma que los datos de `handleSubmit`
+ * (por ejemplo, un registro cargado del servidor). Tienen prioridad sobre el valor por defecto de `getFieldProps`.
+ * @property {ValidationMode} [mode] - Cuándo se validan los campos antes del primer envío. Por defecto `onSubmit`.
+ * @property {ValidationMode} [reValidateMode] - Cuándo se vuelven a validar los campos después del primer envío.
+ * Por defecto el mismo `mode` de cada campo.
+ * @property {boolean} [shouldUnregister] - Si es `true` (por defecto), los campos que se dejan de pedir con `getFieldProps`
+ * o cuyos inputs se desmontan se eliminan del formulario con su valor y su error.
+ * @property {'object'|'formData'} [submitAs] - Forma de los datos que recibe `onSubmit` en `handleSubmit`: un objeto
+ * (por defecto) o un `FormData`.
+ * @property {boolean} [rawFiles] - Si es `true`, los campos de archivos guardan los objetos `File` en lugar de leerlos
+ * como data URL. Por defecto es `true` solo con `submitAs: 'formData'`.
+ * @property {import('./serverErrors').ServerErrorAdapter} [serverErrorAdapter] - Convierte lo que devuelve o lanza
+ * `onSubmit` en errores del servidor. Por defecto reconoce `{ errors }` y problem details (RFC 7807).
+ * @property {import('./drafts').PersistOptions} [persist] - Guarda un borrador de los valores modificados y lo restaura al
+ * montar el formulario. Los campos de archivos y de contraseñas no se guardan.
+ * @property {string} [idPrefix] - Prefijo de los `id` de los inputs y de sus mensajes de error, para usar varios
+ * formularios con los mismos campos en una página.
+ * @property {boolean} [shouldFocusError] - Si es `true` (por defecto), un envío con errores enfoca el primer campo no
+ * válido y lo desplaza a la vista.
+ */
+
+/**
+ * @typedef {Object} FormState
+ * @property {Inputs} inputs - Campos del formulario.
+ * @property {Errors} errors - Primer mensaje de error de cada campo.
+ * @property {Object.<string, FieldFailure[]>} fieldErrors - Reglas que fallaron en cada campo.
+ * @property {Object.<string, boolean>} validatingFields - Campos con una validación asíncrona en curso.
+ * @property {string} formError - Error del formulario que no pertenece a ningún campo (por ejemplo, del servidor).
+ * @property {Object.<string, boolean>} touchedFields - Campos que perdieron el foco al menos una vez.
+ * @property {Object.<string, boolean>} dirtyFields - Campos modificados.
+ * @property {boolean} isDirty - Indica si algún campo fue modificado.
+ * @property {boolean} isValid - Indica si ningún campo tiene errores y todos cumplen sus reglas, aunque aún no se hayan
+ * validado (las validaciones personalizadas `validate` solo cuentan cuando ya se ejecutaron).
+ * @property {boolean} isValidating - Indica si hay alguna validación asíncrona en curso.
+ * @property {boolean} isSubmitting - Indica si el formulario se está enviando.
+ * @property {boolean} isSubmitSuccessful - Indica si el último envío terminó sin errores.
+ * @property {number} submitCount - Número de intentos de envío.
+ */
+
 /**
  * @typedef {Object} FormattedValue
  * @property {string} value - Valor formateado.
  * @property {boolean} error - Estado de error.
+ * @property {string} [id] - `id` del input (ver `getFieldId`), si el campo tiene la regla `id` o el formulario la opción
+ * `idPrefix`.
+ * @property {boolean} aria-invalid - Indica si el campo tiene un error.
+ * @property {string} [aria-describedby] - `id` del mensaje de error, mientras el campo tiene uno (ver `getErrorId`).
+ * @property {boolean} [aria-required] - Indica si el campo es obligatorio (`required: true`).
  * @property {() => void} onBlur - Manejador del evento onBlur.
  * @property {(e: React.ChangeEvent<HTMLInputElement>, value?: any) => void} onChange - Manejador del evento onChange.
  */
 
+// Referencia estable para no recalcular los mensajes en cada render cuando no se pasan mensajes personalizados
+const noCustomMessages = {}
+
+/**
+ * Crea los campos (sin reglas) para unos valores ya aplanados por ruta.
+ *
+ * @param {Object.<string, any>} values - Valores por ruta de campo.
+ * @returns {Object.<string, Field>} - Campos con su valor y valor inicial.
+ */
+const createInputs = (values) => {
+  const fields = {}
+  Object.keys(values).forEach((name) => {
+    fields[name] = { value: values[name], initialValue: values[name] }
+  })
+  return fields
+}
+
+/**
+ * Compara dos funciones de las reglas. Son iguales si son la misma función o si tienen el mismo código: las funciones
+ * escritas en línea se crean en cada render, y compararlas solo por identidad volvería a validar el campo (y a lanzar
+ * sus validaciones asíncronas) en cada render. Una función con el mismo código que solo cambia los valores que usa de
+ * su entorno no cuenta como un cambio de reglas: el hook usa la del último render y, si la validación es síncrona,
+ * vuelve a validar el campo ya validado (ver `hasNewFunctions`).
+ *
+ * @param {Function} a - Función anterior.
+ * @param {Function} b - Función nueva.
+ * @returns {boolean} - `true` si la función no cambió.
+ */
+const areFunctionsEqual = (a, b) => {
+  const source = Function.prototype.toString.call(a)
+  // Las funciones nativas o enlazadas (`bind`) no muestran su código
+  return !source.includes('[native code]') && source === Function.prototype.toString.call(b)
+}
+
+/**
+ * Indica si alguna función de las reglas es otra función que la del render anterior, aunque tenga el mismo código
+ * (por ejemplo, una validación en línea que usa otros valores de su entorno).
+ *
+ * @param {any} a - Reglas anteriores.
+ * @param {any} b - Reglas nuevas, iguales a las anteriores según `areRulesEqual`.
+ * @returns {boolean} - `true` si alguna función se reemplazó.
+ */
+const hasNewFunctions = (a, b) => {
+  if (typeof a === 'function') {
+    return a !== b
+  }
+  if (!a || typeof a !== 'object') {
+    return false
+  }
+  return Object.keys(a).some((key) => hasNewFunctions(a[key], b?.[key]))
+}
+
+/**
+ * Compara los fallos de un campo por regla y mensaje.
+ *
+ * @param {FieldFailure[]} [a] - Fallos anteriores.
+ * @param {FieldFailure[]} b - Fallos nuevos.
+ * @returns {boolean} - `true` si los fallos no cambiaron.
+ */
+const areFailuresEqual = (a, b) => Array.isArray(a) && a.length === b.length && a.every((failure, index) =>
+  failure.rule === b[index].rule && failure.message === b[index].message && failure.messageKey === b[index].messageKey)
+
+/**
+ * Compara las reglas de un campo entre renders. Las funciones (`validate`, `when`, `parse`, máscaras) se comparan por
+ * identidad y por código (ver `areFunctionsEqual`).
+ *
+ * @param {any} a - Reglas anteriores.
+ * @param {any} b - Reglas nuevas.
+ * @returns {boolean} - `true` si las reglas no cambiaron.
+ */
+const areRulesEqual = (a, b) => {
+  if (a === b) {
+    return true
+  }
+  if (typeof a === 'function' && typeof b === 'function') {
+    return areFunctionsEqual(a, b)
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false
+  }
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every((key) => key in b && areRulesEqual(a[key], b[key]))
+}
+
+/**
+ * Convierte un valor de datos (por ejemplo, de initialValues) en el valor que muestra el campo según sus reglas:
+ * formatea dinero, máscaras y teléfonos, y convierte números y booleanos en texto.
+ *
+ * @param {any} value - Valor a convertir.
+ * @param {Rule} [rules] - Reglas del campo.
+ * @returns {any} - Valor del campo.
+ */
+const toInputValue = (value, rules = {}) => {
+  if (value === undefined || value === null) {
+    return ''
+  }
+  if (typeof value !== 'number' && typeof value !== 'string' && typeof value !== 'boolean') {
+    return value
+  }
+  const text = String(value)
+  if (rules.money) {
+    // los números usan punto decimal; se pasa al separador del formato antes de formatear
+    return formatMoney(typeof value === 'number' ? text.replace('.', getMoneyFormat(rules.money).decimalSeparator) : text, rules.money)
+  }
+  if (rules.mask) {
+    return applyMask(text, rules.mask)
+  }
+  if (rules.phone && typeof rules.phone === 'object') {
+    return formatPhone(text, rules.phone)
+  }
+  return text
+}
+
 /**
  * Hook para validar formularios.
  *
- * @param {UseFormValidateOptions} [customErrorMessages] - Opciones para mensajes de error personalizados.
+ * @param {UseFormValidateOptions} [customErrorMessages] - Mensajes de error personalizados. Se combinan con los del idioma activo.
+ * @param {FormOptions} [options] - Opciones de comportamiento del formulario.
  * @returns {{
 *   inputs: Inputs,
 *   updateInput: (name: string, value?: Field) => void,
 *   removeInput: (name: string) => void,
+*   register: (name: string, rules?: Rule, defaultValue?: any) => void,
+*   unregister: (name: string, options?: { keepValue?: boolean, keepError?: boolean }) => void,
 *   handleChange: (name: string, value: any) => void,
-*   setError: (name: string, message: string) => void,
+*   setError: (name: string, message: string, options?: { type?: string }) => void,
+*   setServerErrors: (payload: any) => boolean,
+*   formError: string,
 *   clearError: (name: string) => void,
-*   validate: (name: string, value: any, rules?: Rule) => boolean,
+*   validate: (name: string, value: any, rules?: Rule, options?: { debounce?: number }) => (boolean|Promise<boolean>),
+*   validateFields: (names?: string|string[]) => (boolean|Promise<boolean>),
+*   validatingFields: Object.<string, boolean>,
+*   isValidating: (name?: string) => boolean,
 *   validateEmail: (email: string) => boolean,
 *   isValidDate: (dateString: string) => boolean,
-*   validateMoney: (value: string) => boolean,
-*   formatMoneyInput: (value?: string) => string,
-*   handleMoneyChange: (name: string, value: string) => void,
-*   handleSubmit: (onSubmit: (formData: any) => void) => (e: React.FormEvent) => void,
+*   validateMoney: (value: string, config?: boolean|Object) => boolean,
+*   formatMoneyInput: (value?: string, config?: boolean|Object) => string,
+*   handleMoneyChange: (name: string, value: string, config?: boolean|Object, input?: HTMLInputElement) => void,
+*   handleSubmit: (onSubmit: (formData: any) => void) => (e: React.FormEvent) => (void|Promise<void>),
 *   getFieldProps: (name: string, rules?: Rule, anotherValue?: string) => FormattedValue,
-*   getFieldError: (name: string) => string
-*   resetForm: () => void
+*   getFieldRef: (name: string) => (element: HTMLElement|null) => void,
+*   getFieldError: (name: string) => string,
+*   getFieldErrors: (name: string) => FieldFailure[],
+*   getFieldId: (name: string) => string,
+*   getErrorId: (name: string) => string,
+*   setFocus: (name: string, options?: { shouldSelect?: boolean }) => boolean,
+*   updateFieldArray: (name: string, order: Array<number|{ value: any }>) => void,
+*   touchedFields: Object.<string, boolean>,
+*   dirtyFields: Object.<string, boolean>,
+*   isFieldTouched: (name: string) => boolean,
+*   isFieldDirty: (name: string) => boolean,
+*   isDirty: boolean,
+*   isValid: boolean,
+*   isSubmitting: boolean,
+*   isSubmitSuccessful: boolean,
+*   submitCount: number,
+*   resetForm: () => void,
+*   reset: (values?: object) => void,
+*   setValues: (values: object, options?: { validate?: boolean, markDirty?: boolean }) => void,
+*   getValues: () => object,
+*   getFormData: () => FormData,
+*   clearDraft: () => void,
+*   locale: string,
+*   setLocale: (locale: string) => void,
+*   registerRule: (name: string, definition: import('./ruleRegistry').RuleDefinition) => void,
+*   customErrorMessages: Object,
+*   control: Object
 * }}
 */
-const useFormValidate = (customErrorMessages = {
-  is_type_file: 'Debe seleccionar un archivo',
-  is_type_checkbox: 'Debe seleccionar al menos una opción',
-  is_type_radio: 'Debe seleccionar una opción',
-  is_required: 'Campo obligatorio',
-  is_type_money: 'Debe ser un valor numérico válido para dinero',
-  min_length: 'El campo debe tener al menos {minLength} caracteres',
-  max_length: 'El campo no debe exceder los {maxLength} caracteres',
-  min: 'El campo debe tener al menos {min}',
-  max: 'El campo no debe exceder los {max}',
-  fields_not_match: 'Los campos no coinciden',
-  invalid_email: 'Ingrese un correo electrónico válido',
-  invalid_phone: 'Ingrese un numero telefónico válido',
-  invalid_date: 'Ingrese una fecha válida',
-  invalid_url: 'Ingrese una url válida',
-  custom_validation: 'Error de validación personalizada'
-}) => {
-  const [inputs, setInputs] = useState({})
-  const [errors, setErrors] = useState({})
-  const [currentInputChange, setCurrentInputChange] = useState()
+const useFormValidate = (customErrorMessages = noCustomMessages, options = {}) => {
+  const {
+    allErrors = false,
+    strictOptionalRules = false,
+    schema,
+    mode = 'onSubmit',
+    reValidateMode,
+    shouldUnregister = true,
+    submitAs = 'object',
+    rawFiles = submitAs === 'formData',
+    serverErrorAdapter = defaultServerErrorAdapter,
+    persist,
+    idPrefix = '',
+    shouldFocusError = true
+  } = options
+  if (persist && !persist.key) {
+    throw new Error("La opcion persist espera una clave (key) para guardar el borrador.")
+  }
+  const [locale, setLocale] = useState(options.locale || 'es')
+  const instanceRules = useRef(options.rules || {})
+  const [rulesVersion, setRulesVersion] = useState(0)
+  // Los mensajes de las reglas registradas se pueden reemplazar con los paquetes de idioma y con customErrorMessages
+  const messages = useMemo(
+    () => [getRuleMessages(getRegisteredRules(instanceRules.current), locale), locales[locale], customErrorMessages]
+      .reduce(mergeMessages, locales.es),
+    [locale, customErrorMessages, rulesVersion]
+  )
+  // El estado vive en un almacén propio: las funciones leen siempre el estado actual y cada componente se suscribe solo
+  // a lo que usa (useField, useFormState). Los campos de initialValues y del borrador se crean sin reglas;
+  // getFieldProps las agrega.
+  const storeRef = useRef(null)
+  if (!storeRef.current) {
+    const initialInputs = createInputs(flattenValues(options.initialValues))
+    const draft = persist ? readDraft(persist) : {}
+    Object.keys(draft).forEach((name) => {
+      initialInputs[name] = { ...initialInputs[name], value: draft[name] }
+    })
+    storeRef.current = createFormStore({
+      inputs: initialInputs,
+      errors: {},
+      fieldErrors: {},
+      validatingFields: {},
+      formError: '',
+      isSubmitting: false,
+      isSubmitSuccessful: false,
+      submitCount: 0
+    })
+  }
+  const store = storeRef.current
+  const getState = () => store.getState()
+  const setInputs = (update) => store.setState('inputs', update)
+  const setErrors = (update) => store.setState('errors', update)
+  const setFieldErrors = (update) => store.setState('fieldErrors', update)
+  const setValidatingFields = (update) => store.setState('validatingFields', update)
+  const setFormError = (update) => store.setState('formError', update)
+  const setIsSubmitting = (update) => store.setState('isSubmitting', update)
+  const setIsSubmitSuccessful = (update) => store.setState('isSubmitSuccessful', update)
+  const setSubmitCount = (update) => store.setState('submitCount', update)
+
+  // El componente que usa el hook solo se vuelve a renderizar cuando cambia el estado que leyó en su último render
+  // (inputs, errors, getFieldProps, ...). Si solo pasa el formulario a useField o useFormState, no se vuelve a renderizar.
+  const renderTracking = { keys: new Set(), active: true }
+  const subscribedKeys = useRef([])
+  useSyncExternalStore(store.subscribe, () => subscribedKeys.current.map((key) => store.getVersion(key)).join())
+  const track = (...keys) => {
+    if (renderTracking.active) {
+      keys.forEach((key) => renderTracking.keys.add(key))
+    }
+  }
+  const asyncValidations = useRef({})
+  // Campos cuya última validación personalizada fue asíncrona (con `debounce`, una promesa o la regla `dimensions`)
+  const asyncValidators = useRef({})
+  const pendingCaret = useRef(null)
+  // Última selección de archivos de cada campo, para descartar lecturas obsoletas
+  const fileReads = useRef({})
+  // Reglas pedidas con getFieldProps en el render en curso, y las del último render confirmado
+  const renderedFields = useRef({})
+  const fieldRules = useRef({})
+  // Campos pedidos desde que empezó el render en curso del formulario, y los del último render confirmado
+  const requestedFields = useRef(new Set())
+  const committedFields = useRef(new Set())
+  requestedFields.current = new Set()
+  const fieldRefs = useRef({})
+  const fieldElements = useRef({})
+  // Listas de campos que se conservan aunque sus inputs se desmonten (por ejemplo, los pasos de useFormSteps)
+  const retainedFields = useRef([])
+  const elementNames = useRef(new WeakMap())
+  // Última validez calculada por isFormValid, con los campos y errores con los que se calculó
+  const validity = useRef(null)
+  const unregisterOnUnmount = useRef(shouldUnregister)
+  const persistOptions = useRef(persist)
+  persistOptions.current = persist
+  const draftTimer = useRef(null)
+  unregisterOnUnmount.current = shouldUnregister
+  // Manejadores estables de getFieldProps, que llaman a las funciones del último render
+  const fieldHandlers = useRef({})
+  const fieldConfigs = useRef({})
+  const latest = useRef(null)
 
 
   /**
@@ -119,12 +491,35 @@ const useFormValidate = (customErrorMessages = {
       };
       return updatedInputs;
     });
-    setCurrentInputChange(name)
+    // Los errores del servidor dejan de aplicar en cuanto el campo cambia
+    if (getState().fieldErrors[name]?.some(({ rule }) => rule === 'server')) {
+      applyFailures(name, getState().fieldErrors[name].filter(({ rule }) => rule !== 'server'))
+    }
+    validateChangedField(name)
+  }
+
+  /**
+   * Valida un campo que acaba de cambiar, si su modo de validación lo pide, y los campos ya validados que dependen de él.
+   *
+   * @param {string} changedName - Nombre del campo modificado.
+   */
+  const validateChangedField = (changedName) => {
+    if (getRules(changedName) && shouldValidateOn(changedName, 'change')) {
+      validate(changedName, getInputValue(changedName), getRules(changedName));
+    }
+    // Vuelve a validar los campos que dependen del campo modificado y que ya se habían validado
+    const { inputs, errors } = getState()
+    Object.keys(inputs).forEach((name) => {
+      const rules = getRules(name)
+      if (name !== changedName && name in errors && getFieldDependencies(rules).includes(changedName)) {
+        validate(name, getInputValue(name), rules);
+      }
+    })
   }
 
 
   /**
-   * Actualiza un campo en el estado de inputs.
+   * Actualiza un campo en el estado de inputs. El valor pasa a ser también su valor inicial.
    *
    * @param {string} name - Nombre del campo.
    * @param {string} value - Nuevo valor del campo.
@@ -132,30 +527,370 @@ const useFormValidate = (customErrorMessages = {
   const updateInput = (name, value = "") => {
     setInputs((prevInputs) => ({
       ...prevInputs,
-      [name]: { ...prevInputs[name], value }
+      [name]: { ...prevInputs[name], value, initialValue: value }
     }))
   }
 
   /**
-   * Elimina un campo del estado de inputs.
+   * Marca un campo como visitado.
+   *
+   * @param {string} name - Nombre del campo.
+   */
+  const setTouched = (name) => {
+    setInputs((prevInputs) => (prevInputs[name]?.touched
+      ? prevInputs
+      : { ...prevInputs, [name]: { ...prevInputs[name], touched: true } }))
+  }
+
+  /**
+   * Elimina un campo del estado de inputs, sin tocar su error. Para quitar también el error, use `unregister`.
    *
    * @param {string} name - Nombre del campo a eliminar.
    */
   const removeInput = (name) => {
     setInputs((prevInputs) => {
-      delete prevInputs[name]
-      return prevInputs
+      if (!(name in prevInputs)) {
+        return prevInputs
+      }
+      const { [name]: removed, ...nextInputs } = prevInputs
+      return nextInputs
+    })
+  }
+
+  /**
+   * Obtiene las reglas vigentes de un campo: las del último render, con sus funciones actualizadas.
+   *
+   * @param {string} name - Nombre del campo.
+   * @returns {Rule|undefined} - Reglas del campo.
+   */
+  const getRules = (name) => fieldRules.current[name] || getState().inputs[name]?.rules
+
+  /**
+   * Registra varios campos, o actualiza sus reglas si cambiaron. Los campos creados sin reglas (initialValues, filas
+   * nuevas de una lista) conservan su valor, formateado según las reglas.
+   *
+   * @param {Object.<string, { rules: Rule, defaultValue?: any }>} fields - Reglas y valor por defecto de cada campo.
+   */
+  const registerFields = (fields) => {
+    setInputs((prevInputs) => {
+      let nextInputs = prevInputs
+      Object.keys(fields).forEach((name) => {
+        const { rules, defaultValue } = fields[name]
+        const prevInput = prevInputs[name]
+        if (prevInput?.rules && areRulesEqual(prevInput.rules, rules)) {
+          return
+        }
+        if (nextInputs === prevInputs) {
+          nextInputs = { ...prevInputs }
+        }
+        if (prevInput?.rules) {
+          nextInputs[name] = { ...prevInput, rules }
+          return
+        }
+        const defaultInputValue = rules?.checkbox && rules?.multiple ? (defaultValue || []) : (rules?.value || (defaultValue ?? ''))
+        nextInputs[name] = {
+          rules,
+          value: defaultInputValue,
+          initialValue: defaultInputValue,
+          ...(rules?.file ? { values: [] } : {}),
+          ...prevInput,
+          ...(prevInput && 'value' in prevInput
+            ? {
+              value: toInputValue(prevInput.value, rules),
+              // Los valores restaurados de un borrador no tienen valor inicial: se usa el del campo
+              initialValue: toInputValue('initialValue' in prevInput ? prevInput.initialValue : defaultInputValue, rules)
+            }
+            : {})
+        }
+      })
+      return nextInputs
     })
   }
 
+  /**
+   * Registra un campo en el formulario. `getFieldProps` lo hace automáticamente; sirve para campos que no usan sus props.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {Rule} [rules] - Reglas del campo.
+   * @param {any} [defaultValue] - Valor por defecto del campo.
+   */
+  const register = (name, rules = {}, defaultValue) => {
+    fieldRules.current[name] = rules
+    registerFields({ [name]: { rules, defaultValue } })
+  }
+
+  /**
+   * Elimina un campo (o todos los campos de un objeto o lista, como `address` o `items`) del formulario.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {{ keepValue?: boolean, keepError?: boolean }} [options] - `keepValue` conserva el valor (sin reglas, así que no
+   * se valida) y `keepError` conserva el mensaje de error.
+   */
+  const unregister = (name, { keepValue = false, keepError = false } = {}) => {
+    const belongs = (key) => key === name || key.startsWith(`${name}.`) || key.startsWith(`${name}[`)
+    const omit = (map) => {
+      if (!Object.keys(map).some(belongs)) {
+        return map
+      }
+      const nextMap = { ...map }
+      Object.keys(nextMap).filter(belongs).forEach((key) => {
+        delete nextMap[key]
+      })
+      return nextMap
+    }
+
+    Object.keys(asyncValidations.current).filter(belongs).forEach(cancelAsyncValidation)
+    Object.keys(fieldRules.current).filter(belongs).forEach((key) => {
+      delete fieldRules.current[key]
+      delete fieldElements.current[key]
+    })
+    setInputs((prevInputs) => {
+      if (!keepValue) {
+        return omit(prevInputs)
+      }
+      const nextInputs = { ...prevInputs }
+      Object.keys(prevInputs).filter(belongs).forEach((key) => {
+        const { rules, touched, ...field } = prevInputs[key]
+        nextInputs[key] = field
+      })
+      return nextInputs
+    })
+    if (!keepError) {
+      setErrors(omit)
+      setFieldErrors(omit)
+    }
+  }
+
+  /**
+   * Obtiene el `id` del input de un campo: el de la regla `id` o uno a partir de su nombre (`items[0].price` →
+   * `items-0-price`), con el prefijo `idPrefix`.
+   *
+   * @param {string} name - Nombre del campo.
+   * @returns {string} - `id` del input.
+   */
+  const getFieldId = (name) => getRules(name)?.id || formatFieldId(name, idPrefix)
+
+  /**
+   * Obtiene el `id` del mensaje de error de un campo, al que apunta `aria-describedby` del input.
+   *
+   * @param {string} name - Nombre del campo.
+   * @returns {string} - `id` del mensaje de error.
+   */
+  const getErrorId = (name) => `${getFieldId(name)}-error`
+
+  /**
+   * Obtiene el `id` de un input concreto del campo: cada opción de un radio o de un grupo de casillas añade su valor
+   * al `id` del campo.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {object} [rules] - Reglas del input.
+   * @returns {string} - `id` del input.
+   */
+  const getInputId = (name, rules) => {
+    const fieldId = getFieldId(name)
+    const isOption = rules?.radio || (rules?.checkbox && rules?.multiple)
+    return isOption && rules?.value !== undefined && !rules?.id ? `${fieldId}-${formatFieldId(rules.value)}` : fieldId
+  }
+
+  /**
+   * Obtiene los inputs de un campo: los conectados con `getFieldRef` o, si no tiene ninguno, los del documento con su
+   * `name`.
+   *
+   * @param {string} name - Nombre del campo.
+   * @returns {HTMLElement[]} - Inputs del campo.
+   */
+  const getFieldElements = (name) => {
+    if (fieldElements.current[name]?.size) {
+      return [...fieldElements.current[name]]
+    }
+    return typeof document === 'undefined' ? [] : [...document.getElementsByName(name)]
+  }
+
+  /**
+   * Obtiene el primer input (en el orden del documento) de un campo que puede recibir el foco. En un radio, la opción
+   * marcada.
+   *
+   * @param {string} name - Nombre del campo.
+   * @returns {HTMLElement|undefined} - Input del campo.
+   */
+  const getFocusableElement = (name) => {
+    const elements = sortByDocumentPosition(getFieldElements(name).filter(isFocusable))
+    return elements.find((element) => element.type === 'radio' && element.checked) || elements[0]
+  }
+
+  /**
+   * Ordena nombres de campo según la posición de sus inputs en el documento. Los campos sin input quedan al final.
+   *
+   * @param {string[]} names - Nombres de campo.
+   * @returns {string[]} - Nombres ordenados.
+   */
+  const sortFieldNames = (names) => {
+    const elements = new Map(names.map((name) => [name, getFocusableElement(name)]))
+    const namesByElement = new Map(names.map((name) => [elements.get(name), name]))
+    const sorted = sortByDocumentPosition(names.map((name) => elements.get(name)).filter(Boolean))
+    return [
+      ...sorted.map((element) => namesByElement.get(element)),
+      ...names.filter((name) => !elements.get(name))
+    ]
+  }
+
+  /**
+   * Enfoca el input de un campo y lo desplaza a la vista.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {{ shouldSelect?: boolean }} [options] - Con `shouldSelect` también se selecciona el texto del input.
+   * @returns {boolean} - `true` si el campo tiene un input que recibió el foco.
+   */
+  const setFocus = (name, options) => {
+    const element = getFocusableElement(name)
+    if (!element) {
+      return false
+    }
+    focusElement(element, options)
+    return true
+  }
+
+  /**
+   * Enfoca el primer campo con error, en el orden del documento.
+   */
+  const focusFirstError = () => {
+    const { errors } = getState()
+    const [firstName] = sortFieldNames(Object.keys(errors).filter((name) => errors[name] && getFocusableElement(name)))
+    if (firstName) {
+      setFocus(firstName)
+    }
+  }
+
+  /**
+   * Conserva los campos indicados (y sus campos anidados) cuando sus inputs se desmontan, aunque `shouldUnregister`
+   * sea `true`.
+   *
+   * @param {string[]} fields - Nombres de campo.
+   * @returns {() => void} - Deja de conservar los campos.
+   */
+  const retainFields = (fields) => {
+    retainedFields.current = [...retainedFields.current, fields]
+    return () => {
+      retainedFields.current = retainedFields.current.filter((current) => current !== fields)
+    }
+  }
+
+  /**
+   * Indica si un campo se elimina del formulario cuando deja de mostrarse: según la regla o la opción
+   * `shouldUnregister`, y si no está en una lista de `retainFields`.
+   *
+   * @param {string} name - Nombre del campo.
+   * @returns {boolean} - `true` si el campo se debe eliminar.
+   */
+  const shouldUnregisterField = (name) => (fieldRules.current[name]?.shouldUnregister ?? unregisterOnUnmount.current) &&
+    !retainedFields.current.some((fields) => isFieldInList(name, fields))
+
+  /**
+   * Obtiene la referencia (estable) de los inputs de un campo. `getFieldProps` no la incluye, porque los componentes
+   * sin `forwardRef` no aceptan `ref`; se pasa aparte: `<input {...getFieldProps(name)} ref={getFieldRef(name)} />`.
+   * Cuando todos los inputs conectados se desmontan, el campo se elimina del formulario, salvo que `shouldUnregister`
+   * sea `false`.
+   *
+   * @param {string} name - Nombre del campo.
+   * @returns {(element: HTMLElement|null) => void} - Referencia para el input.
+   */
+  const getFieldRef = (name) => {
+    if (!fieldRefs.current[name]) {
+      fieldRefs.current[name] = (element) => {
+        if (element) {
+          elementNames.current.set(element, name)
+          fieldElements.current[name] = (fieldElements.current[name] || new Set()).add(element)
+          return
+        }
+        // React no indica qué input se desmontó: se comprueba cuando termina de actualizar el DOM
+        Promise.resolve().then(() => {
+          const elements = fieldElements.current[name]
+          if (!elements) {
+            return
+          }
+          elements.forEach((current) => {
+            if (!current.isConnected || elementNames.current.get(current) !== name) {
+              elements.delete(current)
+            }
+          })
+          if (elements.size === 0 && shouldUnregisterField(name)) {
+            unregister(name)
+          }
+        })
+      }
+    }
+    return fieldRefs.current[name]
+  }
+
+  /**
+   * Reordena las filas de una lista de campos (`items[0].price`, `items[1].price`, ...) en inputs y errores,
+   * para que valores, reglas y errores sigan a su fila.
+   *
+   * @param {string} name - Nombre de la lista.
+   * @param {Array<number|{ value: any }>} order - Nuevo orden de filas: el índice anterior de cada fila,
+   * o `{ value }` para una fila nueva con sus valores iniciales.
+   */
+  const updateFieldArray = (name, order) => {
+    Object.keys(asyncValidations.current)
+      .filter((key) => matchArrayPath(name, key))
+      .forEach(cancelAsyncValidation)
+
+    const reorder = (map, createRow) => {
+      const rows = []
+      const rest = {}
+      Object.keys(map).forEach((key) => {
+        const match = matchArrayPath(name, key)
+        if (match) {
+          rows[match.index] = { ...rows[match.index], [match.suffix]: map[key] }
+        } else {
+          rest[key] = map[key]
+        }
+      })
+      order.forEach((entry, index) => {
+        const row = typeof entry === 'number' ? rows[entry] || {} : createRow(entry.value)
+        Object.keys(row).forEach((suffix) => {
+          rest[`${name}[${index}]${suffix}`] = row[suffix]
+        })
+      })
+      return rest
+    }
+    setInputs((prevInputs) => reorder(prevInputs, (value) => createInputs(flattenValue(value))))
+    setErrors((prevErrors) => reorder(prevErrors, () => ({})))
+    setFieldErrors((prevFieldErrors) => reorder(prevFieldErrors, () => ({})))
+  }
+
   /**
    * Establece un mensaje de error para un campo específico.
    *
    * @param {string} name - Nombre del campo.
    * @param {string} message - Mensaje de error.
+   * @param {{ type?: string }} [options] - `type` es la regla con la que se guarda el error (por defecto `manual`).
+   * Los errores de tipo `server` se eliminan cuando el campo cambia.
    */
-  const setError = (name, message = '') => {
+  const setError = (name, message = '', { type = 'manual' } = {}) => {
     setErrors((prevErrors) => ({ ...prevErrors, [name]: message }))
+    setFieldErrors((prevFieldErrors) => ({ ...prevFieldErrors, [name]: message ? [{ rule: type, message }] : [] }))
+  }
+
+  /**
+   * Aplica los errores de validación devueltos por el servidor: los de cada campo, de tipo `server`, y el error del
+   * formulario. Acepta la respuesta del servidor (se convierte con `serverErrorAdapter`) o errores ya convertidos.
+   *
+   * @param {any} payload - Respuesta o error del servidor, o `{ fields, formError }`.
+   * @returns {boolean} - `true` si se encontraron errores.
+   */
+  const setServerErrors = (payload) => {
+    const serverErrors = serverErrorAdapter(payload)
+    if (!serverErrors) {
+      return false
+    }
+    const { fields = {}, formError = '' } = serverErrors
+    Object.keys(fields).forEach((name) => {
+      const fieldMessages = (Array.isArray(fields[name]) ? fields[name] : [fields[name]]).filter(Boolean)
+      applyFailures(name, fieldMessages.map((message) => ({ rule: 'server', message })))
+    })
+    setFormError(formError || '')
+    return Object.keys(fields).length > 0 || Boolean(formError)
   }
 
   /**
@@ -165,6 +900,24 @@ const useFormValidate = (customErrorMessages = {
    */
   const clearError = (name) => {
     setErrors((prevErrors) => ({ ...prevErrors, [name]: '' }))
+    setFieldErrors((prevFieldErrors) => ({ ...prevFieldErrors, [name]: [] }))
+  }
+
+  /**
+   * Guarda las reglas que fallaron para un campo. El primer mensaje se usa como error del campo.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {FieldFailure[]} failures - Reglas que fallaron.
+   * @returns {boolean} - `true` si no hubo fallos, `false` en caso contrario.
+   */
+  const applyFailures = (name, failures) => {
+    const message = failures[0]?.message || ''
+    // Sin cambios no se actualiza el estado: una validación repetida no vuelve a renderizar el formulario
+    setErrors((prevErrors) => (name in prevErrors && prevErrors[name] === message ? prevErrors : { ...prevErrors, [name]: message }))
+    setFieldErrors((prevFieldErrors) => (
+      areFailuresEqual(prevFieldErrors[name], failures) ? prevFieldErrors : { ...prevFieldErrors, [name]: failures }
+    ))
+    return failures.length === 0
   }
 
   /**
@@ -172,168 +925,655 @@ const useFormValidate = (customErrorMessages = {
    *
    */
   const resetForm = () => {
+    cancelAsyncValidations();
+    clearDraft();
     setInputs({});
     setErrors({});
+    setFieldErrors({});
+    setValidatingFields({});
+    setFormError('');
+    setIsSubmitting(false);
+    setIsSubmitSuccessful(false);
+    setSubmitCount(0);
   };
+
+  /**
+   * Restablece los valores del formulario conservando los campos registrados y sus reglas.
+   * Sin `values`, cada campo vuelve a su valor inicial; con `values`, estos pasan a ser los nuevos valores iniciales.
+   *
+   * @param {object} [values] - Nuevos valores iniciales, con la misma forma que los datos de `handleSubmit`.
+   */
+  const reset = (values) => {
+    const nextValues = values ? flattenValues(values) : {}
+    cancelAsyncValidations();
+    clearDraft();
+    setInputs((prevInputs) => {
+      const nextInputs = { ...createInputs(nextValues) }
+      // Las filas de listas que ya no están en los nuevos valores se eliminan
+      Object.keys(prevInputs).filter((name) => !isOutsideArray(values, name)).forEach((name) => {
+        const { rules, initialValue = '' } = prevInputs[name]
+        const value = name in nextValues ? toInputValue(nextValues[name], rules) : initialValue
+        nextInputs[name] = {
+          rules,
+          value,
+          initialValue: value,
+          ...(rules?.file ? { values: [] } : {})
+        }
+      })
+      return nextInputs
+    });
+    setErrors({});
+    setFieldErrors({});
+    setValidatingFields({});
+    setFormError('');
+    setIsSubmitting(false);
+    setIsSubmitSuccessful(false);
+    setSubmitCount(0);
+  };
+
+  /**
+   * Cambia los valores de varios campos a la vez (por ejemplo, al cargar un registro del servidor).
+   *
+   * @param {object} values - Valores parciales, con la misma forma que los datos de `handleSubmit`.
+   * @param {{ validate?: boolean, markDirty?: boolean }} [options] - `validate` valida los campos cambiados;
+   * con `markDirty: false` los valores pasan a ser también los valores iniciales, así que los campos no quedan modificados.
+   */
+  const setValues = (values, { validate: shouldValidate = false, markDirty = true } = {}) => {
+    const nextValues = flattenValues(values)
+    const removeRows = (map) => {
+      const names = Object.keys(map).filter((name) => !isOutsideArray(values, name))
+      return names.length === Object.keys(map).length ? map : names.reduce((result, name) => ({ ...result, [name]: map[name] }), {})
+    }
+    setInputs((prevInputs) => {
+      // Si una lista tiene menos filas, las filas sobrantes se eliminan
+      const nextInputs = removeRows(prevInputs)
+      Object.keys(nextValues).forEach((name) => {
+        const value = toInputValue(nextValues[name], prevInputs[name]?.rules)
+        nextInputs[name] = {
+          ...prevInputs[name],
+          value,
+          ...(markDirty ? {} : { initialValue: value })
+        }
+      })
+      return nextInputs
+    })
+    setErrors(removeRows)
+    setFieldErrors(removeRows)
+    if (shouldValidate) {
+      Object.keys(nextValues)
+        .filter((name) => getRules(name))
+        .forEach((name) => validate(name, toInputValue(nextValues[name], getRules(name)), getRules(name)))
+    }
+  }
+
+  /**
+   * Obtiene el valor de cada campo por ruta, tal como se valida.
+   *
+   * @returns {Object.<string, any>} - Valores por nombre de campo.
+   */
+  const getFlatValues = () => {
+    const values = {}
+    Object.keys(getState().inputs).forEach((name) => {
+      values[name] = getInputValue(name)
+    })
+    return values
+  }
+
+  /**
+   * Obtiene los datos del formulario con la misma forma que recibe `onSubmit` en `handleSubmit`: objetos y listas
+   * anidados, con cada valor convertido según sus reglas (dinero, `unmask`, `valueAs`, `parse`, `transform`, ...).
+   *
+   * @returns {object} - Datos del formulario.
+   */
+  const getValues = () => {
+    const values = getFlatValues()
+    const formData = {}
+    Object.keys(values).forEach((name) => {
+      const rules = getRules(name)
+      const value = parseFieldValue(values[name], rules)
+      setIn(formData, name, typeof rules?.transform === 'function' ? rules.transform(value) : value)
+    })
+    return formData
+  }
+
+  /**
+   * Obtiene los datos del formulario como `FormData`, para enviarlos con `fetch` junto con los archivos.
+   *
+   * @returns {FormData} - Datos del formulario.
+   */
+  const getFormData = () => toFormData(getValues())
+
+  /**
+   * Marca o desmarca un campo como pendiente de una validación asíncrona.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {boolean} isPending - `true` mientras la validación está en curso.
+   */
+  const setFieldValidating = (name, isPending) => {
+    setValidatingFields((prevValidating) => {
+      if (Boolean(prevValidating[name]) === isPending) {
+        return prevValidating
+      }
+      const { [name]: _, ...rest } = prevValidating
+      return isPending ? { ...rest, [name]: true } : rest
+    })
+  }
+
+  /**
+   * Cancela todas las validaciones asíncronas pendientes.
+   *
+   */
+  const cancelAsyncValidations = () => {
+    Object.values(asyncValidations.current).forEach(({ controller }) => controller.abort())
+    asyncValidations.current = {}
+  }
+
+  /**
+   * Obtiene el mensaje de una clave. Las reglas registradas con `registerRule` después de montar el formulario aún no
+   * están en `messages`: su mensaje se busca en el registro. Si la regla no tiene mensaje, se usa el de
+   * `custom_validation`, para que el fallo no quede con un mensaje vacío (que contaría como válido).
+   *
+   * @param {string} messageKey - Clave del mensaje en `customErrorMessages`.
+   * @returns {string} - Mensaje sin interpolar.
+   */
+  const getMessage = (messageKey) => messages[messageKey] ??
+    getRuleMessages(getRegisteredRules(instanceRules.current), locale)[messageKey] ?? messages.custom_validation
+
+  /**
+   * Crea el fallo de una regla con su mensaje traducido e interpolado.
+   * Se guarda la clave del mensaje para volver a traducirlo si cambia el idioma.
+   *
+   * @param {string} rule - Nombre de la regla que falló.
+   * @param {string} messageKey - Clave del mensaje en `customErrorMessages`.
+   * @param {object} rules - Reglas de validación.
+   * @param {object} params - Valores para los marcadores del mensaje.
+   * @returns {FieldFailure} - Fallo de la regla.
+   */
+  const createFailure = (rule, messageKey, rules, params) => {
+    if (rules?.errorLabel) {
+      return { rule, message: interpolate(rules.errorLabel, params) }
+    }
+    return { rule, message: interpolate(getMessage(messageKey), params), messageKey, params }
+  }
+
+  /**
+   * Convierte el resultado de una validación personalizada en un fallo.
+   *
+   * @param {boolean|string} validationResult - Resultado devuelto por `rules.validate`.
+   * @param {object} rules - Reglas de validación.
+   * @param {object} params - Valores para los marcadores del mensaje.
+   * @returns {FieldFailure|null} - Fallo de la regla `validate`, o `null` si la validación es exitosa.
+   */
+  const getCustomFailure = (validationResult, rules, params) => {
+    if (validationResult === true) {
+      return null
+    }
+    if (typeof validationResult === 'boolean' || !validationResult) {
+      return createFailure('validate', 'custom_validation', rules, params)
+    }
+    return { rule: 'validate', message: validationResult }
+  }
+
+  /**
+   * Cancela la validación asíncrona pendiente de un campo, si existe.
+   *
+   * @param {string} name - Nombre del campo.
+   */
+  const cancelAsyncValidation = (name) => {
+    const pending = asyncValidations.current[name]
+    if (pending) {
+      pending.controller.abort()
+      delete asyncValidations.current[name]
+      setFieldValidating(name, false)
+    }
+  }
+
+  /**
+   * Espera el resultado de una validación asíncrona y lo aplica si sigue siendo la más reciente del campo.
+   * Los resultados obsoletos (el valor cambió o la validación se canceló) se descartan.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {object} pending - Validación pendiente.
+   * @param {Promise<Array<FieldFailure|null>>} result - Fallos de las reglas asíncronas (`validate` y `dimensions`).
+   * @param {FieldFailure[]} failures - Fallos ya encontrados por las reglas síncronas.
+   * @param {boolean} collectAll - Si es `false`, solo se agrega el primer fallo asíncrono.
+   * @returns {Promise<boolean>} - Resultado de la validación más reciente del campo.
+   */
+  const settleAsyncValidation = (name, pending, result, failures, collectAll) => {
+    const { signal } = pending.controller
+    const aborted = new Promise((resolve) => signal.addEventListener('abort', () => resolve(false)))
+    asyncValidations.current[name] = pending
+    setFieldValidating(name, true)
+    pending.promise = Promise.race([result, aborted])
+      .then((asyncFailures) => {
+        if (asyncValidations.current[name] !== pending) {
+          return asyncValidations.current[name]?.promise ?? false
+        }
+        delete asyncValidations.current[name]
+        setFieldValidating(name, false)
+        const found = asyncFailures.filter(Boolean)
+        return applyFailures(name, [...failures, ...(collectAll ? found : found.slice(0, 1))])
+      })
+    return pending.promise
+  }
+
   /**
    * Valida un campo según las reglas especificadas.
    *
    * @param {string} name - Nombre del campo.
    * @param {any} value - Valor del campo a validar.
    * @param {object} rules - Reglas de validación.
-   * @returns {boolean} - `true` si la validación es exitosa, `false` en caso contrario.
+   * @param {object} [options] - Opciones de la validación.
+   * @param {number} [options.debounce] - Milisegundos de espera para la validación personalizada (por defecto `rules.debounce`).
+   * @param {boolean} [options.silent] - Solo comprueba las reglas síncronas, sin la validación personalizada `validate`
+   * y sin cambiar los errores.
+   * @returns {boolean|Promise<boolean>} - `true` si la validación es exitosa, `false` en caso contrario.
+   * Devuelve una promesa si la validación personalizada es asíncrona.
    */
-  const validate = useCallback((name, value, rules) => {
+  const validate = (name, value, rules, options = {}) => {
     if (value === undefined || value === null) {
       throw new Error("El campo value es requerido para validar el campo.")
     }
-    if (rules?.required && rules?.url && !isValidUrl(value)) {
-      setError(name, rules.errorLabel || customErrorMessages.invalid_url);
-      return false;
+    // Sin efectos (`silent`) solo se comprueban las reglas síncronas, sin cambiar los errores
+    const finish = (list) => (options.silent ? list.length === 0 : applyFailures(name, list))
+    if (!options.silent) {
+      cancelAsyncValidation(name)
+    }
+    const { inputs } = getState()
+    // Reglas condicionales: con `when` en falso no se aplica ninguna regla; `requiredIf` vuelve obligatorio el campo
+    if (typeof rules?.when === 'function' && !rules.when(inputs)) {
+      return finish([])
+    }
+    if (rules?.requiredIf && !rules.required && matchesRequiredIf(rules.requiredIf)) {
+      rules = { ...rules, required: true }
+    }
+    const collectAll = rules?.allErrors ?? allErrors
+    // Las reglas de formato y rango se evalúan si el campo es obligatorio o, en modo estricto, si tiene valor.
+    const checkRules = (rules?.strictOptionalRules ?? strictOptionalRules) ? !isEmptyValue(value) : rules?.required
+    const failures = []
+    // Valores disponibles como marcadores en los mensajes: parámetros de las reglas, etiqueta, nombre y valor del campo
+    const otherField = rules?.isEqual || rules?.greaterThan || rules?.lessThan
+    const params = {
+      ...rules,
+      label: rules?.label || name,
+      name,
+      value,
+      field: inputs[otherField]?.rules?.label || otherField
+    }
+    // Registra un fallo y devuelve `true` si la validación debe detenerse en él.
+    const fail = (rule, messageKey) => {
+      failures.push(createFailure(rule, messageKey, rules, params))
+      return !collectAll
+    }
+    // Con valueAs, trim, emptyAsNull o parse, las validaciones personalizadas reciben el valor convertido
+    const parsedValue = hasValueTransforms(rules) ? parseFieldValue(value, rules) : value
+    // `date` puede indicar el formato de la fecha (`DD/MM/YYYY`); sin formato, ISO 8601
+    const dateFormat = typeof rules?.date === 'string' ? rules.date : undefined
+    if (rules?.valueAs && isInvalidCoercion(parsedValue)) {
+      if (fail('valueAs', rules.valueAs === 'number' ? 'invalid_number' : 'invalid_date')) return finish(failures)
+    }
+    // Las reglas de valor comprueban el valor convertido, el mismo que se envía. Las reglas de texto usan el texto
+    // convertido (`trim`); si la conversión no da un texto (por ejemplo, un número), el texto del input.
+    const checkedValue = hasValueTransforms(rules) && !isInvalidCoercion(parsedValue) ? parsedValue : value
+    const checkedText = typeof checkedValue === 'string' ? checkedValue : (checkedValue === null ? '' : value)
+
+    if (checkRules && rules?.url && !isUrl(checkedText, typeof rules.url === 'object' ? rules.url : undefined)) {
+      if (fail('url', 'invalid_url')) return finish(failures)
+    }
+    if (checkRules && rules?.phone && !validatePhone(value, rules.phone)) {
+      if (fail('phone', 'invalid_phone')) return finish(failures)
+    }
+    if (checkRules && rules?.mask && !isMaskComplete(value, rules.mask)) {
+      if (fail('mask', 'invalid_format')) return finish(failures)
+    }
+
+    // Las reglas de archivos se aplican siempre que haya archivos seleccionados
+    const files = rules?.file && Array.isArray(value) ? value : []
+    for (const fileFailure of files.length > 0 ? validateFiles(files, rules) : []) {
+      failures.push(createFailure(fileFailure.rule, fileFailure.messageKey, rules, { ...params, ...fileFailure.params }))
+      if (!collectAll) return finish(failures)
+    }
+
+    // Reglas registradas con registerRule
+    const registeredRules = getRegisteredRules(instanceRules.current)
+    const customRuleNames = checkRules && rules ? Object.keys(rules).filter((key) => registeredRules[key] && rules[key] !== false) : []
+    for (const ruleName of customRuleNames) {
+      const ruleResult = registeredRules[ruleName].validate(parsedValue, rules[ruleName], inputs)
+      if (ruleResult === true) {
+        continue
+      }
+      if (typeof ruleResult === 'string' && ruleResult) {
+        failures.push({ rule: ruleName, message: ruleResult })
+        if (!collectAll) return finish(failures)
+      } else if (fail(ruleName, ruleName)) {
+        return finish(failures)
+      }
+    }
+
+    if (checkRules && rules?.money && !validateMoney(value, rules.money)) {
+      if (fail('money', 'is_type_money')) return finish(failures)
     }
-    if (rules?.required && rules?.phone && (value.length < 6 || value.length > 15)) {
-      setError(name, rules.errorLabel || customErrorMessages.invalid_phone)
-      return false
+    if (checkRules && rules?.min !== undefined && checkedValue < rules.min) {
+      if (fail('min', 'min')) return finish(failures)
     }
 
-    if (rules?.required && rules?.money && !validateMoney(value)) {
-      setError(name, rules.errorLabel || customErrorMessages.is_type_money)
-      return false
+    if (checkRules && rules?.max !== undefined && checkedValue > rules.max) {
+      if (fail('max', 'max')) return finish(failures)
     }
-    if (rules?.required && value < rules.min) {
-      setError(name, rules.errorLabel || customErrorMessages.min.replace('{min}', rules.min))
-      return false
+    if (checkRules && rules?.minLength && checkedText.length < rules.minLength) {
+      if (fail('minLength', 'min_length')) return finish(failures)
     }
 
-    if (rules?.required && value > rules.max) {
-      setError(name, rules.errorLabel || customErrorMessages.max.replace('{max}', rules.max))
-      return false
+    if (checkRules && rules?.maxLength && checkedText.length > rules.maxLength) {
+      if (fail('maxLength', 'max_length')) return finish(failures)
     }
-    if (rules?.required && rules?.minLength && value.length < rules.minLength) {
-      setError(name, rules.errorLabel || customErrorMessages.min_length.replace('{minLength}', rules.minLength))
-      return false
+
+    if (checkRules && rules?.isEqual && value !== inputs[rules.isEqual]?.value) {
+      if (fail('isEqual', 'fields_not_match')) return finish(failures)
     }
 
-    if (rules?.required && rules?.maxLength && value.length > rules.maxLength) {
-      setError(name, rules.errorLabel || customErrorMessages.max_length.replace('{maxLength}', rules.maxLength))
-      return false
+    if (checkRules && rules?.greaterThan && !isEmptyValue(getInputValue(rules.greaterThan)) &&
+      compareValues(checkedValue, getInputValue(rules.greaterThan), dateFormat) <= 0) {
+      if (fail('greaterThan', 'greater_than')) return finish(failures)
     }
 
-    if (rules?.required && rules?.isEqual && value !== inputs[rules.isEqual]?.value) {
-      setError(name, rules.errorLabel || customErrorMessages.fields_not_match)
-      return false
+    if (checkRules && rules?.lessThan && !isEmptyValue(getInputValue(rules.lessThan)) &&
+      compareValues(checkedValue, getInputValue(rules.lessThan), dateFormat) >= 0) {
+      if (fail('lessThan', 'less_than')) return finish(failures)
     }
 
-    if (rules?.required && rules?.email && !validateEmail(value)) {
-      setError(name, rules.errorLabel || customErrorMessages.invalid_email)
-      return false
+    if (checkRules && rules?.email && !validateEmail(checkedText)) {
+      if (fail('email', 'invalid_email')) return finish(failures)
     }
 
-    if (rules?.required && rules?.date && !isValidDate(value)) {
-      setError(name, rules.errorLabel || customErrorMessages.invalid_date)
-      return false
+    if (checkRules && rules?.date && !isDate(checkedValue, dateFormat)) {
+      if (fail('date', 'invalid_date')) return finish(failures)
+    }
+    // Los límites de fecha se comprueban en las fechas válidas y se muestran en el formato del campo
+    for (const [rule, bound, messageKey] of [['minDate', 'min', 'min_date'], ['maxDate', 'max', 'max_date']]) {
+      const limit = rules?.[rule]
+      if (checkRules && limit !== undefined && limit !== null && isDate(checkedValue, dateFormat) &&
+        !isDateInRange(checkedValue, { [bound]: limit }, dateFormat)) {
+        const limitDate = parseDate(limit, dateFormat) || parseDate(limit)
+        const shownLimit = limitDate ? formatDate(limitDate, dateFormat) : String(limit)
+        failures.push(createFailure(rule, messageKey, rules, { ...params, [rule]: shownLimit }))
+        if (!collectAll) return finish(failures)
+      }
+    }
+    if (checkRules && rules?.pattern && !matchesPattern(checkedText, rules.pattern)) {
+      if (fail('pattern', 'invalid_format')) return finish(failures)
+    }
+    if (checkRules && rules?.integer && !isInteger(checkedValue)) {
+      if (fail('integer', 'not_integer')) return finish(failures)
+    }
+    // Como el atributo `step` de los inputs, el incremento se cuenta desde `min`
+    if (checkRules && rules?.step && !isStepMatch(checkedValue, rules.step, rules.min ?? 0)) {
+      if (fail('step', 'invalid_step')) return finish(failures)
+    }
+    if (checkRules && Array.isArray(rules?.oneOf) && !isOneOf(checkedValue, rules.oneOf)) {
+      if (fail('oneOf', 'invalid_option')) return finish(failures)
+    }
+    if (checkRules && rules?.password && !isStrongPassword(checkedText, rules.password === true ? undefined : rules.password)) {
+      if (fail('password', 'weak_password')) return finish(failures)
+    }
+    if (checkRules && rules?.creditCard && !isCreditCard(checkedText)) {
+      if (fail('creditCard', 'invalid_credit_card')) return finish(failures)
     }
 
-    if (rules?.validate && typeof rules?.validate === 'function') {
-      const validationResult = rules.validate(value, inputs)
-      if (validationResult !== true) {
-        if (typeof validationResult === 'boolean') {
-          setError(name, rules.errorLabel || customErrorMessages.custom_validation)
+    const pendingValidation = { controller: new AbortController() }
+    // Reglas asíncronas: cada una se resuelve con su fallo, o `null` si se cumple
+    const asyncChecks = []
+    if (files.length > 0 && rules?.dimensions && !options.silent) {
+      asyncChecks.push(validateImageDimensions(files, rules.dimensions).then(
+        (failure) => failure && createFailure(failure.rule, failure.messageKey, rules, { ...params, ...failure.params }),
+        () => createFailure('dimensions', 'invalid_image', rules, params)
+      ))
+    }
+    let asyncResult
+    if (rules?.validate && typeof rules?.validate === 'function' && !options.silent) {
+      const delay = options.debounce ?? rules.debounce ?? 0
+      const context = { signal: pendingValidation.controller.signal }
+      asyncValidators.current[name] = delay > 0 || asyncChecks.length > 0
+      if (delay > 0) {
+        asyncResult = new Promise((resolve) => setTimeout(resolve, delay))
+          .then(() => context.signal.aborted ? false : rules.validate(parsedValue, inputs, context))
+      } else {
+        const validationResult = rules.validate(parsedValue, inputs, context)
+        if (typeof validationResult?.then === 'function') {
+          asyncValidators.current[name] = true
+          asyncResult = validationResult
         } else {
-          setError(name, validationResult)
+          const customFailure = getCustomFailure(validationResult, rules, params)
+          if (customFailure) {
+            failures.push(customFailure)
+            if (!collectAll) return finish(failures)
+          }
         }
-
-        return false
       }
     }
-    if (rules?.required && rules?.checkbox && !value) {
-      setError(name, rules.errorLabel || customErrorMessages.is_type_checkbox)
+    // Detiene la validación asíncrona pendiente si una regla síncrona posterior falla.
+    const failSync = (rule, messageKey) => {
+      if (fail(rule, messageKey)) {
+        pendingValidation.controller.abort()
+        return true
+      }
       return false
     }
+    if (rules?.required && rules?.checkbox && (isEmptyValue(value) || String(value) === 'false')) {
+      if (failSync('checkbox', 'is_type_checkbox')) return finish(failures)
+    }
     if (rules?.required && rules?.radio && !value) {
-      setError(name, rules.errorLabel || customErrorMessages.is_type_radio)
-      return false
+      if (failSync('radio', 'is_type_radio')) return finish(failures)
     }
     if (rules?.required && rules?.file && (value === "" || (typeof value === 'object' && value.length === 0))) {
-      setError(name, rules.errorLabel || customErrorMessages.is_type_file)
-      return false
+      if (failSync('file', 'is_type_file')) return finish(failures)
     }
 
     if (rules?.required && (!value || (typeof value === 'string' && value?.trim() === ''))) {
-      setError(name, rules.errorLabel || customErrorMessages.is_required);
-      return false;
+      if (failSync('required', 'is_required')) return finish(failures)
+    }
+
+    if (options.silent) {
+      return finish(failures)
+    }
+    if (asyncResult) {
+      asyncChecks.push(Promise.resolve(asyncResult).then(
+        (validationResult) => getCustomFailure(validationResult, rules, params),
+        () => getCustomFailure(false, rules, params)
+      ))
+    }
+    if (asyncChecks.length > 0) {
+      return settleAsyncValidation(name, pendingValidation, Promise.all(asyncChecks), failures, collectAll)
     }
 
+    return applyFailures(name, failures)
+  }
+  /**
+   * Obtiene el valor actual de un campo tal como se valida y se envía.
+   *
+   * @param {string} name - Nombre del campo.
+   * @returns {any} - Valor del campo (o la lista de archivos en los campos de tipo file).
+   */
+  const getInputValue = (name) => {
+    const { value, values } = getState().inputs[name] || {}
+    return Array.isArray(values) ? values : (value ?? '')
+  }
 
+  /**
+   * Compara dos valores de campos como fechas, números o texto, según lo que sean.
+   *
+   * @param {any} a - Primer valor.
+   * @param {any} b - Segundo valor.
+   * @param {string} [dateFormat] - Formato de las fechas (regla `date`). Sin formato, fechas ISO 8601 o que entienda `Date`.
+   * @returns {number} - Negativo si `a` es menor, positivo si es mayor y `0` si son iguales.
+   */
+  const compareValues = (a, b, dateFormat) => {
+    const isNumeric = (value) => value !== '' && !isNaN(Number(value))
+    if (isNumeric(a) && isNumeric(b)) {
+      return Number(a) - Number(b)
+    }
+    if (isValidDate(a, dateFormat) && isValidDate(b, dateFormat)) {
+      return parseDate(a, dateFormat).getTime() - parseDate(b, dateFormat).getTime()
+    }
+    // Sin formato también se comparan como fechas los textos que entiende `Date` (por ejemplo, `9/1/2024`)
+    if (!dateFormat && !isNaN(new Date(a).getTime()) && !isNaN(new Date(b).getTime())) {
+      return new Date(a).getTime() - new Date(b).getTime()
+    }
+    return String(a).localeCompare(String(b))
+  }
 
-    clearError(name)
-    return true
-  }, [inputs, customErrorMessages])
   /**
-   * Valida si una url es valida.
+   * Indica si se cumple la condición de una regla `requiredIf`.
    *
-   * @param {string} url - The URL to validate.
-   * @returns {boolean} - `true` if the URL is valid, `false` otherwise.
+   * @param {{ field: string, equals?: any }} condition - Campo y valor esperado. `equals` puede ser un valor, una lista de
+   * valores o una función; si no se indica, basta con que el campo tenga valor.
+   * @returns {boolean} - `true` si el campo pasa a ser obligatorio.
    */
-  const isValidUrl = (url) => {
-    // Regular expression for a simple URL validation
-    const urlRegex = /^(ftp|http|https):\/\/[^ "]+$/;
-    return urlRegex.test(url);
-  };
+  const matchesRequiredIf = ({ field, equals } = {}) => {
+    const { inputs } = getState()
+    const otherValue = inputs[field]?.value
+    if (typeof equals === 'function') {
+      return Boolean(equals(otherValue, inputs))
+    }
+    if (Array.isArray(equals)) {
+      return equals.includes(otherValue)
+    }
+    if (equals === undefined) {
+      return !isEmptyValue(otherValue ?? '')
+    }
+    return otherValue === equals
+  }
+
+  /**
+   * Indica si un valor está vacío (cadena en blanco o lista sin elementos).
+   *
+   * @param {any} value - Valor a comprobar.
+   * @returns {boolean} - `true` si el valor está vacío, `false` en caso contrario.
+   */
+  const isEmptyValue = (value) => value === '' ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0)
+
+  /**
+   * Obtiene los campos de los que depende un campo según sus reglas (`isEqual`, `greaterThan`, `lessThan`,
+   * `requiredIf` y `deps`).
+   *
+   * @param {object} [rules] - Reglas del campo.
+   * @returns {string[]} - Nombres de los campos de los que depende.
+   */
+  const getFieldDependencies = (rules) => [
+    rules?.isEqual,
+    rules?.greaterThan,
+    rules?.lessThan,
+    rules?.requiredIf?.field,
+    ...[].concat(rules?.deps || [])
+  ].filter(Boolean)
 
   /**
-   * Valida si un correo electrónico es válido.
+   * Valida si un correo electrónico es válido (ver `isEmail` en `validators`).
    *
    * @param {string} email - Correo electrónico a validar.
    * @returns {boolean} - `true` si es un correo electrónico válido, `false` en caso contrario.
    */
-  const validateEmail = (email) => /\S+@\S+\.\S+/.test(email)
+  const validateEmail = (email) => isEmail(email)
 
   /**
-   * Valida si una cadena es una fecha válida.
+   * Valida si una cadena es una fecha válida (ver `isDate` en `validators`).
    *
    * @param {string} dateString - Cadena que representa una fecha.
+   * @param {string} [format] - Formato con `DD`, `MM` y `YYYY`. Por defecto ISO 8601.
    * @returns {boolean} - `true` si la cadena es una fecha válida, `false` en caso contrario.
    */
-  const isValidDate = (dateString) => !isNaN(new Date(dateString).getTime())
+  const isValidDate = (dateString, format) => isDate(dateString, format)
 
   /**
    * Valida si un valor es un formato de dinero válido.
    *
    * @param {string} value - Valor a validar.
+   * @param {boolean|import('./money').MoneyConfig} [config] - Valor de la regla `money`.
    * @returns {boolean} - `true` si es un valor de dinero válido, `false` en caso contrario.
    */
-  const validateMoney = (value) => /^\d{1,3}(\.\d{3})*(,\d{1,2})?$/.test(value)
+  const validateMoney = (value, config) => isValidMoney(value, config)
 
   /**
    * Formatea un valor de entrada en formato de dinero.
    *
    * @param {string} value - Valor a formatear.
+   * @param {boolean|import('./money').MoneyConfig} [config] - Valor de la regla `money`.
    * @returns {string} - Valor formateado en formato de dinero.
    */
-  const formatMoneyInput = (value = '') => {
-    const numericValue = value.replace(/[^0-9,]/g, '')
-    const parts = numericValue.split(',')
-
-    // Handle the integer part (thousands separator)
-    parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, '.')
-
-    return parts.join(',')
-  }
+  const formatMoneyInput = (value = '', config) => formatMoney(value, config)
 
   /**
    * Maneja el cambio de un campo de dinero, formateando el valor.
+   * Si se recibe el input, conserva la posición del cursor después de formatear.
    *
    * @param {string} name - Nombre del campo.
    * @param {string} value - Nuevo valor del campo.
+   * @param {boolean|import('./money').MoneyConfig} [config] - Valor de la regla `money`.
+   * @param {HTMLInputElement} [input] - Input que originó el cambio.
    */
-  const handleMoneyChange = (name, value) => {
-    const formattedValue = formatMoneyInput(value)
+  const handleMoneyChange = (name, value, config, input) => {
+    const formattedValue = formatMoneyInput(value, config)
+    if (input && typeof input.setSelectionRange === 'function' && input.selectionStart !== null) {
+      pendingCaret.current = {
+        input,
+        position: getMoneyCaretPosition(value, input.selectionStart, formattedValue, config)
+      }
+    }
     handleChange(name, formattedValue)
   }
 
+  /**
+   * Aplica los errores de un esquema al estado de errores, por ruta de campo.
+   * Los campos registrados sin errores quedan limpios.
+   *
+   * @param {import('./schemaResolvers').SchemaIssue[]} issues - Errores devueltos por el esquema.
+   * @returns {boolean} - `true` si no hay errores, `false` en caso contrario.
+   */
+  const applySchemaIssues = (issues) => {
+    const failuresByField = {}
+    Object.keys(getState().inputs).forEach((name) => {
+      failuresByField[name] = []
+    })
+    issues.forEach(({ path, rule, message }) => {
+      failuresByField[path] = [...(failuresByField[path] || []), { rule, message }]
+    })
+    setErrors((prevErrors) => {
+      const nextErrors = { ...prevErrors }
+      Object.keys(failuresByField).forEach((name) => {
+        nextErrors[name] = failuresByField[name][0]?.message || ''
+      })
+      return nextErrors
+    })
+    setFieldErrors((prevFieldErrors) => ({ ...prevFieldErrors, ...failuresByField }))
+    return issues.length === 0
+  }
+
+  /**
+   * Valida los campos indicados (y sus campos anidados) con sus reglas, sin enviar el formulario. Sin `names` valida
+   * todos. Como `handleSubmit`, valida cada campo aunque otro falle, para mostrar todos sus errores.
+   *
+   * @param {string|string[]} [names] - Nombres de campo.
+   * @returns {boolean|Promise<boolean>} - `true` si todos son válidos; una promesa si alguno se valida de forma asíncrona.
+   */
+  const validateFields = (names) => {
+    const list = names === undefined ? null : [].concat(names)
+    const values = getFlatValues()
+    const results = Object.keys(values)
+      .filter((name) => !list || isFieldInList(name, list))
+      .map((name) => validate(name, values[name], getRules(name), { debounce: 0 }))
+    if (results.some((result) => typeof result?.then === 'function')) {
+      return Promise.all(results).then((settled) => settled.every(Boolean))
+    }
+    return results.every(Boolean)
+  }
+
   /**
    * Maneja la presentación del formulario al enviarlo.
+   * Si hay validaciones asíncronas, espera a que terminen antes de llamar a `onSubmit`.
+   * Si se indicó un `schema`, valida los datos con él en lugar de usar las reglas de cada campo.
+   * Si `onSubmit` devuelve una promesa, `isSubmitting` se mantiene activo hasta que termine.
    *
    * @param {function} onSubmit - Función a ejecutar al enviar el formulario.
    * @returns {function} - Función de manejo del envío del formulario.
@@ -343,22 +1583,82 @@ const useFormValidate = (customErrorMessages = {
     if (!onSubmit || typeof onSubmit !== "function") {
       throw new Error("La funcion handleSubmit espera como parametro una funcion.")
     }
-    const formData = {}
-    const isValid = Object.keys(inputs).every((name) => {
-      const { rules, value, values } = inputs[name] || {}
-      formData[name] = value || values || ''
-      return validate(name, formData[name], rules)
-    })
+    setSubmitCount((prevCount) => prevCount + 1)
+    setIsSubmitting(true)
+    setFormError('')
+
+    const finish = (isSuccessful) => {
+      setIsSubmitting(false)
+      setIsSubmitSuccessful(isSuccessful)
+      if (isSuccessful) {
+        clearDraft()
+      } else if (shouldFocusError) {
+        focusFirstError()
+      }
+    }
+    // Llama a onSubmit y, si devuelve una promesa, espera a que termine. Si devuelve o lanza errores del servidor,
+    // se aplican al formulario y el envío no es exitoso; los demás errores se vuelven a lanzar.
+    const submit = (formData) => {
+      let result
+      try {
+        result = onSubmit(submitAs === 'formData' ? toFormData(formData) : formData)
+      } catch (error) {
+        const hasServerErrors = setServerErrors(error)
+        finish(false)
+        if (hasServerErrors) return
+        throw error
+      }
+      if (typeof result?.then === 'function') {
+        return result.then((value) => finish(!setServerErrors(value)), (error) => {
+          const hasServerErrors = setServerErrors(error)
+          finish(false)
+          if (hasServerErrors) return
+          throw error
+        })
+      }
+      finish(!setServerErrors(result))
+    }
+
+    const values = getFlatValues()
+
+    if (schema) {
+      const formData = getValues()
+      return Promise.resolve(getSchemaResolver(schema)(formData, { messages }))
+        .then(({ values: parsedValues, issues = [] }) => {
+          if (!applySchemaIssues(issues)) {
+            return finish(false)
+          }
+          return submit(parsedValues ?? formData)
+        }, (error) => {
+          finish(false)
+          throw error
+        })
+    }
+
+    // Se validan todos los campos (aunque uno falle) para mostrar todos los errores y enfocar el primero del documento
+    const pendingValidations = []
+    const isValid = Object.keys(getState().inputs).map((name) => {
+      const result = validate(name, values[name], getRules(name), { debounce: 0 })
+      if (typeof result?.then === 'function') {
+        pendingValidations.push(result)
+        return true
+      }
+      return result
+    }).every(Boolean)
 
-    if (isValid) {
-      //quitar puntos si es tipo money
-      Object.keys(formData).forEach((key) => {
-        if (inputs[key]?.rules?.money) {
-          formData[key] = formData[key].replace(/\./g, '').replace(',', '.')
+    if (!isValid) {
+      finish(false)
+      return
+    }
+    if (pendingValidations.length > 0) {
+      return Promise.all(pendingValidations).then((results) => {
+        if (!results.every(Boolean)) {
+          return finish(false)
         }
+        return submit(getValues())
       })
-      onSubmit(formData)
     }
+    return submit(getValues())
   }
   /**
    * Formatea un valor de entrada en formato de teléfono.
@@ -385,15 +1685,84 @@ const useFormValidate = (customErrorMessages = {
 
   /**
    * Maneja el cambio de un campo de teléfono, formateando el valor.
+   * Con `phone: { country }` usa el formato del país; con `phone: true`, el formato `+C 123-456-7890`.
    *
    * @param {string} name - Nombre del campo.
    * @param {string} value - Nuevo valor del campo.
+   * @param {boolean|{ country: string }} [config] - Valor de la regla `phone`.
+   * @param {HTMLInputElement} [input] - Input que originó el cambio.
    */
-  const handlePhoneChange = (name, value) => {
+  const handlePhoneChange = (name, value, config, input) => {
+    if (config && typeof config === 'object') {
+      handleMaskedChange(name, value, formatPhone(value, config), input)
+      return
+    }
     const formattedValue = formatPhoneInput(value);
     handleChange(name, formattedValue);
   };
 
+  /**
+   * Maneja el cambio de un campo con máscara (regla `mask`), aplicando la máscara al valor.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {string} value - Nuevo valor del campo.
+   * @param {string|string[]|Function} mask - Máscara del campo.
+   * @param {HTMLInputElement} [input] - Input que originó el cambio.
+   */
+  const handleMaskChange = (name, value, mask, input) => {
+    handleMaskedChange(name, value, applyMask(value, mask), input)
+  }
+
+  /**
+   * Maneja el cambio de un campo aplicando el `format` de las reglas registradas que use.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {string} value - Nuevo valor del campo.
+   * @param {object} rules - Reglas del campo.
+   * @param {HTMLInputElement} [input] - Input que originó el cambio.
+   */
+  const handleCustomFormatChange = (name, value, rules, input) => {
+    const registeredRules = getRegisteredRules(instanceRules.current)
+    const formatters = Object.keys(rules || {})
+      .filter((key) => rules[key] !== false && typeof registeredRules[key]?.format === 'function')
+    if (formatters.length === 0 || typeof value !== 'string') {
+      handleChange(name, value)
+      return
+    }
+    const formattedValue = formatters.reduce((current, key) => registeredRules[key].format(current, rules[key]), value)
+    handleMaskedChange(name, value, formattedValue, input)
+  }
+
+  /**
+   * Registra una regla de validación solo para este formulario.
+   *
+   * @param {string} name - Nombre de la regla.
+   * @param {import('./ruleRegistry').RuleDefinition} definition - Definición de la regla.
+   */
+  const registerRule = (name, definition) => {
+    assertRuleDefinition(name, definition)
+    instanceRules.current = { ...instanceRules.current, [name]: definition }
+    setRulesVersion((prevVersion) => prevVersion + 1)
+  }
+
+  /**
+   * Guarda un valor con máscara conservando la posición del cursor del input.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {string} value - Valor escrito.
+   * @param {string} maskedValue - Valor con máscara.
+   * @param {HTMLInputElement} [input] - Input que originó el cambio.
+   */
+  const handleMaskedChange = (name, value, maskedValue, input) => {
+    if (input && typeof input.setSelectionRange === 'function' && input.selectionStart !== null) {
+      pendingCaret.current = {
+        input,
+        position: getMaskCaretPosition(value, input.selectionStart, maskedValue)
+      }
+    }
+    handleChange(name, maskedValue)
+  }
+
   /**
   * Permite gestionar el cambio de un campo 
   * @param {string} name - Nombre del campo.
@@ -406,48 +1775,83 @@ const useFormValidate = (customErrorMessages = {
     const newValue = e?.target?.value || (anotherValue ? value[anotherValue] : value)
 
     if (rules?.file) {
-      const files = e?.target?.files;
-      if (files && files.length > 0) {
-        const filePromises = Array.from(files).map((file) => {
-          return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onloadend = () => {
-              resolve({
-                dataURL: reader.result,
-                fileName: file.name,
-                fileSize: file.size,
-              });
-            };
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-          });
+      const files = Array.from(e?.target?.files || []);
+      const readId = (fileReads.current[name] || 0) + 1;
+      fileReads.current[name] = readId;
+      if (files.length === 0 || (rules.rawFiles ?? rawFiles)) {
+        handleChange(name, "", { values: files });
+      } else if (validateFiles(files, rules).length > 0) {
+        // Los archivos que no cumplen las reglas no se leen: se guardan sus datos para mostrar el error
+        handleChange(name, "", {
+          values: files.map((file) => ({ fileName: file.name, fileSize: file.size, fileType: file.type }))
         });
-
-        Promise.all(filePromises)
+      } else {
+        Promise.all(files.map(readFileAsDataURL))
           .then((fileData) => {
-            handleChange(name, "", { values: fileData });
+            if (fileReads.current[name] === readId) {
+              handleChange(name, "", { values: fileData });
+            }
           })
-          .catch((error) => {
-            console.error('Error reading file:', error);
+          .catch(() => {
+            if (fileReads.current[name] === readId) {
+              const params = { ...rules, label: rules?.label || name, name }
+              applyFailures(name, [createFailure('file', 'file_read_error', rules, params)]);
+            }
           });
-      } else {
-        handleChange(name, "", { values: [] });
       }
+    } else if (rules?.checkbox && rules?.multiple) {
+      // Grupo de casillas: el valor es la lista de opciones marcadas
+      const option = rules.value ?? e?.target?.value
+      const currentValue = getState().inputs[name]?.value
+      const selected = (Array.isArray(currentValue) ? currentValue : []).filter((item) => item !== option)
+      handleChange(name, e?.target?.checked ? [...selected, option] : selected);
     } else if (rules?.checkbox) {
       handleChange(name, '' + e?.target?.checked);
     } else if (rules?.radio) {
       handleChange(name, rules.value || e?.target?.value || '' + e.target.checked);
     } else {
-      if (rules?.phone) {
-        handlePhoneChange(name, newValue);
+      if (rules?.mask) {
+        handleMaskChange(name, newValue, rules.mask, e?.target);
+      } else if (rules?.phone) {
+        handlePhoneChange(name, newValue, rules.phone, e?.target);
       } else if (rules?.money) {
-        handleMoneyChange(name, newValue);
+        handleMoneyChange(name, newValue, rules.money, e?.target);
       } else {
-        handleChange(name, newValue);
+        handleCustomFormatChange(name, newValue, rules, e?.target);
       }
     }
 
   }
+  /**
+   * Indica si un campo se debe validar en un evento, según su modo de validación. Antes del primer envío se usa
+   * `mode` y después `reValidateMode`; las reglas `validateOnChange` y `onBlur` siempre validan en su evento.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {'change'|'blur'} event - Evento del campo.
+   * @returns {boolean} - `true` si el campo se debe validar.
+   */
+  const shouldValidateOn = (name, event) => {
+    const rules = getRules(name)
+    const touched = getState().inputs[name]?.touched
+    if ((event === 'change' && rules?.validateOnChange) || (event === 'blur' && rules?.onBlur)) {
+      return true
+    }
+    const fieldMode = rules?.mode || mode
+    const activeMode = getState().submitCount > 0 ? (rules?.reValidateMode || reValidateMode || fieldMode) : fieldMode
+    switch (activeMode) {
+      case 'all':
+        return true
+      case 'onChange':
+        return event === 'change'
+      case 'onBlur':
+        return event === 'blur'
+      case 'onTouched':
+        return event === 'blur' || Boolean(touched)
+      default:
+        return false
+    }
+  }
+
   /**
    * Obtiene las propiedades del campo, incluido el valor, el estado de error y la función de cambio.
    *
@@ -458,47 +1862,80 @@ const useFormValidate = (customErrorMessages = {
    * @returns {object} - Propiedades del campo.
    */
   const getFieldProps = (name, rules = {}, anotherValue, defaultValue) => {
-    if (!(name in inputs)) {
-      let isEqualInput = JSON.stringify(inputs[name]?.rules) === JSON.stringify(rules)
-      let changeProps = {}
-      if (rules?.file) {
-        changeProps = {
-          values: []
-        }
-      }
-    if (!isEqualInput) {
-        setInputs((prevInputs) => ({
-          ...prevInputs,
-          [name]: {
-            rules,
-            value: rules?.value || defaultValue || '',
-            ...changeProps
-          }
-        }))
-      }
-
+    // El campo se registra (o se actualizan sus reglas) al terminar el render; si se pide varias veces en el mismo
+    // render (por ejemplo, las opciones de un radio) se usan las reglas de la primera llamada
+    if (!(name in renderedFields.current)) {
+      renderedFields.current[name] = { rules, defaultValue }
     }
-    let others = {}
+    requestedFields.current.add(name)
+    // Hasta que el campo se registra se muestra su valor por defecto, para que el input sea controlado desde el inicio
+    let others = rules?.file ? {} : { value: toInputValue(rules?.value || defaultValue, rules) }
+    if (rules?.checkbox && rules?.multiple) {
+      others = { value: rules.value, checked: Array.isArray(defaultValue) && defaultValue.includes(rules.value) }
+    }
+    const { inputs, errors } = getState()
     if (inputs[name]) {
       others = {
-        ...([rules?.helperText] ? { [rules?.helperText]: getFieldError(name) } : {}),
-        value: inputs[name]?.value || '',
+        ...(rules?.helperText ? { [rules?.helperText]: getFieldError(name) } : {}),
+        value: inputs[name]?.value ?? '',
         ...(rules?.file ? { value: undefined } : {}),
+        // En un grupo de casillas cada casilla tiene su opción y se marca si está en la lista
+        ...(rules?.checkbox && rules?.multiple ? {
+          value: rules.value,
+          checked: Array.isArray(inputs[name]?.value) && inputs[name].value.includes(rules.value)
+        } : {}),
         error: inputs[name]?.rules?.errorBoolean ? Boolean(errors[name]) : getFieldError(name),
       }
     }
     return {
       name: name,
+      // El id solo se añade si se pidió (regla `id` u opción `idPrefix`), para no reemplazar el `id` del input
+      ...(rules?.id || idPrefix ? { id: getInputId(name, rules) } : {}),
+      'aria-invalid': Boolean(errors[name]),
+      ...(errors[name] ? { 'aria-describedby': getErrorId(name) } : {}),
+      ...(rules?.required === true ? { 'aria-required': true } : {}),
       ...others,
-      onBlur: () => {
-        if (rules?.onBlur) {
-          validate(name, inputs[name]?.value || "", rules);
+      ...getFieldHandlers(name, rules, anotherValue)
+    }
+  }
+
+  /**
+   * Obtiene los manejadores `onBlur` y `onChange` de un campo. Son estables entre renders (para usarlos con `memo`) y
+   * usan siempre las reglas del último render. Cada opción de un radio tiene sus propios manejadores.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {object} rules - Reglas del campo.
+   * @param {string} [anotherValue] - Valor alternativo para el campo.
+   * @returns {{ onBlur: () => void, onChange: (e: any, value?: any) => void }} - Manejadores del campo.
+   */
+  const getFieldHandlers = (name, rules, anotherValue) => {
+    const key = rules?.radio || (rules?.checkbox && rules?.multiple) ? `${name}\u0000${rules.value}` : name
+    fieldConfigs.current[key] = { rules, anotherValue }
+    if (!fieldHandlers.current[key]) {
+      fieldHandlers.current[key] = {
+        onBlur: () => latest.current.handleBlur(name, fieldConfigs.current[key].rules),
+        onChange: (e, value) => {
+          const config = fieldConfigs.current[key]
+          return latest.current.onChange(name, e, value, config.anotherValue, config.rules)
         }
-      },
-      onChange: (e, value) => {
-        return onChange(name, e, value, anotherValue, rules)
       }
     }
+    return fieldHandlers.current[key]
+  }
+
+  /**
+   * Marca un campo como visitado al perder el foco y lo valida si su modo de validación lo pide.
+   *
+   * @param {string} name - Nombre del campo.
+   * @param {object} rules - Reglas del campo.
+   */
+  const handleBlur = (name, rules) => {
+    if (!getState().inputs[name]?.touched) {
+      setTouched(name)
+    }
+    if (shouldValidateOn(name, 'blur')) {
+      validate(name, getInputValue(name), getRules(name) || rules);
+    }
   }
 
   /**
@@ -507,31 +1944,349 @@ const useFormValidate = (customErrorMessages = {
    * @param {string} name - Nombre del campo.
    * @returns {string} - Mensaje de error para el campo.
    */
-  const getFieldError = (name) => errors[name] || ''
+  const getFieldError = (name) => getState().errors[name] || ''
+
+  /**
+   * Obtiene todas las reglas que fallaron para un campo específico.
+   *
+   * @param {string} name - Nombre del campo.
+   * @returns {FieldFailure[]} - Reglas que fallaron, en el orden en que se evaluaron.
+   */
+  const getFieldErrors = (name) => {
+    const { errors, fieldErrors } = getState()
+    return fieldErrors[name]
+      ? fieldErrors[name].map(({ rule, message }) => ({ rule, message }))
+      : (errors[name] ? [{ rule: 'manual', message: errors[name] }] : [])
+  }
+
+  /**
+   * Indica si un campo (o cualquier campo, si no se especifica) tiene una validación asíncrona en curso.
+   *
+   * @param {string} [name] - Nombre del campo.
+   * @returns {boolean} - `true` si hay una validación pendiente.
+   */
+  const isValidating = (name) => name === undefined
+    ? Object.keys(getState().validatingFields).length > 0
+    : Boolean(getState().validatingFields[name])
+
+  /**
+   * Indica si un campo fue modificado respecto a su valor inicial.
+   *
+   * @param {string} name - Nombre del campo.
+   * @returns {boolean} - `true` si el valor del campo cambió.
+   */
+  const isFieldDirty = (name) => {
+    const { value, values, initialValue = '' } = getState().inputs[name] || {}
+    if (Array.isArray(values) && values.length > 0) {
+      return true
+    }
+    if (Array.isArray(value) && Array.isArray(initialValue)) {
+      return value.length !== initialValue.length || value.some((item, index) => item !== initialValue[index])
+    }
+    return value !== undefined && value !== initialValue
+  }
+
+  /**
+   * Indica si un campo perdió el foco al menos una vez.
+   *
+   * @param {string} name - Nombre del campo.
+   * @returns {boolean} - `true` si el campo fue visitado.
+   */
+  const isFieldTouched = (name) => Boolean(getState().inputs[name]?.touched)
+
+  /**
+   * Indica si el formulario es válido: ningún campo tiene errores y todos cumplen sus reglas, aunque aún no se hayan
+   * validado (por ejemplo, un campo obligatorio vacío de un formulario recién abierto). Las validaciones personalizadas
+   * (`validate`) solo cuentan cuando ya se ejecutaron. El resultado se guarda hasta que cambian los campos o los errores.
+   *
+   * @returns {boolean} - `true` si el formulario es válido.
+   */
+  const isFormValid = () => {
+    const { inputs, errors } = getState()
+    if (validity.current?.inputs === inputs && validity.current.errors === errors) {
+      return validity.current.isValid
+    }
+    const values = getFlatValues()
+    const isValid = Object.values(errors).every((message) => !message) &&
+      Object.keys(inputs).every((name) => validate(name, values[name] ?? '', getRules(name), { silent: true }))
+    validity.current = { inputs, errors, isValid }
+    return isValid
+  }
+
+  /**
+   * Calcula el estado del formulario a partir del estado actual, incluidos los valores derivados.
+   *
+   * @returns {FormState} - Estado del formulario.
+   */
+  const getFormState = () => {
+    const { inputs, errors, fieldErrors, validatingFields, formError, isSubmitting, isSubmitSuccessful, submitCount } = getState()
+    const touchedFields = {}
+    const dirtyFields = {}
+    Object.keys(inputs).forEach((name) => {
+      if (isFieldTouched(name)) {
+        touchedFields[name] = true
+      }
+      if (isFieldDirty(name)) {
+        dirtyFields[name] = true
+      }
+    })
+    return {
+      inputs,
+      errors,
+      fieldErrors,
+      validatingFields,
+      formError,
+      touchedFields,
+      dirtyFields,
+      isDirty: Object.keys(dirtyFields).length > 0,
+      isValid: isFormValid(),
+      isValidating: Object.keys(validatingFields).length > 0,
+      isSubmitting,
+      isSubmitSuccessful,
+      submitCount
+    }
+  }
+
+  // Vuelve a traducir los errores existentes cuando cambia el idioma o los mensajes
+  useEffect(() => {
+    let hasChanges = false
+    const nextFieldErrors = {}
+    const { fieldErrors } = getState()
+    Object.keys(fieldErrors).forEach((name) => {
+      nextFieldErrors[name] = fieldErrors[name].map((failure) => {
+        const message = failure.messageKey ? interpolate(getMessage(failure.messageKey), failure.params) : failure.message
+        if (message === failure.message) {
+          return failure
+        }
+        hasChanges = true
+        return { ...failure, message }
+      })
+    })
+    if (!hasChanges) {
+      return
+    }
+    setFieldErrors(nextFieldErrors)
+    setErrors((prevErrors) => {
+      const nextErrors = { ...prevErrors }
+      Object.keys(nextFieldErrors).forEach((name) => {
+        if (nextFieldErrors[name].length > 0) {
+          nextErrors[name] = nextFieldErrors[name][0].message
+        }
+      })
+      return nextErrors
+    })
+  }, [messages]);
+
+  /**
+   * Restaura la posición del cursor en los campos que se formatean mientras se escribe. Se llama después de cada render
+   * del formulario y de los campos conectados con useField.
+   */
+  const restoreCaret = () => {
+    if (pendingCaret.current) {
+      const { input, position } = pendingCaret.current
+      pendingCaret.current = null
+      if (input.ownerDocument?.activeElement === input) {
+        input.setSelectionRange(position, position)
+      }
+    }
+  }
 
+  // Guarda el estado que se leyó en este render para suscribirse solo a él
+  useLayoutEffect(() => {
+    renderTracking.active = false
+    subscribedKeys.current = [...renderTracking.keys].sort()
+  });
+
+  useLayoutEffect(restoreCaret);
+
+  useEffect(() => cancelAsyncValidations, []);
+
+  /**
+   * Obtiene los valores modificados que se guardan en el borrador. No se guardan los campos de archivos ni los de
+   * contraseñas, ni los que excluyen `include` y `exclude`.
+   *
+   * @returns {Object.<string, any>} - Valores por nombre de campo.
+   */
+  const getDraftValues = () => {
+    const { inputs } = getState()
+    const values = {}
+    Object.keys(inputs).forEach((name) => {
+      const isSensitive = Boolean(getRules(name)?.file) || 'values' in inputs[name] ||
+        getFieldElements(name).some(({ type }) => type === 'password' || type === 'file')
+      if (!isSensitive && isDraftField(name, persistOptions.current) && isFieldDirty(name)) {
+        values[name] = inputs[name].value
+      }
+    })
+    return values
+  }
 
+  /**
+   * Elimina el borrador guardado y cancela el guardado pendiente.
+   */
+  const clearDraft = () => {
+    clearTimeout(draftTimer.current)
+    draftTimer.current = null
+    if (persistOptions.current) {
+      removeDraft(persistOptions.current)
+    }
+  }
 
+  // Guarda el borrador un tiempo después del último cambio, y al desmontar si quedó un cambio sin guardar
   useEffect(() => {
-    if (inputs[currentInputChange]?.rules.validateOnChange) {
-      validate(currentInputChange, inputs[currentInputChange].value, inputs[currentInputChange].rules);
-      setCurrentInputChange()
+    if (!persist) {
+      return
+    }
+    const saveDraft = () => {
+      draftTimer.current = null
+      writeDraft(persistOptions.current, getDraftValues())
+    }
+    const unsubscribe = store.subscribe((key) => {
+      if (key === 'inputs') {
+        clearTimeout(draftTimer.current)
+        draftTimer.current = setTimeout(saveDraft, persistOptions.current.debounceMs ?? 500)
+      }
+    })
+    return () => {
+      unsubscribe()
+      if (draftTimer.current) {
+        clearTimeout(draftTimer.current)
+        saveDraft()
+      }
+    }
+  }, [persist?.key]);
+
+  /**
+   * Registra los campos pedidos con getFieldProps desde el último registro y actualiza sus reglas si cambiaron.
+   */
+  const flushFields = () => {
+    const fields = renderedFields.current
+    renderedFields.current = {}
+    const { inputs, errors } = getState()
+    const changedFields = Object.keys(fields).filter((name) => !inputs[name]?.rules || !areRulesEqual(inputs[name].rules, fields[name].rules))
+    // Funciones con el mismo código pero de otro render: su resultado puede depender de valores de su entorno.
+    // Las validaciones asíncronas no se repiten, porque se lanzarían en cada render.
+    const closureFields = Object.keys(fields).filter((name) => !changedFields.includes(name) && name in errors &&
+      !asyncValidators.current[name] && hasNewFunctions(fieldRules.current[name], fields[name].rules))
+    Object.keys(fields).forEach((name) => {
+      fieldRules.current[name] = fields[name].rules
+    })
+    closureFields.forEach((name) => validate(name, getInputValue(name), fields[name].rules))
+    if (changedFields.length === 0) {
+      return
     }
-  }, [currentInputChange]);
-  return {
-    inputs,
+    registerFields(fields)
+    // Los campos ya validados se vuelven a validar con sus nuevas reglas
+    changedFields
+      .filter((name) => inputs[name]?.rules && name in errors)
+      .forEach((name) => validate(name, getInputValue(name), fields[name].rules))
+  }
+
+  /**
+   * Elimina los campos sin `ref` que se pidieron con getFieldProps en el render confirmado anterior y ya no se piden
+   * (por ejemplo, un campo que se muestra según una condición). Los campos con `ref` se eliminan al desmontar sus inputs.
+   */
+  const dropUnrequestedFields = () => {
+    const requested = requestedFields.current
+    const dropped = [...committedFields.current].filter((name) =>
+      !requested.has(name) && !fieldElements.current[name]?.size && name in fieldRules.current && shouldUnregisterField(name))
+    committedFields.current = requested
+    dropped.forEach((name) => unregister(name))
+  }
+
+  // Registra los campos pedidos con getFieldProps en este render y elimina los que ya no se piden
+  useLayoutEffect(() => {
+    flushFields()
+    dropUnrequestedFields()
+  });
+
+  latest.current = { onChange, handleBlur }
+
+  /**
+   * Envuelve una función que lee el estado para suscribir el formulario a ese estado cuando se usa durante el render.
+   *
+   * @param {string[]} keys - Partes del estado que lee la función.
+   * @param {Function} fn - Función a envolver.
+   * @returns {Function} - Función envuelta.
+   */
+  const tracked = (keys, fn) => (...args) => {
+    track(...keys)
+    return fn(...args)
+  }
+
+  const form = {
     updateInput,
-    errors,
     removeInput,
+    register,
+    unregister,
     handleChange,
     setError,
+    setServerErrors,
     clearError,
     validate,
+    validateFields,
+    isValidating: tracked(['validatingFields'], isValidating),
     handleSubmit,
-    getFieldProps,
-    getFieldError,
+    getFieldProps: tracked(['inputs', 'errors'], getFieldProps),
+    getFieldError: tracked(['errors'], getFieldError),
+    getFieldErrors: tracked(['errors', 'fieldErrors'], getFieldErrors),
+    getFieldRef,
+    getFieldId,
+    getErrorId,
+    setFocus,
+    updateFieldArray,
+    isFieldTouched: tracked(['inputs'], isFieldTouched),
+    isFieldDirty: tracked(['inputs'], isFieldDirty),
     resetForm,
-    customErrorMessages
+    reset,
+    setValues,
+    getValues,
+    getFormData,
+    clearDraft,
+    locale,
+    setLocale,
+    registerRule,
+    customErrorMessages: messages,
+    // Para useField y useFormState: funciones que no suscriben al componente del formulario
+    control: {
+      store,
+      getFormState,
+      getFieldProps,
+      getFieldRef,
+      getInputId,
+      getFieldError,
+      getFieldErrors,
+      isFieldTouched,
+      isFieldDirty,
+      flushFields,
+      restoreCaret,
+      sortFieldNames,
+      retainFields
+    }
+  }
+  // El estado se expone con getters para saber qué partes lee el componente del formulario
+  const stateGetters = {
+    inputs: ['inputs'],
+    errors: ['errors'],
+    validatingFields: ['validatingFields'],
+    formError: ['formError'],
+    touchedFields: ['inputs'],
+    dirtyFields: ['inputs'],
+    isDirty: ['inputs'],
+    isValid: ['inputs', 'errors'],
+    isSubmitting: ['isSubmitting'],
+    isSubmitSuccessful: ['isSubmitSuccessful'],
+    submitCount: ['submitCount']
   }
+  Object.keys(stateGetters).forEach((key) => {
+    Object.defineProperty(form, key, {
+      enumerable: true,
+      get: () => {
+        track(...stateGetters[key])
+        return key in getState() ? getState()[key] : getFormState()[key]
+      }
+    })
+  })
+  return form
 }
 
 
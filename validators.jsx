@@ -0,0 +1,303 @@
+/**
+ * Validadores puros de las reglas incluidas en el hook. Se pueden importar y probar por separado, y reutilizar fuera
+ * del formulario. Reciben el valor del input (normalmente texto) y devuelven `true` si es válido.
+ */
+
+/**
+ * @typedef {Object} PasswordOptions
+ * @property {number} [minLength] - Longitud mínima. Por defecto `8`.
+ * @property {boolean} [lowercase] - Exige una minúscula. Por defecto `true`.
+ * @property {boolean} [uppercase] - Exige una mayúscula. Por defecto `true`.
+ * @property {boolean} [number] - Exige un número. Por defecto `true`.
+ * @property {boolean} [symbol] - Exige un símbolo. Por defecto `true`.
+ */
+
+const DEFAULT_PASSWORD_OPTIONS = { minLength: 8, lowercase: true, uppercase: true, number: true, symbol: true }
+
+// Esquemas que ejecutan código o incrustan contenido: no se aceptan como url salvo que se indiquen en `protocols`
+const UNSAFE_PROTOCOLS = ['javascript', 'vbscript', 'data']
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/
+
+/**
+ * Valida un correo electrónico: parte local con los caracteres permitidos, sin puntos al inicio, al final ni seguidos,
+ * y un dominio con etiquetas válidas y extensión de al menos dos letras.
+ *
+ * @param {string} value - Correo electrónico.
+ * @returns {boolean} - `true` si el correo es válido.
+ */
+export const isEmail = (value) => {
+  if (typeof value !== 'string' || value.length > 254) {
+    return false
+  }
+  const [local, domain, ...rest] = value.split('@')
+  if (rest.length > 0 || !local || !domain || local.length > 64) {
+    return false
+  }
+  const isValidLocal = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/.test(local)
+  const isValidDomain = /^([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,}$/.test(domain)
+  return isValidLocal && isValidDomain
+}
+
+/**
+ * Valida una url absoluta. Sin `protocols` acepta cualquier esquema salvo `javascript:`, `vbscript:` y `data:`; los
+ * esquemas con `//` (http, ftp, ...) deben tener un host.
+ *
+ * @param {string} value - Url.
+ * @param {{ protocols?: string[] }} [options] - Esquemas permitidos, sin `:` (por ejemplo `['https']`).
+ * @returns {boolean} - `true` si la url es válida.
+ */
+export const isUrl = (value, { protocols } = {}) => {
+  if (typeof value !== 'string' || /\s/.test(value)) {
+    return false
+  }
+  let url
+  try {
+    url = new URL(value)
+  } catch (error) {
+    return false
+  }
+  const protocol = url.protocol.slice(0, -1).toLowerCase()
+  if (protocols) {
+    return protocols.map((allowed) => allowed.toLowerCase()).includes(protocol)
+  }
+  if (UNSAFE_PROTOCOLS.includes(protocol)) {
+    return false
+  }
+  return !/^[a-z][a-z\d+.-]*:\/\//i.test(value) || url.hostname !== ''
+}
+
+/**
+ * Indica si un día existe en el calendario.
+ *
+ * @param {number} year - Año.
+ * @param {number} month - Mes, de 1 a 12.
+ * @param {number} day - Día del mes.
+ * @returns {boolean} - `true` si el día existe.
+ */
+const isExistingDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+/**
+ * Convierte un texto en fecha. Sin formato acepta fechas ISO 8601 (`2024-01-31` o `2024-01-31T10:30:00Z`); con un
+ * formato como `DD/MM/YYYY` o `MM-DD-YYYY`, fechas con ese orden y separadores. Comprueba que el día exista
+ * (`2024-02-30` no es válida). También acepta objetos `Date` y `'today'` (la fecha de hoy).
+ *
+ * @param {string|Date} value - Fecha.
+ * @param {string} [format] - Formato con `DD`, `MM` y `YYYY`.
+ * @returns {Date|null} - Fecha, o `null` si no es válida.
+ */
+export const parseDate = (value, format) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value
+  }
+  if (value === 'today') {
+    const today = new Date()
+    return new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()))
+  }
+  if (typeof value !== 'string') {
+    return null
+  }
+  let year, month, day
+  if (typeof format === 'string') {
+    const order = format.match(/YYYY|MM|DD/g) || []
+    const pattern = format.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/YYYY/, '(\\d{4})').replace(/MM|DD/g, '(\\d{1,2})')
+    const match = order.length === 3 && value.trim().match(new RegExp(`^${pattern}$`))
+    if (!match) {
+      return null
+    }
+    const parts = Object.fromEntries(order.map((token, index) => [token, Number(match[index + 1])]))
+    year = parts.YYYY
+    month = parts.MM
+    day = parts.DD
+  } else {
+    const match = value.trim().match(ISO_DATE)
+    if (!match) {
+      return null
+    }
+    year = Number(match[1])
+    month = Number(match[2])
+    day = Number(match[3])
+    if (match[4] !== undefined) {
+      const dateTime = new Date(value.trim())
+      const isValidTime = Number(match[4]) < 24 && Number(match[5]) < 60 && Number(match[6] || 0) < 60
+      return isValidTime && isExistingDay(year, month, day) && !isNaN(dateTime.getTime()) ? dateTime : null
+    }
+  }
+  return isExistingDay(year, month, day) ? new Date(Date.UTC(year, month - 1, day)) : null
+}
+
+/**
+ * Valida una fecha (ver `parseDate`).
+ *
+ * @param {string|Date} value - Fecha.
+ * @param {string} [format] - Formato con `DD`, `MM` y `YYYY`. Por defecto ISO 8601.
+ * @returns {boolean} - `true` si la fecha es válida.
+ */
+export const isDate = (value, format) => parseDate(value, format) !== null
+
+/**
+ * Convierte una fecha en texto con un formato (por ejemplo, para mostrar los límites de `minDate` en los mensajes).
+ *
+ * @param {Date} date - Fecha. Se usan sus valores en UTC, como los de `parseDate`.
+ * @param {string} [format] - Formato con `DD`, `MM` y `YYYY`. Por defecto `YYYY-MM-DD`.
+ * @returns {string} - Fecha con formato.
+ */
+export const formatDate = (date, format = 'YYYY-MM-DD') => format
+  .replace('YYYY', String(date.getUTCFullYear()))
+  .replace('MM', String(date.getUTCMonth() + 1).padStart(2, '0'))
+  .replace('DD', String(date.getUTCDate()).padStart(2, '0'))
+
+/**
+ * Indica si una fecha está dentro de un rango. Los límites se incluyen y pueden ser textos en el mismo formato o en
+ * ISO 8601, objetos `Date` o `'today'`.
+ *
+ * @param {string|Date} value - Fecha.
+ * @param {{ min?: string|Date, max?: string|Date }} range - Fechas mínima y máxima.
+ * @param {string} [format] - Formato con `DD`, `MM` y `YYYY`. Por defecto ISO 8601.
+ * @returns {boolean} - `true` si la fecha es válida y está en el rango.
+ */
+export const isDateInRange = (value, { min, max } = {}, format) => {
+  const date = parseDate(value, format)
+  if (!date) {
+    return false
+  }
+  // Los límites pueden estar en el formato del campo o en ISO 8601
+  const parseBound = (bound) => (bound === undefined ? null : parseDate(bound, format) || parseDate(bound))
+  const minDate = parseBound(min)
+  const maxDate = parseBound(max)
+  return (!minDate || date >= minDate) && (!maxDate || date <= maxDate)
+}
+
+/**
+ * Valida un número entero, como número o como texto (`'42'`, `'-3'`).
+ *
+ * @param {string|number} value - Valor.
+ * @returns {boolean} - `true` si el valor es un entero.
+ */
+export const isInteger = (value) =>
+  typeof value === 'number' ? Number.isInteger(value) : /^[+-]?\d+$/.test(String(value).trim())
+
+/**
+ * Indica si un número es múltiplo de un incremento a partir de una base, como el atributo `step` de los inputs
+ * (`0.05` acepta `1.15`; con base `1` y paso `2`, acepta `3` y `5`). Tolera los errores de redondeo de los decimales.
+ *
+ * @param {string|number} value - Número.
+ * @param {number} step - Incremento.
+ * @param {number} [base] - Valor inicial. Por defecto `0`.
+ * @returns {boolean} - `true` si el número cumple el incremento.
+ */
+export const isStepMatch = (value, step, base = 0) => {
+  const number = Number(value)
+  if (String(value).trim() === '' || isNaN(number) || !(step > 0)) {
+    return false
+  }
+  const steps = (number - Number(base)) / step
+  return Math.abs(steps - Math.round(steps)) < 1e-9
+}
+
+/**
+ * Valida un texto con una expresión regular. Con una cadena, el patrón debe cumplirse completo, como el atributo
+ * `pattern` de los inputs.
+ *
+ * @param {string} value - Texto.
+ * @param {RegExp|string} pattern - Expresión regular.
+ * @returns {boolean} - `true` si el texto cumple el patrón.
+ */
+export const matchesPattern = (value, pattern) => {
+  const regex = typeof pattern === 'string' ? new RegExp(`^(?:${pattern})$`) : pattern
+  // Las expresiones con `g` o `y` guardan la posición de la última búsqueda
+  regex.lastIndex = 0
+  return regex.test(String(value))
+}
+
+/**
+ * Indica si un valor está entre las opciones permitidas. En una lista (por ejemplo, un grupo de casillas), todos sus
+ * elementos deben estarlo. Los números y los textos se comparan como texto (`'1'` coincide con `1`).
+ *
+ * @param {any} value - Valor o lista de valores.
+ * @param {any[]} options - Opciones permitidas.
+ * @returns {boolean} - `true` si el valor es una de las opciones.
+ */
+export const isOneOf = (value, options = []) => {
+  const allowed = options.map(String)
+  return (Array.isArray(value) ? value : [value]).every((item) => allowed.includes(String(item)))
+}
+
+/**
+ * Comprueba los requisitos de una contraseña.
+ *
+ * @param {string} value - Contraseña.
+ * @param {PasswordOptions} [options] - Requisitos.
+ * @returns {{ minLength: boolean, lowercase: boolean, uppercase: boolean, number: boolean, symbol: boolean }} -
+ * Requisitos que se cumplen (los que no se exigen son siempre `true`).
+ */
+export const getPasswordChecks = (value, options = {}) => {
+  const { minLength, lowercase, uppercase, number, symbol } = { ...DEFAULT_PASSWORD_OPTIONS, ...options }
+  const text = String(value ?? '')
+  return {
+    minLength: text.length >= minLength,
+    lowercase: !lowercase || /\p{Ll}/u.test(text),
+    uppercase: !uppercase || /\p{Lu}/u.test(text),
+    number: !number || /\d/.test(text),
+    symbol: !symbol || /[^\p{L}\d\s]/u.test(text)
+  }
+}
+
+/**
+ * Valida que una contraseña cumpla todos los requisitos (ver `getPasswordChecks`).
+ *
+ * @param {string} value - Contraseña.
+ * @param {PasswordOptions} [options] - Requisitos.
+ * @returns {boolean} - `true` si la contraseña es segura.
+ */
+export const isStrongPassword = (value, options) =>
+  Object.values(getPasswordChecks(value, options)).every(Boolean)
+
+/**
+ * Calcula la fortaleza de una contraseña de `0` (vacía o muy débil) a `4` (fuerte), por su longitud y la variedad de
+ * caracteres. Sirve para mostrar un indicador mientras se escribe.
+ *
+ * @param {string} value - Contraseña.
+ * @returns {number} - Fortaleza de 0 a 4.
+ */
+export const getPasswordStrength = (value) => {
+  const text = String(value ?? '')
+  if (text.length === 0) {
+    return 0
+  }
+  const variety = [/\p{Ll}/u, /\p{Lu}/u, /\d/, /[^\p{L}\d\s]/u].filter((regex) => regex.test(text)).length
+  const lengthScore = text.length >= 12 ? 2 : (text.length >= 8 ? 1 : 0)
+  return Math.max(0, Math.min(4, lengthScore + variety - 1))
+}
+
+/**
+ * Comprueba el dígito de control de un número con el algoritmo de Luhn (tarjetas de crédito, IMEI, ...).
+ *
+ * @param {string} digits - Solo dígitos.
+ * @returns {boolean} - `true` si el dígito de control es correcto.
+ */
+export const isLuhnValid = (digits) => {
+  if (!/^\d+$/.test(digits)) {
+    return false
+  }
+  const sum = [...digits].reverse().reduce((total, digit, index) => {
+    const value = Number(digit) * (index % 2 === 1 ? 2 : 1)
+    return total + (value > 9 ? value - 9 : value)
+  }, 0)
+  return sum % 10 === 0
+}
+
+/**
+ * Valida un número de tarjeta de crédito: de 12 a 19 dígitos (se ignoran espacios y guiones) y dígito de control
+ * correcto.
+ *
+ * @param {string} value - Número de tarjeta.
+ * @returns {boolean} - `true` si el número es válido.
+ */
+export const isCreditCard = (value) => {
+  const digits = String(value ?? '').replace(/[\s-]/g, '')
+  return /^\d{12,19}$/.test(digits) && isLuhnValid(digits)
+}